@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['server/**/*.js', 'vite.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,195 @@
+import { buildPrompt } from '../src/utils/prompts.js';
+import { buildMetadataSchema } from '../src/utils/categories.js';
+import { MAX_CONTEXT_MESSAGES } from '../src/utils/thread.js';
+
+// Largest accepted request body; follow-ups carry the full app code
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+// Longest app code, prompt or conversation message, and app detail accepted
+const MAX_CODE_LENGTH = 1024 * 1024;
+const MAX_PROMPT_LENGTH = 8000;
+const MAX_DETAIL_LENGTH = 500;
+
+const MAX_CATEGORIES = 100;
+const MAX_ISSUES = 50;
+
+const ROLES = ['user', 'assistant'];
+
+/**
+ * Error with an HTTP status code sent back to the client
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Read and parse a JSON request body with a size limit
+ */
+export async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body is too large.');
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Request body must be valid JSON.');
+  }
+}
+
+/**
+ * Read a string field, rejecting other types and overlong values
+ * Missing optional fields read as an empty string
+ */
+function readText(value, name, maxLength, required = false) {
+  if (value == null || value === '') {
+    if (required) throw new HttpError(400, `Missing ${name}.`);
+    return '';
+  }
+  if (typeof value !== 'string') {
+    throw new HttpError(400, `The ${name} must be a string.`);
+  }
+  if (value.length > maxLength) {
+    throw new HttpError(400, `The ${name} is longer than ${maxLength} characters.`);
+  }
+  return value;
+}
+
+/**
+ * Read an optional list field with a bounded number of items
+ */
+function readList(value, name, maxItems, readItem) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || value.length > maxItems) {
+    throw new HttpError(400, `The ${name} must be a list of at most ${maxItems} items.`);
+  }
+  return value.map(readItem);
+}
+
+/**
+ * Read the input of a follow-up or patch request
+ */
+function readFollowUpInput(input) {
+  return {
+    prompt: readText(input.prompt, 'prompt', MAX_PROMPT_LENGTH, true),
+    code: readText(input.code, 'code', MAX_CODE_LENGTH, true),
+    originalPrompt: readText(input.originalPrompt, 'original prompt', MAX_PROMPT_LENGTH),
+    thread: readList(input.thread, 'thread', MAX_CONTEXT_MESSAGES, message => {
+      if (!ROLES.includes(message?.role)) {
+        throw new HttpError(400, 'Thread messages must come from the user or the assistant.');
+      }
+      return { role: message.role, content: readText(message.content, 'thread message', MAX_PROMPT_LENGTH, true) };
+    })
+  };
+}
+
+// Input each purpose accepts, see buildPrompt
+const INPUT_READERS = {
+  code: (input) => ({
+    prompt: readText(input.prompt, 'prompt', MAX_PROMPT_LENGTH, true)
+  }),
+  metadata: (input) => {
+    const metadataInput = {
+      categories: readList(input.categories, 'categories', MAX_CATEGORIES, category => ({
+        id: readText(category?.id, 'category id', MAX_DETAIL_LENGTH, true),
+        label: readText(category?.label, 'category label', MAX_DETAIL_LENGTH, true)
+      })),
+      prompt: readText(input.prompt, 'prompt', MAX_PROMPT_LENGTH),
+      title: readText(input.title, 'title', MAX_DETAIL_LENGTH),
+      code: readText(input.code, 'code', MAX_CODE_LENGTH),
+      name: readText(input.name, 'name', MAX_DETAIL_LENGTH),
+      description: readText(input.description, 'description', MAX_DETAIL_LENGTH)
+    };
+    if (metadataInput.categories.length === 0) {
+      throw new HttpError(400, 'Missing categories.');
+    }
+    if (!metadataInput.prompt && !metadataInput.code) {
+      throw new HttpError(400, 'Missing prompt.');
+    }
+    return metadataInput;
+  },
+  'follow-up': readFollowUpInput,
+  patch: readFollowUpInput,
+  repair: (input) => ({
+    code: readText(input.code, 'code', MAX_CODE_LENGTH, true),
+    issues: readList(input.issues, 'issues', MAX_ISSUES, issue => readText(issue, 'issue', MAX_DETAIL_LENGTH, true))
+  })
+};
+
+/**
+ * Validate a generation request against the purposes an endpoint allows
+ * Clients send only their data; the system prompts are built here, so the
+ * server cannot be used to relay arbitrary instructions
+ */
+export function parseGenerationRequest(body, allowedPurposes, config) {
+  if (!body || typeof body !== 'object') {
+    throw new HttpError(400, 'Missing request body.');
+  }
+  if (!allowedPurposes.includes(body.purpose)) {
+    throw new HttpError(400, `Unsupported purpose "${body.purpose}".`);
+  }
+  if (!body.input || typeof body.input !== 'object' || Array.isArray(body.input)) {
+    throw new HttpError(400, 'Missing input.');
+  }
+  const input = INPUT_READERS[body.purpose](body.input);
+
+  // Clients may only pick from the models this server allows
+  const defaultModel = body.purpose === 'metadata' ? config.metadataModel : config.model;
+  const model = config.allowedModels.includes(body.model) ? body.model : defaultModel;
+
+  return {
+    purpose: body.purpose,
+    model,
+    reasoningEffort: ['low', 'medium', 'high'].includes(body.reasoningEffort)
+      ? body.reasoningEffort
+      : config.reasoningEffort,
+    ...buildPrompt(body.purpose, input),
+    responseSchema: body.purpose === 'metadata' && body.structuredOutput === true
+      ? buildMetadataSchema(input.categories)
+      : null
+  };
+}
+
+/**
+ * Run a generation and stream its events to the client as newline-delimited JSON
+ */
+export async function streamGeneration(req, res, provider, request) {
+  const controller = new AbortController();
+  // Stop the upstream request when the browser goes away or cancels
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+  try {
+    const text = await provider.generate({
+      ...request,
+      signal: controller.signal,
+      onReasoningStart: () => send({ type: 'reasoning_start' }),
+      onReasoningDelta: (delta) => send({ type: 'reasoning', delta }),
+      onTextDelta: (delta) => send({ type: 'text', delta })
+    });
+    send({ type: 'done', bytes: Buffer.byteLength(text) });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      send({ type: 'error', status: error.status || 500, message: error.message });
+    }
+  } finally {
+    res.end();
+  }
+}
@@ -0,0 +1,146 @@
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createOpenAIResponsesProvider } from '../src/providers/openaiResponses.js';
+import { createOpenAIChatProvider } from '../src/providers/openaiChat.js';
+import { HttpError, readJsonBody, parseGenerationRequest, streamGeneration } from './api.js';
+import { createRateLimiter } from './rateLimit.js';
+import { serveStatic } from './static.js';
+
+/**
+ * BYA proxy server
+ * Serves the Vite build and forwards generation requests to the AI provider,
+ * so the API key stays on the server
+ */
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'dist');
+const env = process.env;
+
+const config = {
+  port: Number(env.PORT) || 8787,
+  provider: env.AI_PROVIDER === 'openai-chat' ? 'openai-chat' : 'openai-responses',
+  apiKey: env.OPENAI_API_KEY || env.AI_API_KEY || '',
+  baseURL: env.AI_BASE_URL || '',
+  model: env.AI_MODEL || 'o4-mini',
+  metadataModel: env.AI_METADATA_MODEL || env.AI_MODEL || 'o4-mini',
+  reasoningEffort: env.AI_REASONING_EFFORT || 'medium',
+  rateLimitWindowMs: Number(env.RATE_LIMIT_WINDOW_MS) || 10 * 60 * 1000,
+  rateLimitMax: Number(env.RATE_LIMIT_MAX) || 30,
+  trustProxy: env.TRUST_PROXY === 'true'
+};
+config.allowedModels = env.AI_ALLOWED_MODELS
+  ? env.AI_ALLOWED_MODELS.split(',').map(model => model.trim()).filter(Boolean)
+  : [...new Set([config.model, config.metadataModel])];
+
+if (config.provider === 'openai-responses' && !config.apiKey) {
+  console.error('OPENAI_API_KEY is not set. Generation requests will fail.');
+}
+
+const provider = config.provider === 'openai-chat'
+  ? createOpenAIChatProvider(config)
+  : createOpenAIResponsesProvider(config);
+const rateLimiter = createRateLimiter({ windowMs: config.rateLimitWindowMs, max: config.rateLimitMax });
+
+// Purposes each generation endpoint accepts
+const ENDPOINTS = {
+  '/api/generate': ['code', 'metadata'],
+  '/api/follow-up': ['follow-up', 'patch', 'repair']
+};
+
+/**
+ * Identify the client for rate limiting
+ */
+function getClientId(req) {
+  if (config.trustProxy && req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Log one line per finished request
+ */
+function logRequest(req, res, clientId, startedAt) {
+  res.on('finish', () => {
+    console.log(JSON.stringify({
+      time: new Date().toISOString(),
+      client: clientId,
+      method: req.method,
+      path: req.url,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    }));
+  });
+}
+
+/**
+ * Handle /api routes
+ */
+async function handleApi(req, res, clientId) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname === '/api/health' && req.method === 'GET') {
+    sendJson(res, 200, { ok: true, provider: config.provider, models: config.allowedModels });
+    return;
+  }
+
+  const purposes = ENDPOINTS[pathname];
+  if (!purposes) {
+    throw new HttpError(404, 'Not found.');
+  }
+  if (req.method !== 'POST') {
+    throw new HttpError(405, 'Method not allowed.');
+  }
+
+  const limit = rateLimiter.check(clientId);
+  res.setHeader('X-RateLimit-Limit', limit.limit);
+  res.setHeader('X-RateLimit-Remaining', limit.remaining);
+  if (!limit.allowed) {
+    sendJson(
+      res,
+      429,
+      { error: `Rate limit exceeded. Try again in ${limit.retryAfterSeconds} seconds.` },
+      { 'Retry-After': String(limit.retryAfterSeconds) }
+    );
+    return;
+  }
+
+  const request = parseGenerationRequest(await readJsonBody(req), purposes, config);
+  await streamGeneration(req, res, provider, request);
+}
+
+const server = http.createServer(async (req, res) => {
+  const clientId = getClientId(req);
+  logRequest(req, res, clientId, Date.now());
+
+  try {
+    if (req.url.startsWith('/api/')) {
+      await handleApi(req, res, clientId);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      await serveStatic(req, res, rootDir);
+    } else {
+      throw new HttpError(405, 'Method not allowed.');
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error('Unexpected server error:', error);
+    }
+    if (!res.headersSent) {
+      sendJson(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal server error.' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(config.port, () => {
+  console.log(`BYA server listening on http://localhost:${config.port} (${config.provider})`);
+});
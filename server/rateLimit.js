@@ -0,0 +1,37 @@
+/**
+ * Fixed-window rate limiter keyed by client
+ */
+export function createRateLimiter({ windowMs, max }) {
+  const clients = new Map();
+
+  // Drop expired windows so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of clients) {
+      if (entry.resetAt <= now) clients.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return {
+    /**
+     * Count a request for a client and report whether it is allowed
+     */
+    check(key) {
+      const now = Date.now();
+      let entry = clients.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        clients.set(key, entry);
+      }
+      entry.count++;
+
+      return {
+        allowed: entry.count <= max,
+        limit: max,
+        remaining: Math.max(0, max - entry.count),
+        retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000)
+      };
+    }
+  };
+}
@@ -0,0 +1,61 @@
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Serve the Vite build, falling back to index.html for client-side routes
+ */
+export async function serveStatic(req, res, rootDir) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request.');
+    return;
+  }
+  const requested = path.normalize(path.join(rootDir, decoded));
+
+  // Never serve files outside the build directory, including siblings sharing its prefix
+  const relative = path.relative(rootDir, requested);
+  const isInside = relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+  let filePath = isInside ? requested : path.join(rootDir, 'index.html');
+
+  try {
+    const info = await stat(filePath);
+    if (info.isDirectory()) filePath = path.join(filePath, 'index.html');
+  } catch {
+    filePath = path.join(rootDir, 'index.html');
+  }
+
+  try {
+    await stat(filePath);
+  } catch {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found. Run "npm run build" before starting the server.');
+    return;
+  }
+
+  const extension = path.extname(filePath);
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+    // Hashed assets never change, everything else must be revalidated
+    'Cache-Control': filePath.includes(`${path.sep}assets${path.sep}`)
+      ? 'public, max-age=31536000, immutable'
+      : 'no-cache'
+  });
+  createReadStream(filePath).pipe(res);
+}
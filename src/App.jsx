@@ -4,6 +4,10 @@ import { motion, AnimatePresence } from 'framer-motion';
 import HomePage from './components/HomePage';
 import MyAppsPage from './components/MyAppsPage';
 import AppPreview from './components/AppPreview';
+import SettingsPage from './components/SettingsPage';
+import TrashPage from './components/TrashPage';
+import StorageAlert from './components/StorageAlert';
+import ThumbnailCapture from './components/ThumbnailCapture';
 import { AppProvider } from './context/AppContext';
 import './index.css';
 
@@ -21,8 +25,12 @@ function App() {
               <Route path="/" element={<HomePage />} />
               <Route path="/my-apps" element={<MyAppsPage />} />
               <Route path="/preview/:appId" element={<AppPreview />} />
+              <Route path="/settings" element={<SettingsPage />} />
+              <Route path="/trash" element={<TrashPage />} />
             </Routes>
           </AnimatePresence>
+          <StorageAlert />
+          <ThumbnailCapture />
         </div>
       </Router>
     </AppProvider>
@@ -0,0 +1,299 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import {
+  EyeIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  ClockIcon,
+  DocumentDuplicateIcon,
+  ArrowPathRoundedSquareIcon,
+  CheckIcon,
+  StarIcon
+} from '@heroicons/react/24/outline';
+import { StarIcon as StarSolidIcon } from '@heroicons/react/24/solid';
+import { getAppAppearance } from '../utils/categories';
+import AppThumbnail from './AppThumbnail';
+
+/**
+ * Format date for display
+ */
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+/**
+ * AppCard component - One saved app on My Apps, as a list row or a grid tile
+ * `parentApp` and `remixCount` describe the app's lineage. While `isSelecting`,
+ * clicking the card toggles its selection instead of opening the app.
+ * Pinned apps show a filled star
+ */
+function AppCard({
+  app,
+  index,
+  view,
+  categories,
+  parentApp,
+  remixCount = 0,
+  isSelecting = false,
+  isSelected = false,
+  onToggleSelect,
+  onOpen,
+  onEditDetails,
+  onDuplicate,
+  onTogglePin,
+  onDelete,
+  onTagClick
+}) {
+  const { category, icon, color } = getAppAppearance(app, categories);
+
+  const handleClick = () => (isSelecting ? onToggleSelect(app.id) : onOpen(app.id));
+
+  const selectionMarker = (
+    <span
+      aria-hidden="true"
+      className={`w-6 h-6 rounded-full border-2 flex items-center justify-center transition-colors duration-200 ${
+        isSelected ? 'bg-notion-accent border-notion-accent text-white' : 'bg-notion-card border-notion-muted'
+      }`}
+    >
+      {isSelected && <CheckIcon className="w-4 h-4" />}
+    </span>
+  );
+  const selectionClass = isSelected ? 'ring-2 ring-notion-accent' : '';
+
+  const stopAnd = (handler) => (e) => {
+    e.stopPropagation();
+    handler(app.id, e);
+  };
+
+  const PinIcon = app.pinned ? StarSolidIcon : StarIcon;
+  const pinTitle = app.pinned ? 'Unpin' : 'Pin to top';
+
+  const categoryBadge = (
+    <button
+      onClick={stopAnd(onEditDetails)}
+      className={`notion-badge bg-gradient-to-r ${color} text-white border-0 hover:opacity-90 truncate`}
+      title="Edit details"
+    >
+      {category.label}
+    </button>
+  );
+
+  const lineage = (app.remixedFrom || remixCount > 0) && (
+    <p className="flex items-center gap-1.5 text-xs text-notion-muted min-w-0">
+      <ArrowPathRoundedSquareIcon className="w-3 h-3 flex-shrink-0" />
+      <span className="truncate">
+        {app.remixedFrom && (
+          <>
+            Remix of{' '}
+            {parentApp ? (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onOpen(parentApp.id);
+                }}
+                className="text-notion-text hover:text-notion-accent"
+              >
+                {parentApp.name}
+              </button>
+            ) : (
+              app.remixedFrom.name
+            )}
+          </>
+        )}
+        {app.remixedFrom && remixCount > 0 && ' · '}
+        {remixCount > 0 && `${remixCount} remix${remixCount === 1 ? '' : 'es'}`}
+      </span>
+    </p>
+  );
+
+  if (view === 'grid') {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: Math.min(index, 10) * 0.05, duration: 0.4 }}
+        whileHover={{ y: -4 }}
+        className={`notion-card !p-0 cursor-pointer group relative overflow-hidden ${selectionClass}`}
+        onClick={handleClick}
+        aria-pressed={isSelecting ? isSelected : undefined}
+      >
+        <div className="relative">
+          <AppThumbnail app={app} icon={icon} className="aspect-[4/3] text-4xl border-b border-notion-border" />
+          {isSelecting && <div className="absolute top-2 left-2">{selectionMarker}</div>}
+          {!isSelecting && app.pinned && (
+            <span className="absolute top-2 left-2 p-1 rounded-lg bg-black/50 text-yellow-400" title="Pinned">
+              <StarSolidIcon className="w-4 h-4" />
+            </span>
+          )}
+          <div className={`absolute top-2 right-2 flex gap-1 sm:opacity-0 ${isSelecting ? 'hidden' : ''} sm:group-hover:opacity-100 focus-within:opacity-100 transition-opacity duration-200`}>
+            <button
+              onClick={stopAnd(onTogglePin)}
+              className="p-1.5 rounded-lg bg-black/50 text-white hover:bg-black/70 transition-colors duration-200"
+              title={pinTitle}
+              aria-pressed={Boolean(app.pinned)}
+            >
+              <PinIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={stopAnd(onEditDetails)}
+              className="p-1.5 rounded-lg bg-black/50 text-white hover:bg-black/70 transition-colors duration-200"
+              title="Edit details"
+            >
+              <PencilSquareIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={stopAnd(onDuplicate)}
+              className="p-1.5 rounded-lg bg-black/50 text-white hover:bg-black/70 transition-colors duration-200"
+              title="Duplicate"
+            >
+              <DocumentDuplicateIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={(e) => onDelete(app.id, e)}
+              className="p-1.5 rounded-lg bg-black/50 text-white hover:bg-red-500/80 transition-colors duration-200"
+              title="Delete"
+            >
+              <TrashIcon className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+        <div className="p-3">
+          <h3 className="font-semibold text-notion-text group-hover:text-notion-accent transition-colors duration-200 truncate text-sm">
+            {app.name}
+          </h3>
+          {lineage && <div className="mt-1">{lineage}</div>}
+          <div className="flex items-center justify-between gap-2 mt-2">
+            <span className="text-xs text-notion-muted truncate">{formatDate(app.createdAt)}</span>
+            {categoryBadge}
+          </div>
+        </div>
+      </motion.div>
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: Math.min(index, 10) * 0.1, duration: 0.4 }}
+      whileHover={{ y: -4, scale: 1.01 }}
+      className={`notion-card cursor-pointer group relative overflow-hidden ${selectionClass}`}
+      onClick={handleClick}
+      aria-pressed={isSelecting ? isSelected : undefined}
+    >
+      <div className={`absolute inset-0 bg-gradient-to-br ${color} opacity-0 group-hover:opacity-5 transition-opacity duration-300`}></div>
+
+      <div className="relative flex items-start gap-4">
+        {/* App Thumbnail */}
+        <div className="flex-shrink-0">
+          <AppThumbnail
+            app={app}
+            icon={icon}
+            className="w-16 h-12 rounded-xl border border-notion-border text-2xl group-hover:border-notion-accent/30 transition-colors duration-300"
+          />
+        </div>
+
+        {/* App Info */}
+        <div className="flex-1 min-w-0">
+          <div className="flex items-start justify-between mb-3">
+            <h3 className="font-bold text-notion-text group-hover:text-notion-accent transition-colors duration-200 truncate text-lg">
+              {app.name}
+            </h3>
+            {isSelecting ? (
+              <div className="ml-3">{selectionMarker}</div>
+            ) : (
+              <div className="flex items-center gap-2 ml-3">
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={stopAnd(onOpen)}
+                  className="p-2 rounded-lg text-notion-muted hover:text-notion-accent hover:bg-notion-bg transition-all duration-200"
+                >
+                  <EyeIcon className="w-4 h-4" />
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={stopAnd(onTogglePin)}
+                  className={`p-2 rounded-lg hover:bg-notion-bg transition-all duration-200 ${
+                    app.pinned ? 'text-yellow-400' : 'text-notion-muted hover:text-notion-accent'
+                  }`}
+                  title={pinTitle}
+                  aria-pressed={Boolean(app.pinned)}
+                >
+                  <PinIcon className="w-4 h-4" />
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={stopAnd(onEditDetails)}
+                  className="p-2 rounded-lg text-notion-muted hover:text-notion-accent hover:bg-notion-bg transition-all duration-200"
+                  title="Edit details"
+                >
+                  <PencilSquareIcon className="w-4 h-4" />
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={stopAnd(onDuplicate)}
+                  className="p-2 rounded-lg text-notion-muted hover:text-notion-accent hover:bg-notion-bg transition-all duration-200"
+                  title="Duplicate"
+                >
+                  <DocumentDuplicateIcon className="w-4 h-4" />
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={(e) => onDelete(app.id, e)}
+                  className="p-2 rounded-lg text-notion-muted hover:text-red-400 hover:bg-notion-bg transition-all duration-200"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </motion.button>
+              </div>
+            )}
+          </div>
+
+          <p className="text-notion-muted text-sm mb-4 line-clamp-2 leading-relaxed">
+            {app.description}
+          </p>
+
+          {lineage && <div className="mb-4">{lineage}</div>}
+
+          {app.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mb-4">
+              {app.tags.map(tag => (
+                <button
+                  key={tag}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onTagClick(tag);
+                  }}
+                  className="px-2 py-0.5 rounded-md bg-notion-bg border border-notion-border text-notion-muted hover:text-notion-accent text-xs transition-colors duration-200"
+                  title={`Search for "${tag}"`}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* App Meta */}
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2 text-xs text-notion-muted">
+              <ClockIcon className="w-3 h-3" />
+              <span>{formatDate(app.createdAt)}</span>
+            </div>
+            {categoryBadge}
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+}
+
+export default AppCard;
@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { XMarkIcon, PencilSquareIcon, SparklesIcon } from '@heroicons/react/24/outline';
+import { useNavigate } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { CATEGORY_COLORS, getAppAppearance, parseTagInput } from '../utils/categories';
+import { getParentApp, getRemixes } from '../utils/lineage';
+import CategoryPicker from './CategoryPicker';
+
+// Quick picks for the app icon; any emoji can be typed instead
+const ICON_CHOICES = ['⚡', '📝', '✅', '⏱️', '📅', '💰', '📊', '🏋️', '💧', '🍳', '📚', '🎮', '🎵', '🌦️', '🔧', '🧮'];
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Form values for an app, with empty icon and color meaning "use the category's"
+ */
+function getFormValues(app) {
+  return {
+    name: app.name || '',
+    description: app.description || '',
+    type: app.type,
+    tagInput: (app.tags || []).join(', '),
+    icon: app.icon || '',
+    color: app.color || null,
+    folderId: app.folderId || ''
+  };
+}
+
+/**
+ * AppDetailsModal component - Edit an app's name, description, category,
+ * tags, icon, accent color and folder, optionally starting from AI suggestions
+ */
+function AppDetailsModal({ isOpen, onClose, app }) {
+  const { savedApps, categories, folders, aiProvider, updateAppDetails, suggestAppDetails } = useApp();
+  const navigate = useNavigate();
+  const [form, setForm] = useState(null);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  // Start from the app's saved details each time the sheet opens for an app
+  const openAppId = isOpen && app ? app.id : null;
+  const [formAppId, setFormAppId] = useState(null);
+  if (openAppId !== formAppId) {
+    setFormAppId(openAppId);
+    if (openAppId) {
+      setForm(getFormValues(app));
+      setMessage(null);
+    }
+  }
+
+  // Stop a pending suggestion when the sheet closes
+  useEffect(() => {
+    if (!isOpen) {
+      abortControllerRef.current?.abort();
+    }
+  }, [isOpen]);
+
+  const updateForm = (updates) => setForm(current => ({ ...current, ...updates }));
+
+  /**
+   * Fill the form with suggestions from the metadata model
+   */
+  const handleSuggest = async () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsSuggesting(true);
+    setMessage(null);
+    try {
+      const suggestion = await suggestAppDetails(app.id, { signal: controller.signal });
+      updateForm({
+        name: suggestion.name.slice(0, MAX_NAME_LENGTH),
+        description: suggestion.description || form.description,
+        type: suggestion.type,
+        tagInput: suggestion.tags.length > 0 ? suggestion.tags.join(', ') : form.tagInput
+      });
+      setMessage({ status: 'success', text: 'Suggestions filled in. Review them, then save.' });
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('Failed to suggest app details:', error);
+        setMessage({ status: 'error', text: error.message });
+      }
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+        setIsSuggesting(false);
+      }
+    }
+  };
+
+  /**
+   * Save the edited details
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const name = form.name.trim();
+    if (!name) {
+      setMessage({ status: 'error', text: 'Give the app a name.' });
+      return;
+    }
+    updateAppDetails(app.id, {
+      name,
+      description: form.description.trim(),
+      type: form.type,
+      tags: parseTagInput(form.tagInput),
+      icon: form.icon.trim() || null,
+      color: form.color,
+      folderId: folders.some(folder => folder.id === form.folderId) ? form.folderId : null
+    });
+    onClose();
+  };
+
+  /**
+   * Open a related app from the lineage list
+   */
+  const handleOpenRelated = (appId) => {
+    onClose();
+    navigate(`/preview/${appId}`);
+  };
+
+  const isVisible = isOpen && app && form;
+  const parentApp = isVisible ? getParentApp(app, savedApps) : null;
+  const remixes = isVisible ? getRemixes(app, savedApps) : [];
+  const preview = isVisible ? getAppAppearance({ ...app, type: form.type, icon: form.icon.trim(), color: form.color }, categories) : null;
+
+  return (
+    <AnimatePresence>
+      {isVisible && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-end sm:items-center justify-center p-4"
+          onClick={onClose}
+        >
+          <motion.form
+            initial={{ opacity: 0, scale: 0.9, y: 100 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 100 }}
+            transition={{ duration: 0.3 }}
+            onClick={(e) => e.stopPropagation()}
+            onSubmit={handleSubmit}
+            className="bg-notion-card border border-notion-border rounded-t-xl sm:rounded-xl w-full max-w-md max-h-[85vh] flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-notion-border">
+              <div className="flex items-center gap-3">
+                <div className="w-8 h-8 bg-notion-accent/20 rounded-lg flex items-center justify-center">
+                  <PencilSquareIcon className="w-4 h-4 text-notion-accent" />
+                </div>
+                <h3 className="font-semibold text-notion-text">App Details</h3>
+              </div>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                type="button"
+                onClick={onClose}
+                className="p-2 rounded-lg hover:bg-notion-bg transition-colors duration-200"
+              >
+                <XMarkIcon className="w-5 h-5 text-notion-muted" />
+              </motion.button>
+            </div>
+
+            {/* Content */}
+            <div className="p-6 space-y-5 overflow-auto">
+              <div className="flex items-center gap-4">
+                <div className={`w-14 h-14 rounded-xl bg-gradient-to-br ${preview.color} flex items-center justify-center text-3xl flex-shrink-0`}>
+                  {preview.icon}
+                </div>
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  type="button"
+                  onClick={handleSuggest}
+                  disabled={!aiProvider || isSuggesting}
+                  title={aiProvider ? 'Suggest a name, description, category and tags' : 'Configure an AI provider in Settings to get suggestions'}
+                  className="notion-button-secondary flex items-center gap-2 disabled:opacity-50"
+                >
+                  <SparklesIcon className={`w-4 h-4 ${isSuggesting ? 'animate-pulse' : ''}`} />
+                  {isSuggesting ? 'Suggesting...' : 'Suggest with AI'}
+                </motion.button>
+              </div>
+
+              {message && (
+                <p className={`text-xs ${message.status === 'error' ? 'text-notion-error' : 'text-notion-success'}`}>
+                  {message.text}
+                </p>
+              )}
+
+              <div>
+                <label htmlFor="app-details-name" className="block text-notion-muted text-sm mb-2">Name</label>
+                <input
+                  id="app-details-name"
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => updateForm({ name: e.target.value })}
+                  maxLength={MAX_NAME_LENGTH}
+                  className="notion-input w-full"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="app-details-description" className="block text-notion-muted text-sm mb-2">Description</label>
+                <textarea
+                  id="app-details-description"
+                  value={form.description}
+                  onChange={(e) => updateForm({ description: e.target.value })}
+                  rows={3}
+                  className="notion-input w-full resize-none"
+                />
+              </div>
+
+              <div>
+                <label className="block text-notion-muted text-sm mb-2">Icon</label>
+                <div className="flex flex-wrap gap-1.5">
+                  <input
+                    type="text"
+                    value={form.icon}
+                    onChange={(e) => updateForm({ icon: e.target.value })}
+                    placeholder={getAppAppearance({ type: form.type }, categories).icon}
+                    maxLength={4}
+                    aria-label="Custom icon"
+                    className="notion-input w-14 text-center"
+                  />
+                  {ICON_CHOICES.map(icon => (
+                    <button
+                      key={icon}
+                      type="button"
+                      onClick={() => updateForm({ icon })}
+                      className={`w-9 h-9 rounded-lg border text-lg transition-colors duration-200 ${form.icon === icon ? 'border-notion-accent bg-notion-accent/10' : 'border-notion-border hover:bg-notion-bg'}`}
+                    >
+                      {icon}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-notion-muted text-xs mt-2">Leave empty to use the category's icon.</p>
+              </div>
+
+              <div>
+                <label className="block text-notion-muted text-sm mb-2">Accent color</label>
+                <div className="flex flex-wrap items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => updateForm({ color: null })}
+                    className={`px-2 h-7 rounded-full border text-xs transition-colors duration-200 ${form.color === null ? 'border-notion-accent text-notion-accent' : 'border-notion-border text-notion-muted hover:text-notion-text'}`}
+                  >
+                    Category
+                  </button>
+                  {CATEGORY_COLORS.map(color => (
+                    <button
+                      key={color}
+                      type="button"
+                      onClick={() => updateForm({ color })}
+                      className={`w-7 h-7 rounded-full bg-gradient-to-br ${color} ${form.color === color ? 'ring-2 ring-notion-accent ring-offset-2 ring-offset-notion-card' : ''}`}
+                      aria-label={`Use color ${color}`}
+                    />
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-notion-muted text-sm mb-2">Category</label>
+                <CategoryPicker categories={categories} value={form.type} onChange={(type) => updateForm({ type })} />
+              </div>
+
+              {folders.length > 0 && (
+                <div>
+                  <label htmlFor="app-details-folder" className="block text-notion-muted text-sm mb-2">Folder</label>
+                  <select
+                    id="app-details-folder"
+                    value={form.folderId}
+                    onChange={(e) => updateForm({ folderId: e.target.value })}
+                    className="notion-input w-full"
+                  >
+                    <option value="">No folder</option>
+                    {folders.map(folder => (
+                      <option key={folder.id} value={folder.id}>{folder.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="app-details-tags" className="block text-notion-muted text-sm mb-2">Tags</label>
+                <input
+                  id="app-details-tags"
+                  type="text"
+                  value={form.tagInput}
+                  onChange={(e) => updateForm({ tagInput: e.target.value })}
+                  placeholder="habits, daily, streaks"
+                  className="notion-input w-full"
+                />
+                <p className="text-notion-muted text-xs mt-2">Separate tags with commas.</p>
+              </div>
+
+              {(app.remixedFrom || remixes.length > 0) && (
+                <div>
+                  <label className="block text-notion-muted text-sm mb-2">Lineage</label>
+                  <ul className="space-y-1 text-sm">
+                    {app.remixedFrom && (
+                      <li className="text-notion-muted">
+                        Remix of{' '}
+                        {parentApp ? (
+                          <button type="button" onClick={() => handleOpenRelated(parentApp.id)} className="text-notion-accent hover:text-notion-accent-light">
+                            {parentApp.name}
+                          </button>
+                        ) : (
+                          <span className="text-notion-text">{app.remixedFrom.name} (deleted)</span>
+                        )}
+                      </li>
+                    )}
+                    {remixes.map(remix => (
+                      <li key={remix.id} className="text-notion-muted">
+                        Remixed into{' '}
+                        <button type="button" onClick={() => handleOpenRelated(remix.id)} className="text-notion-accent hover:text-notion-accent-light">
+                          {remix.name}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+
+            <div className="p-6 border-t border-notion-border flex gap-2">
+              <button type="button" onClick={onClose} className="notion-button-secondary flex-1">
+                Cancel
+              </button>
+              <button type="submit" className="notion-button flex-1">
+                Save
+              </button>
+            </div>
+          </motion.form>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default AppDetailsModal;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
@@ -6,11 +6,31 @@ import {
   CodeBracketIcon,
   ChatBubbleLeftRightIcon,
   HomeIcon,
-  CogIcon
+  CogIcon,
+  ClockIcon,
+  ArrowDownTrayIcon,
+  PencilSquareIcon,
+  ArrowPathRoundedSquareIcon
 } from '@heroicons/react/24/outline';
 import { useApp } from '../context/AppContext';
+import { isCancelledError } from '../utils/errors';
+import { getVersions, getCurrentVersionId, getVersionLabel } from '../utils/versions';
+import { validateHtml, getUnresolvedIssues } from '../utils/htmlValidator';
+import { buildErrorFixPrompt } from '../utils/prompts';
+import { getThread } from '../utils/thread';
+import { createBundle, getBundleFileName } from '../utils/appBundle';
+import { downloadFile } from '../utils/download';
+import { getAppAppearance } from '../utils/categories';
 import FollowUpModal from './FollowUpModal';
 import CodeModal from './CodeModal';
+import VersionHistoryModal from './VersionHistoryModal';
+import AppDetailsModal from './AppDetailsModal';
+import RemixModal from './RemixModal';
+import SandboxedFrame from './SandboxedFrame';
+import ConsolePanel from './ConsolePanel';
+
+// Most runtime messages kept for the console panel
+const MAX_CONSOLE_ENTRIES = 50;
 
 /**
  * AppPreview component - Display and interact with generated apps
@@ -25,12 +45,26 @@ function AppPreview() {
     generatedApps, 
     saveCurrentApp, 
     updateAppWithFollowUp,
+    restoreVersion,
+    saveCodeEdit,
+    markAppOpened,
+    restoreAppsFromTrash,
+    categories,
+    cancelGeneration,
     isGenerating 
   } = useApp();
   
   const [showFollowUpModal, setShowFollowUpModal] = useState(false);
+  const [followUpStatus, setFollowUpStatus] = useState(null);
   const [showCodeModal, setShowCodeModal] = useState(false);
   const [showSettingsMenu, setShowSettingsMenu] = useState(false);
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [showRemixModal, setShowRemixModal] = useState(false);
+  const [previewVersionId, setPreviewVersionId] = useState(null);
+  const [dismissedIssuesFor, setDismissedIssuesFor] = useState(null);
+  const [consoleLog, setConsoleLog] = useState({ code: null, entries: [] });
+  const [fixStatus, setFixStatus] = useState(null);
 
   // Auto-register generated apps to "My Apps" when component mounts
   useEffect(() => {
@@ -39,9 +73,39 @@ function AppPreview() {
     }
   }, [currentApp, appId, savedApps, saveCurrentApp]);
 
+  // Record the visit once per opened app
+  const openedAppIdRef = useRef(null);
+  const isSaved = savedApps.some(app => app.id === appId);
+  useEffect(() => {
+    if (isSaved && openedAppIdRef.current !== appId) {
+      openedAppIdRef.current = appId;
+      markAppOpened(appId);
+    }
+  }, [appId, isSaved, markAppOpened]);
+
   // Get app content - prioritize saved app code over generatedApps Map
-  const appData = currentApp?.id === appId ? currentApp : savedApps.find(app => app.id === appId);
+  const appData = savedApps.find(app => app.id === appId) || (currentApp?.id === appId ? currentApp : null);
   const appContent = appData?.code || generatedApps.get(appId);
+  const versions = getVersions(appData);
+  const currentVersionId = getCurrentVersionId(appData);
+  const previewVersion = versions.find(version => version.id === previewVersionId && version.id !== currentVersionId);
+  const displayedCode = previewVersion ? previewVersion.code : appContent;
+
+  // Problems the validator could not fix automatically
+  const codeIssues = useMemo(
+    () => (displayedCode ? getUnresolvedIssues(validateHtml(displayedCode).issues) : []),
+    [displayedCode]
+  );
+
+  // Messages belong to the document that produced them and reset when it changes
+  const consoleEntries = consoleLog.code === displayedCode ? consoleLog.entries : [];
+
+  /**
+   * Download the app with its history as a BYA bundle
+   */
+  const handleExport = () => {
+    downloadFile(JSON.stringify(createBundle([appData]), null, 2), getBundleFileName([appData]), 'application/json');
+  };
 
   /**
    * Navigate back to home screen
@@ -50,15 +114,115 @@ function AppPreview() {
     navigate('/');
   };
 
+  /**
+   * Open the copy made by a remix
+   */
+  const handleRemixed = (copy) => {
+    setShowRemixModal(false);
+    setPreviewVersionId(null);
+    navigate(`/preview/${copy.id}`);
+  };
+
   /**
    * Handle follow-up changes
    */
   const handleFollowUp = async (followUpPrompt) => {
+    setFollowUpStatus(null);
     try {
       await updateAppWithFollowUp(appId, followUpPrompt);
       setShowFollowUpModal(false);
     } catch (error) {
-      console.error('Error applying follow-up:', error);
+      if (isCancelledError(error)) {
+        setFollowUpStatus({ status: 'cancelled', message: error.message });
+      } else {
+        console.error('Error applying follow-up:', error);
+        setFollowUpStatus({ status: 'failed', message: error.message });
+      }
+    }
+  };
+
+  /**
+   * Close the follow-up modal, cancelling any running request
+   */
+  const handleCloseFollowUp = () => {
+    if (isGenerating) {
+      cancelGeneration();
+    }
+    setShowFollowUpModal(false);
+    setFollowUpStatus(null);
+  };
+
+  /**
+   * Record a runtime message from the app, folding repeats into a count
+   */
+  const handleConsoleEntry = (entry) => {
+    setConsoleLog(log => {
+      const entries = log.code === displayedCode ? log.entries : [];
+      const last = entries[entries.length - 1];
+      if (last && last.message === entry.message && last.level === entry.level) {
+        return { code: displayedCode, entries: [...entries.slice(0, -1), { ...last, count: last.count + 1 }] };
+      }
+      return { code: displayedCode, entries: [...entries, { ...entry, count: 1 }].slice(-MAX_CONSOLE_ENTRIES) };
+    });
+  };
+
+  /**
+   * Clear runtime messages and hide code issues for the current document
+   */
+  const handleClearConsole = () => {
+    setConsoleLog({ code: displayedCode, entries: [] });
+    setDismissedIssuesFor(displayedCode);
+    setFixStatus(null);
+  };
+
+  /**
+   * Ask the AI to fix a runtime error through the follow-up flow
+   */
+  const handleFixError = async (entry) => {
+    setFixStatus({ status: 'fixing' });
+    try {
+      await updateAppWithFollowUp(appId, buildErrorFixPrompt(entry));
+      setFixStatus(null);
+    } catch (error) {
+      if (isCancelledError(error)) {
+        setFixStatus({ status: 'cancelled', message: error.message });
+      } else {
+        console.error('Error fixing app:', error);
+        setFixStatus({ status: 'failed', message: error.message });
+      }
+    }
+  };
+
+  /**
+   * Show an earlier revision in the iframe without restoring it
+   */
+  const handlePreviewVersion = (versionId) => {
+    setPreviewVersionId(versionId);
+    setShowHistoryModal(false);
+  };
+
+  /**
+   * Restore an earlier revision as the current version
+   */
+  const handleRestoreVersion = (versionId) => {
+    try {
+      restoreVersion(appId, versionId);
+      setPreviewVersionId(null);
+      setShowHistoryModal(false);
+    } catch (error) {
+      console.error('Error restoring version:', error);
+    }
+  };
+
+  /**
+   * Save code edited in the code view as a new version
+   */
+  const handleSaveCode = (code) => {
+    try {
+      saveCodeEdit(appId, code);
+      setPreviewVersionId(null);
+    } catch (error) {
+      console.error('Error saving code:', error);
     }
   };
 
@@ -99,23 +263,83 @@ function AppPreview() {
             >
               <ArrowLeftIcon className="w-4 h-4" />
             </motion.button>
+            <span className="text-base">{getAppAppearance(appData, categories).icon}</span>
             <div>
               <h1 className="font-medium text-white text-sm">{appData.name}</h1>
+              {appData.remixedFrom && (
+                <p className="text-white/60 text-xs">Remix of {appData.remixedFrom.name}</p>
+              )}
             </div>
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => setShowDetailsModal(true)}
+              className="p-1.5 rounded-lg text-white/70 hover:text-white hover:bg-white/20 transition-all duration-200"
+              title="Edit details"
+            >
+              <PencilSquareIcon className="w-4 h-4" />
+            </motion.button>
           </div>
         </div>
       </div>
 
+      {/* Trashed app banner */}
+      {appData.deletedAt && !previewVersion && (
+        <div className="fixed top-0 left-0 right-0 z-50 bg-notion-warning text-white px-4 py-2 flex items-center justify-between gap-3 text-sm">
+          <span className="truncate">This app is in the Trash</span>
+          <button
+            onClick={() => restoreAppsFromTrash([appData.id])}
+            className="px-3 py-1 rounded-md bg-white/20 hover:bg-white/30 font-medium transition-colors duration-200 flex-shrink-0"
+          >
+            Restore
+          </button>
+        </div>
+      )}
+
+      {/* Earlier version banner */}
+      {previewVersion && (
+        <div className="fixed top-0 left-0 right-0 z-50 bg-notion-accent text-white px-4 py-2 flex items-center justify-between gap-3 text-sm">
+          <span className="truncate">
+            Previewing {getVersionLabel(versions, previewVersion.id)} — {previewVersion.prompt}
+          </span>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <button
+              onClick={() => handleRestoreVersion(previewVersion.id)}
+              className="px-3 py-1 rounded-md bg-white/20 hover:bg-white/30 font-medium transition-colors duration-200"
+            >
+              Restore
+            </button>
+            <button
+              onClick={() => setPreviewVersionId(null)}
+              className="px-3 py-1 rounded-md hover:bg-white/20 font-medium transition-colors duration-200"
+            >
+              Back to current
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* App Content */}
       <div className="relative">
-        <iframe
-          srcDoc={appContent}
+        <SandboxedFrame
+          html={displayedCode}
+          appId={appId}
+          onConsoleEntry={handleConsoleEntry}
           className="w-full h-screen border-none"
           title={appData.name}
-          sandbox="allow-scripts allow-same-origin"
         />
       </div>
 
+      {/* Runtime errors and code issues */}
+      <ConsolePanel
+        entries={consoleEntries}
+        issues={dismissedIssuesFor === displayedCode ? [] : codeIssues}
+        fixStatus={fixStatus}
+        onFix={previewVersion ? null : handleFixError}
+        onCancelFix={cancelGeneration}
+        onClear={handleClearConsole}
+      />
+
       {/* Floating Settings Button */}
       <div className="fixed bottom-6 right-6 z-50">
         <AnimatePresence>
@@ -153,6 +377,59 @@ function AppPreview() {
                 <span className="text-gray-800 font-medium">See Code</span>
               </motion.button>
 
+              {/* Version History */}
+              <motion.button
+                whileHover={{ backgroundColor: '#f8fafc' }}
+                onClick={() => {
+                  setShowHistoryModal(true);
+                  setShowSettingsMenu(false);
+                }}
+                className="w-full px-4 py-3 text-left flex items-center gap-3 hover:bg-gray-50 transition-colors border-t border-gray-100"
+              >
+                <ClockIcon className="w-5 h-5 text-orange-600" />
+                <span className="text-gray-800 font-medium">History</span>
+                <span className="ml-auto text-xs text-gray-500">{versions.length}</span>
+              </motion.button>
+
+              {/* Remix */}
+              <motion.button
+                whileHover={{ backgroundColor: '#f8fafc' }}
+                onClick={() => {
+                  setShowRemixModal(true);
+                  setShowSettingsMenu(false);
+                }}
+                className="w-full px-4 py-3 text-left flex items-center gap-3 hover:bg-gray-50 transition-colors border-t border-gray-100"
+              >
+                <ArrowPathRoundedSquareIcon className="w-5 h-5 text-indigo-600" />
+                <span className="text-gray-800 font-medium">Remix</span>
+              </motion.button>
+
+              {/* Edit Details */}
+              <motion.button
+                whileHover={{ backgroundColor: '#f8fafc' }}
+                onClick={() => {
+                  setShowDetailsModal(true);
+                  setShowSettingsMenu(false);
+                }}
+                className="w-full px-4 py-3 text-left flex items-center gap-3 hover:bg-gray-50 transition-colors border-t border-gray-100"
+              >
+                <PencilSquareIcon className="w-5 h-5 text-pink-600" />
+                <span className="text-gray-800 font-medium">Edit Details</span>
+              </motion.button>
+
+              {/* Export Bundle */}
+              <motion.button
+                whileHover={{ backgroundColor: '#f8fafc' }}
+                onClick={() => {
+                  handleExport();
+                  setShowSettingsMenu(false);
+                }}
+                className="w-full px-4 py-3 text-left flex items-center gap-3 hover:bg-gray-50 transition-colors border-t border-gray-100"
+              >
+                <ArrowDownTrayIcon className="w-5 h-5 text-teal-600" />
+                <span className="text-gray-800 font-medium">Export Bundle</span>
+              </motion.button>
+
               {/* Back to Home */}
               <motion.button
                 whileHover={{ backgroundColor: '#f8fafc' }}
@@ -196,16 +473,47 @@ function AppPreview() {
       {/* Modals */}
       <FollowUpModal
         isOpen={showFollowUpModal}
-        onClose={() => setShowFollowUpModal(false)}
+        onClose={handleCloseFollowUp}
         onSubmit={handleFollowUp}
+        onCancel={cancelGeneration}
         isLoading={isGenerating}
+        status={followUpStatus}
+        thread={getThread(appData)}
+        originalPrompt={appData.prompt}
+        versions={versions}
       />
 
       <CodeModal
         isOpen={showCodeModal}
         onClose={() => setShowCodeModal(false)}
-        code={appContent}
+        code={displayedCode}
+        appId={appData.id}
         appName={appData.name}
+        versions={versions}
+        versionId={previewVersion ? previewVersion.id : currentVersionId}
+        onSave={handleSaveCode}
+      />
+
+      <VersionHistoryModal
+        isOpen={showHistoryModal}
+        onClose={() => setShowHistoryModal(false)}
+        versions={versions}
+        currentVersionId={currentVersionId}
+        onPreview={handlePreviewVersion}
+        onRestore={handleRestoreVersion}
+      />
+
+      <AppDetailsModal
+        isOpen={showDetailsModal}
+        onClose={() => setShowDetailsModal(false)}
+        app={appData}
+      />
+
+      <RemixModal
+        isOpen={showRemixModal}
+        onClose={() => setShowRemixModal(false)}
+        app={appData}
+        onRemixed={handleRemixed}
       />
     </motion.div>
   );
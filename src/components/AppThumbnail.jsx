@@ -0,0 +1,28 @@
+import React from 'react';
+import { getThumbnailUrl } from '../utils/thumbnails';
+
+/**
+ * AppThumbnail component - Captured preview of an app, or its icon until one exists
+ * Images load lazily so long libraries only decode what is on screen
+ */
+function AppThumbnail({ app, icon, className = '' }) {
+  const url = getThumbnailUrl(app);
+
+  return (
+    <div className={`overflow-hidden bg-notion-bg flex items-center justify-center ${className}`}>
+      {url ? (
+        <img
+          src={url}
+          alt=""
+          loading="lazy"
+          decoding="async"
+          className="w-full h-full object-cover object-top"
+        />
+      ) : (
+        <span>{icon}</span>
+      )}
+    </div>
+  );
+}
+
+export default AppThumbnail;
@@ -0,0 +1,231 @@
+import React, { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArchiveBoxIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
+import { createBackup, getBackupFileName, parseBackup, findDuplicateApps } from '../utils/backup';
+import { downloadFile } from '../utils/download';
+
+const RESTORE_MODES = [
+  { id: 'merge', label: 'Merge' },
+  { id: 'replace', label: 'Replace' }
+];
+
+/**
+ * BackupPanel component - Download the whole app library and restore it
+ * from a backup file, merging with or replacing the current apps
+ */
+function BackupPanel() {
+  const { savedApps, folders, restoreLibrary } = useApp();
+  const fileInputRef = useRef(null);
+
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [overwriteDuplicates, setOverwriteDuplicates] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const duplicates = pending ? findDuplicateApps(savedApps, pending.apps) : [];
+
+  /**
+   * Download every app and its stored data
+   */
+  const handleDownload = () => {
+    downloadFile(JSON.stringify(createBackup(savedApps, { folders }), null, 2), getBackupFileName(), 'application/json');
+  };
+
+  /**
+   * Read and validate a backup file before asking how to restore it
+   */
+  const handleFileSelected = async (file) => {
+    if (!file) return;
+    setMessage(null);
+    try {
+      const backup = parseBackup(await file.text(), file.name);
+      setPending({ ...backup, fileName: file.name });
+      setMode('merge');
+      setOverwriteDuplicates(false);
+    } catch (error) {
+      console.error('Failed to read backup:', error);
+      setPending(null);
+      setMessage({ status: 'error', text: error.message });
+    }
+  };
+
+  /**
+   * Apply the pending backup with the chosen options
+   */
+  const handleRestore = () => {
+    if (mode === 'replace' && savedApps.length > 0 &&
+      !window.confirm(`Replace all ${savedApps.length} apps in your library with the ${pending.apps.length} apps in this backup? Apps not in the backup will be deleted.`)) {
+      return;
+    }
+
+    try {
+      const { restored, skipped, removed } = restoreLibrary(pending, { mode, overwriteDuplicates });
+      const details = [
+        skipped > 0 && `${skipped} already in your library skipped`,
+        removed > 0 && `${removed} removed`
+      ].filter(Boolean).join(', ');
+      setMessage({
+        status: 'success',
+        text: `Restored ${restored} app${restored === 1 ? '' : 's'}${details ? ` (${details})` : ''}.`
+      });
+      setPending(null);
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+      setMessage({ status: 'error', text: `Failed to restore backup: ${error.message}` });
+    }
+  };
+
+  /**
+   * Format a backup date for display
+   */
+  const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  return (
+    <section className="notion-card space-y-4">
+      <div className="flex items-center gap-3">
+        <ArchiveBoxIcon className="w-5 h-5 text-notion-accent" />
+        <h2 className="font-semibold text-notion-text">Backup & Restore</h2>
+      </div>
+      <p className="text-notion-muted text-xs leading-relaxed">
+        Apps are only stored in this browser. Download a backup of every app, its version history and saved data to keep them safe when browser data is cleared.
+      </p>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="hidden"
+        onChange={(e) => {
+          handleFileSelected(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+
+      <div className="grid grid-cols-2 gap-2">
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          type="button"
+          onClick={handleDownload}
+          disabled={savedApps.length === 0}
+          className="notion-button-secondary flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          <ArrowDownTrayIcon className="w-4 h-4" />
+          Download
+        </motion.button>
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="notion-button-secondary flex items-center justify-center gap-2"
+        >
+          <ArrowUpTrayIcon className="w-4 h-4" />
+          Restore
+        </motion.button>
+      </div>
+
+      {pending && (
+        <div className="rounded-lg border border-notion-border p-4 space-y-4">
+          <div>
+            <p className="text-notion-text text-sm font-medium break-words">{pending.fileName}</p>
+            <p className="text-notion-muted text-xs mt-1">
+              {pending.apps.length} app{pending.apps.length === 1 ? '' : 's'}
+              {pending.createdAt && ` · backed up ${formatDate(pending.createdAt)}`}
+              {duplicates.length > 0 && ` · ${duplicates.length} already in your library`}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            {RESTORE_MODES.map(restoreMode => (
+              <button
+                key={restoreMode.id}
+                type="button"
+                onClick={() => setMode(restoreMode.id)}
+                className={`
+                  py-2 rounded-lg border text-sm font-medium transition-all duration-200
+                  ${mode === restoreMode.id
+                    ? 'border-notion-accent bg-notion-accent/10 text-notion-accent'
+                    : 'border-notion-border text-notion-muted hover:text-notion-text'
+                  }
+                `}
+              >
+                {restoreMode.label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'merge' ? (
+            duplicates.length > 0 ? (
+              <label className="flex items-start gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={overwriteDuplicates}
+                  onChange={(e) => setOverwriteDuplicates(e.target.checked)}
+                  className="mt-1 w-4 h-4 accent-notion-accent"
+                />
+                <span className="text-notion-muted text-xs leading-relaxed">
+                  Overwrite the {duplicates.length} app{duplicates.length === 1 ? '' : 's'} with the same id ({duplicates.slice(0, 3).map(app => app.name).join(', ')}{duplicates.length > 3 ? ', ...' : ''}). Otherwise your current copies are kept.
+                </span>
+              </label>
+            ) : (
+              <p className="text-notion-muted text-xs">Apps from the backup are added next to your current apps.</p>
+            )
+          ) : (
+            <p className="text-notion-warning text-xs leading-relaxed">
+              Your library is replaced by the backup. {savedApps.length} current app{savedApps.length === 1 ? '' : 's'} and {savedApps.length === 1 ? 'its' : 'their'} saved data will be removed.
+            </p>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setPending(null)}
+              className="notion-button-secondary flex-1"
+            >
+              Cancel
+            </button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="button"
+              onClick={handleRestore}
+              className="notion-button flex-1"
+            >
+              Restore
+            </motion.button>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div className={`
+          flex items-start gap-2 text-sm
+          ${message.status === 'success' ? 'text-notion-success' : 'text-notion-error'}
+        `}>
+          {message.status === 'success' ? (
+            <CheckCircleIcon className="w-5 h-5 flex-shrink-0" />
+          ) : (
+            <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+          )}
+          <span className="break-words">{message.text}</span>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default BackupPanel;
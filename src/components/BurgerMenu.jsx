@@ -5,14 +5,19 @@ import {
   Bars3Icon, 
   HomeIcon, 
   RectangleStackIcon, 
-  PlusIcon 
+  PlusIcon,
+  Cog6ToothIcon,
+  TrashIcon,
+  FolderIcon
 } from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
 
 /**
  * BurgerMenu component - Mobile navigation menu
- * Notion-like design with smooth animations
+ * Notion-like design with smooth animations; folders are listed under My Apps
  */
 function BurgerMenu() {
+  const { folders } = useApp();
   const [isOpen, setIsOpen] = useState(false);
   const menuRef = useRef(null);
   const navigate = useNavigate();
@@ -40,6 +45,16 @@ function BurgerMenu() {
     setIsOpen(false);
   };
 
+  const openFolderId = location.pathname === '/my-apps' ? new URLSearchParams(location.search).get('folder') : null;
+
+  const folderItems = folders.map(folder => ({
+    icon: FolderIcon,
+    label: folder.name,
+    path: `/my-apps?folder=${encodeURIComponent(folder.id)}`,
+    isActive: openFolderId === folder.id,
+    isNested: true
+  }));
+
   const menuItems = [
     {
       icon: HomeIcon,
@@ -51,13 +66,26 @@ function BurgerMenu() {
       icon: RectangleStackIcon,
       label: 'My Apps',
       path: '/my-apps',
-      isActive: location.pathname === '/my-apps'
+      isActive: location.pathname === '/my-apps' && !folderItems.some(item => item.isActive)
     },
+    ...folderItems,
     {
       icon: PlusIcon,
       label: 'New App',
       path: '/',
       isActive: false
+    },
+    {
+      icon: TrashIcon,
+      label: 'Trash',
+      path: '/trash',
+      isActive: location.pathname === '/trash'
+    },
+    {
+      icon: Cog6ToothIcon,
+      label: 'Settings',
+      path: '/settings',
+      isActive: location.pathname === '/settings'
     }
   ];
 
@@ -92,7 +120,7 @@ function BurgerMenu() {
               animate={{ opacity: 1, scale: 1, y: 0 }}
               exit={{ opacity: 0, scale: 0.95, y: -10 }}
               transition={{ duration: 0.15 }}
-              className="absolute right-0 top-full mt-2 w-48 bg-notion-card border border-notion-border rounded-lg shadow-xl z-50 overflow-hidden"
+              className="absolute right-0 top-full mt-2 w-48 max-h-[70vh] overflow-y-auto bg-notion-card border border-notion-border rounded-lg shadow-xl z-50"
             >
               {menuItems.map((item, index) => {
                 const Icon = item.icon;
@@ -104,7 +132,7 @@ function BurgerMenu() {
                     transition={{ delay: index * 0.05 }}
                     onClick={() => handleNavigation(item.path)}
                     className={`
-                      w-full flex items-center gap-3 px-4 py-3 text-left transition-all duration-200
+                      w-full flex items-center gap-3 ${item.isNested ? 'pl-8 pr-4 py-2' : 'px-4 py-3'} text-left transition-all duration-200
                       hover:bg-notion-accent/10 hover:text-notion-accent
                       ${item.isActive 
                         ? 'bg-notion-accent/10 text-notion-accent border-r-2 border-notion-accent' 
@@ -112,8 +140,8 @@ function BurgerMenu() {
                       }
                     `}
                   >
-                    <Icon className="w-4 h-4" />
-                    <span className="font-medium text-sm">{item.label}</span>
+                    <Icon className="w-4 h-4 flex-shrink-0" />
+                    <span className={`text-sm truncate ${item.isNested ? '' : 'font-medium'}`}>{item.label}</span>
                   </motion.button>
                 );
               })}
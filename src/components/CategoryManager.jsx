@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { TagIcon, PencilSquareIcon, TrashIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
+import { CATEGORY_COLORS, createCategory } from '../utils/categories';
+
+const EMPTY_FORM = { id: null, label: '', icon: '', color: CATEGORY_COLORS[0] };
+
+/**
+ * CategoryManager component - Add, edit and remove the user's own app categories
+ * Built-in categories are listed for reference but cannot be changed
+ */
+function CategoryManager() {
+  const { categories, customCategories, activeApps, saveCustomCategories } = useApp();
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState('');
+
+  const countApps = (categoryId) => activeApps.filter(app => app.type === categoryId).length;
+
+  /**
+   * Save the form as a new category or over the one being edited
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const label = form.label.trim();
+    if (!label) {
+      setError('Enter a category name.');
+      return;
+    }
+    if (categories.some(category => category.id !== form.id && category.label.toLowerCase() === label.toLowerCase())) {
+      setError(`A category named "${label}" already exists.`);
+      return;
+    }
+
+    if (form.id) {
+      saveCustomCategories(customCategories.map(category => (
+        category.id === form.id ? { ...category, label, icon: form.icon.trim() || category.icon, color: form.color } : category
+      )));
+    } else {
+      saveCustomCategories([...customCategories, createCategory({ label, icon: form.icon.trim(), color: form.color }, categories)]);
+    }
+    setForm(null);
+    setError('');
+  };
+
+  /**
+   * Remove a category after confirming when apps still use it
+   */
+  const handleDelete = (category) => {
+    const count = countApps(category.id);
+    if (count > 0 && !window.confirm(`Delete "${category.label}"? ${count} app${count === 1 ? '' : 's'} will move to Other.`)) {
+      return;
+    }
+    saveCustomCategories(customCategories.filter(item => item.id !== category.id));
+    if (form?.id === category.id) setForm(null);
+  };
+
+  return (
+    <section className="notion-card space-y-4">
+      <div className="flex items-center gap-3">
+        <TagIcon className="w-5 h-5 text-notion-accent" />
+        <h2 className="font-semibold text-notion-text">Categories</h2>
+      </div>
+      <p className="text-notion-muted text-xs leading-relaxed">
+        New apps are sorted into these categories automatically. Add your own to group apps your way.
+      </p>
+
+      <ul className="space-y-2">
+        {categories.map(category => (
+          <li key={category.id} className="flex items-center gap-3 rounded-lg border border-notion-border px-3 py-2">
+            <span className={`w-8 h-8 rounded-lg bg-gradient-to-br ${category.color} flex items-center justify-center text-base`}>
+              {category.icon}
+            </span>
+            <div className="flex-1 min-w-0">
+              <p className="text-notion-text text-sm font-medium truncate">{category.label}</p>
+              <p className="text-notion-muted text-xs">
+                {category.builtIn ? 'Built-in' : 'Custom'} · {countApps(category.id)} app{countApps(category.id) === 1 ? '' : 's'}
+              </p>
+            </div>
+            {!category.builtIn && (
+              <div className="flex items-center gap-1">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setForm({ id: category.id, label: category.label, icon: category.icon, color: category.color });
+                    setError('');
+                  }}
+                  className="p-2 rounded-lg text-notion-muted hover:text-notion-accent hover:bg-notion-bg transition-all duration-200"
+                  title="Edit category"
+                >
+                  <PencilSquareIcon className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(category)}
+                  className="p-2 rounded-lg text-notion-muted hover:text-red-400 hover:bg-notion-bg transition-all duration-200"
+                  title="Delete category"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {form ? (
+        <form onSubmit={handleSubmit} className="rounded-lg border border-notion-border p-4 space-y-4">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={form.icon}
+              onChange={(e) => setForm({ ...form, icon: e.target.value })}
+              placeholder="📁"
+              maxLength={4}
+              aria-label="Category icon"
+              className="notion-input w-16 text-center"
+            />
+            <input
+              type="text"
+              value={form.label}
+              onChange={(e) => setForm({ ...form, label: e.target.value })}
+              placeholder="Category name"
+              maxLength={32}
+              aria-label="Category name"
+              className="notion-input flex-1"
+              autoFocus
+            />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {CATEGORY_COLORS.map(color => (
+              <button
+                key={color}
+                type="button"
+                onClick={() => setForm({ ...form, color })}
+                className={`w-7 h-7 rounded-full bg-gradient-to-br ${color} ${form.color === color ? 'ring-2 ring-notion-accent ring-offset-2 ring-offset-notion-card' : ''}`}
+                aria-label={`Use color ${color}`}
+              />
+            ))}
+          </div>
+          {error && <p className="text-notion-error text-xs">{error}</p>}
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                setForm(null);
+                setError('');
+              }}
+              className="notion-button-secondary flex-1"
+            >
+              Cancel
+            </button>
+            <button type="submit" className="notion-button flex-1">
+              {form.id ? 'Save' : 'Add'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          type="button"
+          onClick={() => setForm(EMPTY_FORM)}
+          className="notion-button-secondary w-full flex items-center justify-center gap-2"
+        >
+          <PlusIcon className="w-4 h-4" />
+          Add Category
+        </motion.button>
+      )}
+    </section>
+  );
+}
+
+export default CategoryManager;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+/**
+ * CategoryPicker component - Grid of categories from the shared registry
+ */
+function CategoryPicker({ categories, value, onChange }) {
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      {categories.map(category => (
+        <button
+          key={category.id}
+          type="button"
+          onClick={() => onChange(category.id)}
+          className={`
+            flex items-center gap-2 px-3 py-2 rounded-lg border text-sm font-medium text-left transition-all duration-200
+            ${value === category.id
+              ? 'border-notion-accent bg-notion-accent/10 text-notion-accent'
+              : 'border-notion-border text-notion-muted hover:text-notion-text'
+            }
+          `}
+        >
+          <span className="text-base">{category.icon}</span>
+          <span className="truncate">{category.label}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default CategoryPicker;
@@ -0,0 +1,361 @@
+import React, { useState, useMemo, useRef, useLayoutEffect } from 'react';
+import {
+  MagnifyingGlassIcon,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  XMarkIcon,
+  ArrowUturnLeftIcon,
+  ArrowUturnRightIcon
+} from '@heroicons/react/24/outline';
+import { highlightCode } from '../utils/highlight';
+import { countNewlines } from '../utils/streaming';
+
+// Matches the leading-5 line height used by the editor layers
+const LINE_HEIGHT_PX = 20;
+
+// Undo steps kept per editing session
+const HISTORY_LIMIT = 200;
+
+// Keystrokes closer together than this are undone as one step
+const HISTORY_GROUP_MS = 800;
+
+// Most search matches tracked at once
+const MAX_MATCHES = 1000;
+
+// Inserted when pressing Tab
+const INDENT = '  ';
+
+/**
+ * Find case-insensitive occurrences of a query
+ */
+function findMatches(text, query) {
+  if (!query) return [];
+  const haystack = text.toLowerCase();
+  const needle = query.toLowerCase();
+  const matches = [];
+  let index = haystack.indexOf(needle);
+  while (index !== -1 && matches.length < MAX_MATCHES) {
+    matches.push(index);
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return matches;
+}
+
+/**
+ * CodeEditor component - Highlighted code editor with line numbers,
+ * search/replace and undo history
+ * A transparent textarea sits on top of the highlighted markup
+ */
+function CodeEditor({ value, onChange, onSave }) {
+  const textareaRef = useRef(null);
+  const scrollRef = useRef(null);
+  const historyRef = useRef({ undo: [], redo: [], lastChangeAt: 0 });
+  const pendingSelectionRef = useRef(null);
+
+  const [showSearch, setShowSearch] = useState(false);
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [matchIndex, setMatchIndex] = useState(0);
+  const [historySize, setHistorySize] = useState({ undo: 0, redo: 0 });
+
+  const highlighted = useMemo(() => highlightCode(value), [value]);
+  const lineNumbers = useMemo(
+    () => Array.from({ length: countNewlines(value) + 1 }, (_, index) => index + 1).join('\n'),
+    [value]
+  );
+  const matches = useMemo(() => findMatches(value, query), [value, query]);
+  const activeMatch = matches.length > 0 ? Math.min(matchIndex, matches.length - 1) : -1;
+
+  // Restore the selection after undo, redo and programmatic edits
+  useLayoutEffect(() => {
+    const selection = pendingSelectionRef.current;
+    const textarea = textareaRef.current;
+    if (selection && textarea) {
+      textarea.focus();
+      textarea.setSelectionRange(selection.start, selection.end);
+      pendingSelectionRef.current = null;
+    }
+  }, [value]);
+
+  /**
+   * Current selection of the textarea
+   */
+  const getSelection = () => ({
+    start: textareaRef.current?.selectionStart ?? 0,
+    end: textareaRef.current?.selectionEnd ?? 0
+  });
+
+  /**
+   * Sync the undo/redo button states with the history stacks
+   */
+  const updateHistorySize = () => {
+    const { undo, redo } = historyRef.current;
+    setHistorySize({ undo: undo.length, redo: redo.length });
+  };
+
+  /**
+   * Replace the code, recording the previous state for undo
+   * Typing is grouped into one step; other edits always start a new step
+   */
+  const applyChange = (nextValue, selection, { group = false } = {}) => {
+    const history = historyRef.current;
+    const now = Date.now();
+    if (!group || now - history.lastChangeAt > HISTORY_GROUP_MS) {
+      history.undo.push({ value, selection: getSelection() });
+      if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    }
+    history.lastChangeAt = group ? now : 0;
+    history.redo = [];
+    updateHistorySize();
+
+    pendingSelectionRef.current = selection;
+    onChange(nextValue);
+  };
+
+  /**
+   * Step back or forward through the edit history
+   */
+  const stepHistory = (from, to) => {
+    const history = historyRef.current;
+    const entry = history[from].pop();
+    if (!entry) return;
+    history[to].push({ value, selection: getSelection() });
+    history.lastChangeAt = 0;
+    updateHistorySize();
+
+    pendingSelectionRef.current = entry.selection;
+    onChange(entry.value);
+  };
+
+  const handleUndo = () => stepHistory('undo', 'redo');
+  const handleRedo = () => stepHistory('redo', 'undo');
+
+  /**
+   * Scroll a character offset into the middle of the editor
+   */
+  const scrollToOffset = (offset) => {
+    const container = scrollRef.current;
+    if (!container) return;
+    const line = countNewlines(value.slice(0, offset));
+    container.scrollTop = Math.max(0, line * LINE_HEIGHT_PX - container.clientHeight / 2);
+  };
+
+  /**
+   * Select a search match in the editor
+   */
+  const goToMatch = (index) => {
+    if (matches.length === 0) return;
+    const nextIndex = (index + matches.length) % matches.length;
+    const start = matches[nextIndex];
+    setMatchIndex(nextIndex);
+    textareaRef.current?.focus();
+    textareaRef.current?.setSelectionRange(start, start + query.length);
+    scrollToOffset(start);
+  };
+
+  /**
+   * Replace the selected match and move on to the next one
+   */
+  const handleReplace = () => {
+    if (activeMatch === -1) return;
+    const start = matches[activeMatch];
+    const nextValue = value.slice(0, start) + replacement + value.slice(start + query.length);
+    const caret = start + replacement.length;
+    applyChange(nextValue, { start: caret, end: caret });
+  };
+
+  /**
+   * Replace every match at once
+   */
+  const handleReplaceAll = () => {
+    if (matches.length === 0) return;
+    let nextValue = '';
+    let last = 0;
+    for (const start of matches) {
+      nextValue += value.slice(last, start) + replacement;
+      last = start + query.length;
+    }
+    nextValue += value.slice(last);
+    applyChange(nextValue, { start: 0, end: 0 });
+  };
+
+  /**
+   * Editor shortcuts: Tab indents, Cmd/Ctrl+Z/Y undo and redo,
+   * Cmd/Ctrl+F searches and Cmd/Ctrl+S saves
+   */
+  const handleKeyDown = (e) => {
+    const mod = e.metaKey || e.ctrlKey;
+    const key = e.key.toLowerCase();
+
+    if (e.key === 'Tab' && !mod) {
+      e.preventDefault();
+      const { start, end } = getSelection();
+      const caret = start + INDENT.length;
+      applyChange(value.slice(0, start) + INDENT + value.slice(end), { start: caret, end: caret });
+    } else if (mod && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) handleRedo();
+      else handleUndo();
+    } else if (mod && key === 'y') {
+      e.preventDefault();
+      handleRedo();
+    } else if (mod && key === 'f') {
+      e.preventDefault();
+      setShowSearch(true);
+    } else if (mod && key === 's') {
+      e.preventDefault();
+      onSave?.();
+    }
+  };
+
+  /**
+   * Search box shortcuts: Enter finds next, Shift+Enter previous, Escape closes
+   */
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      goToMatch(e.shiftKey ? activeMatch - 1 : activeMatch + 1);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      setShowSearch(false);
+      textareaRef.current?.focus();
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-full min-h-0">
+      {/* Toolbar */}
+      <div className="flex items-center gap-1 px-4 py-2 border-b border-notion-border">
+        <button
+          onClick={handleUndo}
+          disabled={historySize.undo === 0}
+          className="p-1.5 rounded-lg text-notion-muted hover:text-notion-text hover:bg-notion-bg disabled:opacity-30 disabled:hover:bg-transparent"
+          title="Undo"
+        >
+          <ArrowUturnLeftIcon className="w-4 h-4" />
+        </button>
+        <button
+          onClick={handleRedo}
+          disabled={historySize.redo === 0}
+          className="p-1.5 rounded-lg text-notion-muted hover:text-notion-text hover:bg-notion-bg disabled:opacity-30 disabled:hover:bg-transparent"
+          title="Redo"
+        >
+          <ArrowUturnRightIcon className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => setShowSearch(!showSearch)}
+          className={`
+            p-1.5 rounded-lg hover:bg-notion-bg
+            ${showSearch ? 'text-notion-accent' : 'text-notion-muted hover:text-notion-text'}
+          `}
+          title="Search and replace"
+        >
+          <MagnifyingGlassIcon className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Search and replace */}
+      {showSearch && (
+        <div className="flex flex-wrap items-center gap-2 px-4 py-2 border-b border-notion-border">
+          <div className="flex items-center gap-1 flex-1 min-w-[12rem]">
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setMatchIndex(0);
+              }}
+              onKeyDown={handleSearchKeyDown}
+              placeholder="Find"
+              autoFocus
+              className="notion-input flex-1 min-w-0 px-3 py-1.5 text-sm"
+            />
+            <span className="text-notion-muted text-xs w-14 text-center flex-shrink-0">
+              {query ? `${activeMatch + 1}/${matches.length}` : ''}
+            </span>
+            <button
+              onClick={() => goToMatch(activeMatch - 1)}
+              disabled={matches.length === 0}
+              className="p-1.5 rounded-lg text-notion-muted hover:text-notion-text disabled:opacity-30"
+              title="Previous match"
+            >
+              <ChevronUpIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => goToMatch(activeMatch + 1)}
+              disabled={matches.length === 0}
+              className="p-1.5 rounded-lg text-notion-muted hover:text-notion-text disabled:opacity-30"
+              title="Next match"
+            >
+              <ChevronDownIcon className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="flex items-center gap-1 flex-1 min-w-[12rem]">
+            <input
+              type="text"
+              value={replacement}
+              onChange={(e) => setReplacement(e.target.value)}
+              onKeyDown={handleSearchKeyDown}
+              placeholder="Replace"
+              className="notion-input flex-1 min-w-0 px-3 py-1.5 text-sm"
+            />
+            <button
+              onClick={handleReplace}
+              disabled={matches.length === 0}
+              className="px-2 py-1.5 rounded-lg text-xs font-medium text-notion-muted hover:text-notion-text disabled:opacity-30"
+            >
+              Replace
+            </button>
+            <button
+              onClick={handleReplaceAll}
+              disabled={matches.length === 0}
+              className="px-2 py-1.5 rounded-lg text-xs font-medium text-notion-muted hover:text-notion-text disabled:opacity-30"
+            >
+              All
+            </button>
+            <button
+              onClick={() => setShowSearch(false)}
+              className="p-1.5 rounded-lg text-notion-muted hover:text-notion-text"
+              title="Close search"
+            >
+              <XMarkIcon className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Editor */}
+      <div ref={scrollRef} className="flex-1 min-h-0 overflow-auto">
+        <div className="flex min-w-max font-mono text-sm leading-5">
+          <pre
+            aria-hidden="true"
+            className="sticky left-0 z-10 py-4 pl-4 pr-3 text-right text-notion-muted/50 bg-notion-card select-none"
+          >
+            {lineNumbers}
+          </pre>
+          <div className="relative">
+            <pre
+              aria-hidden="true"
+              className="py-4 pr-6 whitespace-pre text-notion-text"
+              dangerouslySetInnerHTML={{ __html: `${highlighted}\n` }}
+            />
+            <textarea
+              ref={textareaRef}
+              value={value}
+              onChange={(e) => applyChange(e.target.value, null, { group: true })}
+              onKeyDown={handleKeyDown}
+              wrap="off"
+              spellCheck={false}
+              autoCapitalize="off"
+              autoComplete="off"
+              aria-label="Code editor"
+              className="absolute inset-0 w-full h-full py-4 pr-6 m-0 border-0 bg-transparent text-transparent caret-white resize-none overflow-hidden outline-none font-mono text-sm leading-5 whitespace-pre selection:bg-notion-accent/30"
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CodeEditor;
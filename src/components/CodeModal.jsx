@@ -1,65 +1,173 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   XMarkIcon, 
   DocumentDuplicateIcon,
   CheckIcon,
   CodeBracketIcon,
-  ArrowDownTrayIcon
+  ArrowDownTrayIcon,
+  EyeIcon
 } from '@heroicons/react/24/outline';
+import DiffView from './DiffView';
+import CodeEditor from './CodeEditor';
+import SandboxedFrame from './SandboxedFrame';
+import { diffLines, countChanges } from '../utils/diff';
+import { getVersionLabel } from '../utils/versions';
+import { highlightCode } from '../utils/highlight';
+import { downloadFile, toFileBaseName } from '../utils/download';
+
+// Pause in typing before the live preview reloads
+const PREVIEW_DELAY_MS = 600;
 
 /**
  * CodeModal component - Display and manage app source code
- * Mobile-first design with syntax highlighting
+ * Mobile-first design with syntax highlighting, an editor with live preview
+ * and a diff view between versions. The live preview runs like the real app,
+ * with access to the app's saved data
  */
-function CodeModal({ isOpen, onClose, code, appName }) {
-  const [copied, setCopied] = useState(false);
+function CodeModal({ isOpen, onClose, code, appId, appName, versions = [], versionId, onSave }) {
+  const [copied, setCopied] = useState(null);
+  const [view, setView] = useState('code');
+  const [diffMode, setDiffMode] = useState('unified');
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [draft, setDraft] = useState(code);
+  const [showLivePreview, setShowLivePreview] = useState(false);
+  const [previewCode, setPreviewCode] = useState(code);
+
+  const hasUnsavedChanges = view === 'edit' && draft !== code;
+
+  // Reload the live preview once typing pauses
+  useEffect(() => {
+    if (view !== 'edit' || !showLivePreview) return;
+    const timer = setTimeout(() => setPreviewCode(draft), PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [view, showLivePreview, draft]);
+
+  // Compare the shown version with the one before it unless the user picks others
+  const toVersion = versions.find(version => version.id === toId)
+    || versions.find(version => version.id === versionId)
+    || versions[versions.length - 1];
+  const fromVersion = versions.find(version => version.id === fromId)
+    || versions[versions.indexOf(toVersion) - 1]
+    || versions[0];
+  const canCompare = versions.length > 1;
+  const tabs = [
+    { id: 'code', label: 'Code' },
+    onSave && { id: 'edit', label: 'Edit' },
+    canCompare && { id: 'changes', label: 'Changes' }
+  ].filter(Boolean);
+
+  const diff = useMemo(
+    () => (isOpen && view === 'changes' && fromVersion && toVersion ? diffLines(fromVersion.code, toVersion.code) : null),
+    [isOpen, view, fromVersion, toVersion]
+  );
+  const changeCounts = diff ? countChanges(diff) : null;
+  const highlighted = useMemo(
+    () => (isOpen && view === 'code' ? highlightCode(code) : ''),
+    [isOpen, view, code]
+  );
+
+  const fileBaseName = toFileBaseName(appName);
+
+  /**
+   * Close the modal and reset the editor and diff selection
+   */
+  const handleClose = () => {
+    if (hasUnsavedChanges && !window.confirm('Discard your unsaved changes?')) {
+      return;
+    }
+    setView('code');
+    setShowLivePreview(false);
+    setFromId(null);
+    setToId(null);
+    onClose();
+  };
+
+  /**
+   * Switch between the code, edit and changes views
+   */
+  const handleViewChange = (nextView) => {
+    if (hasUnsavedChanges && !window.confirm('Discard your unsaved changes?')) {
+      return;
+    }
+    if (nextView === 'edit') {
+      setDraft(code);
+      setPreviewCode(code);
+    }
+    setView(nextView);
+  };
+
+  /**
+   * Save the edited code as a new version
+   */
+  const handleSave = () => {
+    if (!hasUnsavedChanges) return;
+    onSave(draft);
+  };
 
   /**
-   * Copy code to clipboard
+   * Copy text to clipboard, marking which button was used
    */
-  const handleCopyCode = async () => {
+  const handleCopy = async (text, key) => {
     try {
-      await navigator.clipboard.writeText(code);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+      await navigator.clipboard.writeText(text);
+      setCopied(key);
+      setTimeout(() => setCopied(null), 2000);
     } catch (error) {
       console.error('Failed to copy code:', error);
     }
   };
 
   /**
-   * Download code as HTML file
+   * Download text as HTML file
    */
-  const handleDownloadCode = () => {
-    const blob = new Blob([code], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${appName.toLowerCase().replace(/\s+/g, '-')}.html`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  const handleDownload = (text, fileName) => {
+    downloadFile(text, `${fileName}.html`, 'text/html');
   };
 
   /**
-   * Simple syntax highlighting for HTML
+   * Label for a version in the compare selects
    */
-  const highlightCode = (code) => {
-    return code
-      .replace(/(&lt;\/?[^&gt;]+&gt;)/g, '<span class="text-blue-400">$1</span>')
-      .replace(/(\b(?:function|const|let|var|if|else|for|while|return)\b)/g, '<span class="text-purple-400">$1</span>')
-      .replace(/(\b\d+\b)/g, '<span class="text-green-400">$1</span>')
-      .replace(/(["\'])((?:\\.|(?!\1)[^\\])*)\1/g, '<span class="text-yellow-400">$1$2$1</span>')
-      .replace(/(\/\/.*$)/gm, '<span class="text-gray-500">$1</span>');
+  const formatVersionOption = (version) => {
+    const prompt = version.prompt || '';
+    return `${getVersionLabel(versions, version.id)} — ${prompt.length > 40 ? `${prompt.slice(0, 40)}...` : prompt}`;
   };
 
-  // Escape HTML for display
-  const escapedCode = code
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+  /**
+   * Version picker with copy and download buttons for one side of the diff
+   */
+  const renderSidePicker = (side, version, onChange) => (
+    <div className="flex items-center gap-1 min-w-0 flex-1">
+      <select
+        value={version?.id || ''}
+        onChange={(e) => onChange(e.target.value)}
+        className="notion-input flex-1 min-w-0 py-1.5 text-sm"
+        aria-label={side === 'from' ? 'Compare from version' : 'Compare to version'}
+      >
+        {versions.map(option => (
+          <option key={option.id} value={option.id}>{formatVersionOption(option)}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => handleCopy(version.code, side)}
+        className={`
+          p-2 rounded-lg transition-all duration-200 flex-shrink-0
+          ${copied === side ? 'bg-green-500/20 text-green-400' : 'hover:bg-notion-bg text-notion-muted hover:text-notion-text'}
+        `}
+        title="Copy this version"
+      >
+        {copied === side ? <CheckIcon className="w-4 h-4" /> : <DocumentDuplicateIcon className="w-4 h-4" />}
+      </button>
+      <button
+        onClick={() => handleDownload(version.code, `${fileBaseName}-${getVersionLabel(versions, version.id)}`)}
+        className="p-2 rounded-lg hover:bg-notion-bg transition-colors duration-200 text-notion-muted hover:text-notion-text flex-shrink-0"
+        title="Download this version"
+      >
+        <ArrowDownTrayIcon className="w-4 h-4" />
+      </button>
+    </div>
+  );
 
   return (
     <AnimatePresence>
@@ -69,7 +177,7 @@ function CodeModal({ isOpen, onClose, code, appName }) {
           animate={{ opacity: 1 }}
           exit={{ opacity: 0 }}
           className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-center justify-center p-4"
-          onClick={onClose}
+          onClick={handleClose}
         >
           <motion.div
             initial={{ opacity: 0, scale: 0.9, y: 20 }}
@@ -77,7 +185,10 @@ function CodeModal({ isOpen, onClose, code, appName }) {
             exit={{ opacity: 0, scale: 0.9, y: 20 }}
             transition={{ duration: 0.3 }}
             onClick={(e) => e.stopPropagation()}
-            className="bg-notion-card border border-notion-border rounded-xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col"
+            className={`
+              bg-notion-card border border-notion-border rounded-xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col
+              ${view === 'edit' ? 'h-[90vh]' : ''}
+            `}
           >
             {/* Header */}
             <div className="flex items-center justify-between p-6 border-b border-notion-border">
@@ -92,43 +203,80 @@ function CodeModal({ isOpen, onClose, code, appName }) {
               </div>
               
               <div className="flex items-center gap-2">
-                {/* Download Button */}
-                <motion.button
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={handleDownloadCode}
-                  className="p-2 rounded-lg hover:bg-notion-bg transition-colors duration-200 text-notion-muted hover:text-notion-text"
-                  title="Download HTML file"
-                >
-                  <ArrowDownTrayIcon className="w-5 h-5" />
-                </motion.button>
-                
-                {/* Copy Button */}
-                <motion.button
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={handleCopyCode}
-                  className={`
-                    p-2 rounded-lg transition-all duration-200
-                    ${copied 
-                      ? 'bg-green-500/20 text-green-400' 
-                      : 'hover:bg-notion-bg text-notion-muted hover:text-notion-text'
-                    }
-                  `}
-                  title="Copy to clipboard"
-                >
-                  {copied ? (
-                    <CheckIcon className="w-5 h-5" />
-                  ) : (
-                    <DocumentDuplicateIcon className="w-5 h-5" />
-                  )}
-                </motion.button>
+                {view === 'edit' && (
+                  <>
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => setShowLivePreview(!showLivePreview)}
+                      className={`
+                        p-2 rounded-lg transition-colors duration-200 hover:bg-notion-bg
+                        ${showLivePreview ? 'text-notion-accent' : 'text-notion-muted hover:text-notion-text'}
+                      `}
+                      title="Live preview"
+                    >
+                      <EyeIcon className="w-5 h-5" />
+                    </motion.button>
+                    <button
+                      onClick={() => setDraft(code)}
+                      disabled={!hasUnsavedChanges}
+                      className="px-3 py-1.5 rounded-lg text-sm font-medium text-notion-muted hover:text-notion-text disabled:opacity-40"
+                    >
+                      Discard
+                    </button>
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={handleSave}
+                      disabled={!hasUnsavedChanges}
+                      className="notion-button px-4 py-1.5 text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      Save
+                    </motion.button>
+                  </>
+                )}
+
+                {view === 'code' && (
+                  <>
+                    {/* Download Button */}
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => handleDownload(code, fileBaseName)}
+                      className="p-2 rounded-lg hover:bg-notion-bg transition-colors duration-200 text-notion-muted hover:text-notion-text"
+                      title="Download HTML file"
+                    >
+                      <ArrowDownTrayIcon className="w-5 h-5" />
+                    </motion.button>
+                    
+                    {/* Copy Button */}
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => handleCopy(code, 'code')}
+                      className={`
+                        p-2 rounded-lg transition-all duration-200
+                        ${copied === 'code'
+                          ? 'bg-green-500/20 text-green-400' 
+                          : 'hover:bg-notion-bg text-notion-muted hover:text-notion-text'
+                        }
+                      `}
+                      title="Copy to clipboard"
+                    >
+                      {copied === 'code' ? (
+                        <CheckIcon className="w-5 h-5" />
+                      ) : (
+                        <DocumentDuplicateIcon className="w-5 h-5" />
+                      )}
+                    </motion.button>
+                  </>
+                )}
                 
                 {/* Close Button */}
                 <motion.button
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
-                  onClick={onClose}
+                  onClick={handleClose}
                   className="p-2 rounded-lg hover:bg-notion-bg transition-colors duration-200 text-notion-muted hover:text-notion-text"
                 >
                   <XMarkIcon className="w-5 h-5" />
@@ -136,27 +284,108 @@ function CodeModal({ isOpen, onClose, code, appName }) {
               </div>
             </div>
 
+            {/* View Tabs */}
+            {tabs.length > 1 && (
+              <div className="flex items-center gap-1 px-6 pt-4">
+                {tabs.map(tab => (
+                  <button
+                    key={tab.id}
+                    onClick={() => handleViewChange(tab.id)}
+                    className={`
+                      px-3 py-1.5 rounded-lg text-sm font-medium transition-colors duration-200
+                      ${view === tab.id ? 'bg-notion-accent/10 text-notion-accent' : 'text-notion-muted hover:text-notion-text'}
+                    `}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* Compare Toolbar */}
+            {view === 'changes' && (
+              <div className="flex flex-col sm:flex-row sm:items-center gap-2 px-6 py-3 border-b border-notion-border">
+                {renderSidePicker('from', fromVersion, setFromId)}
+                <span className="hidden sm:block text-notion-muted text-sm">→</span>
+                {renderSidePicker('to', toVersion, setToId)}
+                <div className="flex rounded-lg border border-notion-border overflow-hidden flex-shrink-0 self-start sm:self-auto">
+                  {['unified', 'split'].map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => setDiffMode(mode)}
+                      className={`
+                        px-3 py-1.5 text-xs font-medium capitalize transition-colors duration-200
+                        ${diffMode === mode ? 'bg-notion-accent/10 text-notion-accent' : 'text-notion-muted hover:text-notion-text'}
+                      `}
+                    >
+                      {mode}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Code Content */}
             <div className="flex-1 overflow-hidden">
               <div className="h-full overflow-auto">
-                <pre className="p-6 text-sm leading-relaxed font-mono">
-                  <code 
-                    className="text-notion-text"
-                    dangerouslySetInnerHTML={{ __html: highlightCode(escapedCode) }}
-                  />
-                </pre>
+                {view === 'edit' && (
+                  <div className={`h-full grid ${showLivePreview ? 'grid-rows-2 md:grid-rows-1 md:grid-cols-2' : ''}`}>
+                    <CodeEditor value={draft} onChange={setDraft} onSave={handleSave} />
+                    {showLivePreview && (
+                      <SandboxedFrame
+                        html={previewCode}
+                        appId={appId}
+                        title="Live preview"
+                        className="w-full h-full bg-white border-t md:border-t-0 md:border-l border-notion-border"
+                      />
+                    )}
+                  </div>
+                )}
+                {view === 'changes' && diff && (
+                  <div className="py-2">
+                    <DiffView diff={diff} mode={diffMode} />
+                  </div>
+                )}
+                {view === 'code' && (
+                  <pre className="p-6 text-sm leading-relaxed font-mono">
+                    <code 
+                      className="text-notion-text"
+                      dangerouslySetInnerHTML={{ __html: highlighted }}
+                    />
+                  </pre>
+                )}
               </div>
             </div>
 
             {/* Footer */}
             <div className="border-t border-notion-border p-4">
-              <div className="flex items-center justify-between text-xs text-notion-muted">
-                <span>Ready to use HTML file</span>
-                <div className="flex items-center gap-4">
-                  <span>{code.split('\n').length} lines</span>
-                  <span>{(new Blob([code]).size / 1024).toFixed(1)} KB</span>
+              {view === 'changes' && changeCounts ? (
+                <div className="flex items-center justify-between text-xs text-notion-muted">
+                  <span>
+                    {getVersionLabel(versions, fromVersion.id)} → {getVersionLabel(versions, toVersion.id)}
+                  </span>
+                  <div className="flex items-center gap-4">
+                    <span className="text-green-400">+{changeCounts.added} added</span>
+                    <span className="text-red-400">-{changeCounts.removed} removed</span>
+                  </div>
                 </div>
-              </div>
+              ) : view === 'edit' ? (
+                <div className="flex items-center justify-between text-xs text-notion-muted">
+                  <span>{hasUnsavedChanges ? 'Unsaved changes' : 'Saving creates a new version'}</span>
+                  <div className="flex items-center gap-4">
+                    <span>{draft.split('\n').length} lines</span>
+                    <span>{(new Blob([draft]).size / 1024).toFixed(1)} KB</span>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-center justify-between text-xs text-notion-muted">
+                  <span>Ready to use HTML file</span>
+                  <div className="flex items-center gap-4">
+                    <span>{code.split('\n').length} lines</span>
+                    <span>{(new Blob([code]).size / 1024).toFixed(1)} KB</span>
+                  </div>
+                </div>
+              )}
             </div>
           </motion.div>
         </motion.div>
@@ -165,4 +394,4 @@ function CodeModal({ isOpen, onClose, code, appName }) {
   );
 }
 
-export default CodeModal;
\ No newline at end of file
+export default CodeModal;
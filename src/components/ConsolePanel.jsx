@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  CommandLineIcon,
+  ChevronDownIcon,
+  WrenchScrewdriverIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+/**
+ * ConsolePanel component - Collapsible list of runtime errors from the app
+ * and unresolved code validation issues, with one-click AI fixes
+ * Fixes are offered only when onFix is provided
+ */
+function ConsolePanel({ entries, issues, fixStatus, onFix, onCancelFix, onClear }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const errorCount = entries.filter(entry => entry.level === 'error').length
+    + issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = entries.length + issues.length - errorCount;
+  const isFixing = fixStatus?.status === 'fixing';
+
+  if (entries.length === 0 && issues.length === 0 && !fixStatus) {
+    return null;
+  }
+
+  return (
+    <div className="fixed bottom-6 left-6 right-24 z-40 max-w-md">
+      <AnimatePresence>
+        {isExpanded && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            className="mb-2 bg-white rounded-xl shadow-2xl border border-gray-200 overflow-hidden text-sm"
+          >
+            <div className="flex items-center justify-between px-3 py-2 border-b border-gray-100">
+              <span className="font-medium text-gray-800">Console</span>
+              <button
+                onClick={onClear}
+                disabled={isFixing}
+                className="flex items-center gap-1 text-gray-500 hover:text-gray-800 text-xs disabled:opacity-50"
+              >
+                <TrashIcon className="w-3.5 h-3.5" />
+                Clear
+              </button>
+            </div>
+
+            <div className="max-h-72 overflow-auto divide-y divide-gray-100">
+              {/* Fix progress */}
+              {fixStatus && (
+                <div className={`
+                  px-3 py-2 flex items-center gap-2
+                  ${fixStatus.status === 'failed' ? 'text-red-600' : 'text-gray-600'}
+                `}>
+                  {isFixing && (
+                    <div className="w-3.5 h-3.5 border-2 border-blue-600 border-t-transparent rounded-full animate-spin flex-shrink-0" />
+                  )}
+                  <span className="flex-1 break-words">{isFixing ? 'Fixing the error...' : fixStatus.message}</span>
+                  {isFixing && (
+                    <button onClick={onCancelFix} className="text-xs font-medium hover:underline">
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {/* Runtime entries */}
+              {entries.map((entry, index) => (
+                <div key={index} className="px-3 py-2 space-y-1">
+                  <div className="flex items-start gap-2">
+                    <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${entry.level === 'error' ? 'bg-red-500' : 'bg-amber-500'}`} />
+                    <span className="flex-1 text-gray-800 break-words font-mono text-xs">
+                      {entry.message}
+                      {entry.count > 1 && (
+                        <span className="ml-2 px-1.5 rounded-full bg-gray-100 text-gray-500">{entry.count}</span>
+                      )}
+                    </span>
+                  </div>
+                  {entry.line && (
+                    <p className="pl-4 text-xs text-gray-500">Line {entry.line}</p>
+                  )}
+                  {entry.stack && (
+                    <details className="pl-4">
+                      <summary className="text-xs text-gray-500 cursor-pointer">Stack trace</summary>
+                      <pre className="mt-1 text-xs text-gray-600 whitespace-pre-wrap break-words">{entry.stack}</pre>
+                    </details>
+                  )}
+                  {entry.level === 'error' && onFix && (
+                    <button
+                      onClick={() => onFix(entry)}
+                      disabled={isFixing}
+                      className="ml-4 flex items-center gap-1 text-xs font-medium text-blue-600 hover:underline disabled:opacity-50 disabled:no-underline"
+                    >
+                      <WrenchScrewdriverIcon className="w-3.5 h-3.5" />
+                      Fix this error
+                    </button>
+                  )}
+                </div>
+              ))}
+
+              {/* Validation issues */}
+              {issues.map((issue, index) => (
+                <div key={`issue-${index}`} className="px-3 py-2 flex items-start gap-2">
+                  <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${issue.severity === 'error' ? 'bg-red-500' : 'bg-amber-500'}`} />
+                  <span className="flex-1 text-gray-700 break-words">
+                    <span className="text-gray-500">Code check: </span>
+                    {issue.message}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="inline-flex items-center gap-2 px-3 py-2 bg-white rounded-full shadow-lg border border-gray-200 text-sm text-gray-800 font-medium"
+      >
+        <CommandLineIcon className={`w-4 h-4 ${errorCount > 0 ? 'text-red-500' : 'text-amber-500'}`} />
+        {isFixing && 'Fixing...'}
+        {!isFixing && errorCount > 0 && `${errorCount} ${errorCount === 1 ? 'error' : 'errors'}`}
+        {!isFixing && errorCount === 0 && warningCount > 0 && `${warningCount} ${warningCount === 1 ? 'warning' : 'warnings'}`}
+        {!isFixing && errorCount + warningCount === 0 && 'Console'}
+        <ChevronDownIcon className={`w-3.5 h-3.5 transition-transform duration-200 ${isExpanded ? '' : 'rotate-180'}`} />
+      </button>
+    </div>
+  );
+}
+
+export default ConsolePanel;
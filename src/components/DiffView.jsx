@@ -0,0 +1,77 @@
+import React, { useMemo } from 'react';
+import { diffLines, toSplitRows } from '../utils/diff';
+
+// Row colors per line type
+const LINE_CLASSES = {
+  add: 'bg-green-500/10 text-green-300',
+  remove: 'bg-red-500/10 text-red-300',
+  equal: 'text-notion-muted'
+};
+
+/**
+ * DiffView component - Line diff between two code versions
+ * Shown as a unified list or side by side; added lines are green, removed lines are red
+ * Long lines wrap in the split view so both sides stay aligned
+ */
+function DiffView({ oldCode, newCode, diff: precomputedDiff, mode = 'unified' }) {
+  const diff = useMemo(
+    () => precomputedDiff || diffLines(oldCode, newCode),
+    [precomputedDiff, oldCode, newCode]
+  );
+  const splitRows = useMemo(() => (mode === 'split' ? toSplitRows(diff) : []), [mode, diff]);
+
+  if (!diff.some(line => line.type !== 'equal')) {
+    return (
+      <p className="p-6 text-center text-notion-muted text-sm">
+        No differences between these versions
+      </p>
+    );
+  }
+
+  if (mode === 'split') {
+    return (
+      <div className="text-xs leading-relaxed font-mono">
+        {splitRows.map((row, index) => (
+          <div key={index} className="grid grid-cols-2">
+            {[row.left, row.right].map((line, side) => (
+              <div
+                key={side}
+                className={`
+                  flex min-w-0
+                  ${side === 0 ? 'border-r border-notion-border' : ''}
+                  ${line ? LINE_CLASSES[line.type] : 'bg-notion-bg/50'}
+                `}
+              >
+                <span className="w-10 flex-shrink-0 text-right pr-2 select-none opacity-50">
+                  {line ? (side === 0 ? line.oldNumber : line.newNumber) : ''}
+                </span>
+                <span className="whitespace-pre-wrap break-all min-w-0 pr-2">{line?.text ?? ''}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <pre className="text-xs leading-relaxed font-mono">
+      {diff.map((line, index) => (
+        <div key={index} className={`flex ${LINE_CLASSES[line.type]}`}>
+          <span className="w-10 flex-shrink-0 text-right pr-2 select-none opacity-50">
+            {line.oldNumber ?? ''}
+          </span>
+          <span className="w-10 flex-shrink-0 text-right pr-2 select-none opacity-50">
+            {line.newNumber ?? ''}
+          </span>
+          <span className="w-4 flex-shrink-0 select-none">
+            {line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' '}
+          </span>
+          <span className="whitespace-pre">{line.text}</span>
+        </div>
+      ))}
+    </pre>
+  );
+}
+
+export default DiffView;
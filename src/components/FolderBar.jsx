@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { FolderIcon, FolderPlusIcon, PencilSquareIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
+import {
+  APP_DRAG_TYPE,
+  MAX_FOLDER_NAME_LENGTH,
+  cleanFolderName,
+  isFolderNameTaken,
+  createFolder
+} from '../utils/folders';
+
+/**
+ * FolderBar component - Folder tabs above My Apps
+ * Selecting a tab shows that folder's apps; app cards dropped on a tab move
+ * into that folder. The open folder can be renamed or deleted here.
+ */
+function FolderBar({ activeFolderId, counts, onSelect }) {
+  const { folders, saveFolders, moveAppsToFolder } = useApp();
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState('');
+  const [dropFolderId, setDropFolderId] = useState(null);
+
+  const activeFolder = folders.find(folder => folder.id === activeFolderId);
+
+  const tabs = [
+    { id: 'all', label: 'All apps', isDropTarget: false },
+    ...folders.map(folder => ({ id: folder.id, label: folder.name, isDropTarget: true })),
+    ...(folders.length > 0 ? [{ id: 'unfiled', label: 'No folder', isDropTarget: true }] : [])
+  ];
+
+  /**
+   * Create a folder or rename the open one
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const name = cleanFolderName(form.name);
+    if (!name) {
+      setError('Enter a folder name.');
+      return;
+    }
+    if (isFolderNameTaken(name, folders, form.id)) {
+      setError(`A folder named "${name}" already exists.`);
+      return;
+    }
+
+    if (form.id) {
+      saveFolders(folders.map(folder => (folder.id === form.id ? { ...folder, name } : folder)));
+    } else {
+      const folder = createFolder(name, folders);
+      saveFolders([...folders, folder]);
+      onSelect(folder.id);
+    }
+    setForm(null);
+    setError('');
+  };
+
+  const handleCancel = () => {
+    setForm(null);
+    setError('');
+  };
+
+  /**
+   * Remove the open folder; its apps stay in the library without a folder
+   */
+  const handleDelete = () => {
+    const count = counts.get(activeFolder.id) || 0;
+    const detail = count > 0 ? ` Its ${count} app${count === 1 ? '' : 's'} will stay in your library.` : '';
+    if (!window.confirm(`Delete the folder "${activeFolder.name}"?${detail}`)) return;
+    saveFolders(folders.filter(folder => folder.id !== activeFolder.id));
+    onSelect('all');
+  };
+
+  const handleDragOver = (e, tab) => {
+    if (!tab.isDropTarget || !e.dataTransfer.types.includes(APP_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropFolderId(tab.id);
+  };
+
+  const handleDrop = (e, tab) => {
+    const appId = e.dataTransfer.getData(APP_DRAG_TYPE);
+    if (!tab.isDropTarget || !appId) return;
+    e.preventDefault();
+    e.stopPropagation();
+    moveAppsToFolder([appId], tab.id === 'unfiled' ? null : tab.id);
+    setDropFolderId(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2 overflow-x-auto pb-1">
+        {tabs.map(tab => {
+          const isActive = tab.id === activeFolderId;
+          const isDropping = tab.id === dropFolderId;
+          return (
+            <button
+              key={tab.id}
+              onClick={() => onSelect(tab.id)}
+              onDragOver={(e) => handleDragOver(e, tab)}
+              onDragLeave={() => setDropFolderId(current => (current === tab.id ? null : current))}
+              onDrop={(e) => handleDrop(e, tab)}
+              aria-pressed={isActive}
+              className={`flex-shrink-0 flex items-center gap-1.5 max-w-[12rem] px-3 py-1.5 rounded-lg border text-sm transition-all duration-200 ${
+                isActive
+                  ? 'bg-notion-accent/10 border-notion-accent/40 text-notion-accent'
+                  : 'bg-notion-card border-notion-border text-notion-muted hover:text-notion-text'
+              } ${isDropping ? 'ring-2 ring-notion-accent border-notion-accent' : ''}`}
+            >
+              {tab.isDropTarget && tab.id !== 'unfiled' && <FolderIcon className="w-4 h-4 flex-shrink-0" />}
+              <span className="truncate">{tab.label}</span>
+              <span className="text-xs opacity-70">{counts.get(tab.id) || 0}</span>
+            </button>
+          );
+        })}
+        <button
+          onClick={() => {
+            setForm({ id: null, name: '' });
+            setError('');
+          }}
+          className="flex-shrink-0 p-1.5 rounded-lg border border-dashed border-notion-border text-notion-muted hover:text-notion-accent hover:border-notion-accent/40 transition-colors duration-200"
+          title="New folder"
+        >
+          <FolderPlusIcon className="w-5 h-5" />
+        </button>
+      </div>
+
+      {form ? (
+        <form onSubmit={handleSubmit} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            onKeyDown={(e) => e.key === 'Escape' && handleCancel()}
+            maxLength={MAX_FOLDER_NAME_LENGTH}
+            placeholder="Folder name"
+            aria-label="Folder name"
+            aria-invalid={Boolean(error)}
+            className="notion-input flex-1 min-w-0 py-2 text-sm"
+            autoFocus
+          />
+          <button type="submit" className="notion-button px-3 py-2 text-sm">
+            {form.id ? 'Rename' : 'Create'}
+          </button>
+          <button type="button" onClick={handleCancel} className="text-notion-muted hover:text-notion-text text-sm">
+            Cancel
+          </button>
+        </form>
+      ) : activeFolder && (
+        <div className="flex items-center gap-3 text-xs text-notion-muted">
+          <button
+            onClick={() => setForm({ id: activeFolder.id, name: activeFolder.name })}
+            className="flex items-center gap-1 hover:text-notion-text"
+          >
+            <PencilSquareIcon className="w-3.5 h-3.5" />
+            Rename folder
+          </button>
+          <button onClick={handleDelete} className="flex items-center gap-1 hover:text-notion-error">
+            <TrashIcon className="w-3.5 h-3.5" />
+            Delete folder
+          </button>
+        </div>
+      )}
+      {error && <p className="text-notion-error text-xs">{error}</p>}
+    </div>
+  );
+}
+
+export default FolderBar;
@@ -1,18 +1,30 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   XMarkIcon, 
   PaperAirplaneIcon,
   SparklesIcon,
-  LightBulbIcon
+  LightBulbIcon,
+  ExclamationTriangleIcon,
+  NoSymbolIcon
 } from '@heroicons/react/24/outline';
+import { getVersionLabel } from '../utils/versions';
 
 /**
  * FollowUpModal component - Handle app modifications through AI
- * Mobile-first design with Notion-like aesthetics
+ * Shows the app's conversation so far above the request form
  */
-function FollowUpModal({ isOpen, onClose, onSubmit, isLoading }) {
+function FollowUpModal({ isOpen, onClose, onSubmit, onCancel, isLoading, status, thread = [], originalPrompt, versions = [] }) {
   const [followUpPrompt, setFollowUpPrompt] = useState('');
+  const [lastPrompt, setLastPrompt] = useState('');
+  const threadEndRef = useRef(null);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    if (isOpen) {
+      threadEndRef.current?.scrollIntoView({ block: 'end' });
+    }
+  }, [isOpen, thread.length, isLoading]);
 
   /**
    * Handle form submission
@@ -20,11 +32,21 @@ function FollowUpModal({ isOpen, onClose, onSubmit, isLoading }) {
   const handleSubmit = (e) => {
     e.preventDefault();
     if (followUpPrompt.trim() && !isLoading) {
+      setLastPrompt(followUpPrompt.trim());
       onSubmit(followUpPrompt.trim());
       setFollowUpPrompt('');
     }
   };
 
+  /**
+   * Resend the last request after a failure or cancellation
+   */
+  const handleRetry = () => {
+    if (lastPrompt && !isLoading) {
+      onSubmit(lastPrompt);
+    }
+  };
+
   /**
    * Handle suggestion click
    */
@@ -57,7 +79,7 @@ function FollowUpModal({ isOpen, onClose, onSubmit, isLoading }) {
             exit={{ opacity: 0, scale: 0.9, y: 100 }}
             transition={{ duration: 0.3 }}
             onClick={(e) => e.stopPropagation()}
-            className="bg-notion-card border border-notion-border rounded-t-xl sm:rounded-xl w-full max-w-md max-h-[80vh] overflow-hidden"
+            className="bg-notion-card border border-notion-border rounded-t-xl sm:rounded-xl w-full max-w-md max-h-[80vh] overflow-hidden flex flex-col"
           >
             {/* Header */}
             <div className="flex items-center justify-between p-6 border-b border-notion-border">
@@ -81,7 +103,80 @@ function FollowUpModal({ isOpen, onClose, onSubmit, isLoading }) {
             </div>
 
             {/* Content */}
-            <div className="p-6 space-y-6">
+            <div className="flex-1 overflow-auto p-6 space-y-6">
+              {/* Conversation */}
+              {originalPrompt && (
+                <div className="space-y-3">
+                  <div className="flex justify-end">
+                    <div className="max-w-[85%] rounded-lg rounded-br-sm bg-notion-accent/15 px-3 py-2">
+                      <p className="text-notion-muted text-xs mb-1">Original request</p>
+                      <p className="text-notion-text text-sm break-words">{originalPrompt}</p>
+                    </div>
+                  </div>
+                  {thread.map(turn => (
+                    turn.role === 'user' ? (
+                      <div key={turn.id} className="flex justify-end">
+                        <p className="max-w-[85%] rounded-lg rounded-br-sm bg-notion-accent/15 px-3 py-2 text-notion-text text-sm break-words">
+                          {turn.content}
+                        </p>
+                      </div>
+                    ) : (
+                      <div key={turn.id} className="flex justify-start">
+                        <div className="max-w-[85%] rounded-lg rounded-bl-sm bg-notion-bg border border-notion-border px-3 py-2">
+                          <p className="text-notion-text text-sm break-words">{turn.content}</p>
+                          {turn.versionId && versions.some(version => version.id === turn.versionId) && (
+                            <p className="text-notion-muted text-xs mt-1">{getVersionLabel(versions, turn.versionId)}</p>
+                          )}
+                        </div>
+                      </div>
+                    )
+                  ))}
+                  {isLoading && lastPrompt && (
+                    <>
+                      <div className="flex justify-end">
+                        <p className="max-w-[85%] rounded-lg rounded-br-sm bg-notion-accent/15 px-3 py-2 text-notion-text text-sm break-words">
+                          {lastPrompt}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2 text-notion-muted text-sm">
+                        <div className="w-3.5 h-3.5 border-2 border-notion-accent border-t-transparent rounded-full animate-spin" />
+                        Working on it...
+                      </div>
+                    </>
+                  )}
+                  <div ref={threadEndRef} />
+                </div>
+              )}
+
+              {/* Cancelled or failed notice */}
+              {status && !isLoading && (
+                <div className={`
+                  flex items-start gap-3 p-3 rounded-lg border text-sm
+                  ${status.status === 'failed'
+                    ? 'border-notion-error/30 bg-notion-error/10 text-notion-error'
+                    : 'border-notion-border bg-notion-bg text-notion-muted'
+                  }
+                `}>
+                  {status.status === 'failed' ? (
+                    <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+                  ) : (
+                    <NoSymbolIcon className="w-5 h-5 flex-shrink-0" />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="break-words">{status.message}</p>
+                    {lastPrompt && (
+                      <button
+                        type="button"
+                        onClick={handleRetry}
+                        className="mt-1 font-medium underline hover:no-underline"
+                      >
+                        Try again
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {/* Form */}
               <form onSubmit={handleSubmit} className="space-y-4">
                 <div>
@@ -117,32 +212,44 @@ function FollowUpModal({ isOpen, onClose, onSubmit, isLoading }) {
                     </>
                   )}
                 </motion.button>
+
+                {isLoading && (
+                  <button
+                    type="button"
+                    onClick={onCancel}
+                    className="w-full text-notion-muted hover:text-notion-text transition-colors duration-200 text-sm font-medium"
+                  >
+                    Cancel
+                  </button>
+                )}
               </form>
 
               {/* Suggestions */}
-              <div>
-                <div className="flex items-center gap-2 mb-3">
-                  <LightBulbIcon className="w-4 h-4 text-notion-accent" />
-                  <span className="text-notion-text font-medium text-sm">Quick suggestions</span>
-                </div>
-                <div className="grid grid-cols-1 gap-2">
-                  {suggestions.map((suggestion, index) => (
-                    <motion.button
-                      key={index}
-                      initial={{ opacity: 0, y: 10 }}
-                      animate={{ opacity: 1, y: 0 }}
-                      transition={{ delay: index * 0.05 }}
-                      whileHover={{ scale: 1.02 }}
-                      whileTap={{ scale: 0.98 }}
-                      onClick={() => handleSuggestionClick(suggestion)}
-                      disabled={isLoading}
-                      className="text-left p-3 rounded-lg bg-notion-bg border border-notion-border hover:border-notion-accent/50 text-notion-text text-sm transition-all duration-200 disabled:opacity-50"
-                    >
-                      {suggestion}
-                    </motion.button>
-                  ))}
+              {thread.length === 0 && (
+                <div>
+                  <div className="flex items-center gap-2 mb-3">
+                    <LightBulbIcon className="w-4 h-4 text-notion-accent" />
+                    <span className="text-notion-text font-medium text-sm">Quick suggestions</span>
+                  </div>
+                  <div className="grid grid-cols-1 gap-2">
+                    {suggestions.map((suggestion, index) => (
+                      <motion.button
+                        key={index}
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: index * 0.05 }}
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.98 }}
+                        onClick={() => handleSuggestionClick(suggestion)}
+                        disabled={isLoading}
+                        className="text-left p-3 rounded-lg bg-notion-bg border border-notion-border hover:border-notion-accent/50 text-notion-text text-sm transition-all duration-200 disabled:opacity-50"
+                      >
+                        {suggestion}
+                      </motion.button>
+                    ))}
+                  </div>
                 </div>
-              </div>
+              )}
 
               {/* Info */}
               <div className="bg-notion-bg rounded-lg p-4">
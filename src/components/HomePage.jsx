@@ -1,10 +1,12 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { PlusIcon, SparklesIcon, RocketLaunchIcon, ArrowRightIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, SparklesIcon, RocketLaunchIcon, ArrowRightIcon, Squares2X2Icon, WifiIcon } from '@heroicons/react/24/outline';
 import { useApp } from '../context/AppContext';
+import { isCancelledError } from '../utils/errors';
 import BurgerMenu from './BurgerMenu';
 import LoadingModal from './LoadingModal';
+import TemplateModal from './TemplateModal';
 
 /**
  * HomePage component - Main landing page for BYA app
@@ -13,7 +15,9 @@ import LoadingModal from './LoadingModal';
 function HomePage() {
   const [prompt, setPrompt] = useState('');
   const [showLoadingModal, setShowLoadingModal] = useState(false);
-  const { generateApp, isGenerating } = useApp();
+  const [generationStatus, setGenerationStatus] = useState(null);
+  const [showTemplateModal, setShowTemplateModal] = useState(false);
+  const { generateApp, cancelGeneration, createAppFromTemplate, isGenerating, isOffline } = useApp();
   const navigate = useNavigate();
 
   /**
@@ -21,7 +25,13 @@ function HomePage() {
    */
   const handleCreateApp = async () => {
     if (!prompt.trim()) return;
+
+    if (isOffline) {
+      setShowTemplateModal(true);
+      return;
+    }
     
+    setGenerationStatus(null);
     setShowLoadingModal(true);
     
     try {
@@ -29,14 +39,35 @@ function HomePage() {
       setShowLoadingModal(false);
       navigate(`/preview/${appData.id}`);
     } catch (error) {
-      console.error('Error creating app:', error);
-      setShowLoadingModal(false);
-      
-      // Show user-friendly error message
-      alert(`Failed to create app: ${error.message}. Please check your API key and try again.`);
+      if (isCancelledError(error)) {
+        setGenerationStatus({ status: 'cancelled', message: error.message });
+      } else {
+        console.error('Error creating app:', error);
+        setGenerationStatus({ status: 'failed', message: error.message });
+      }
     }
   };
 
+  /**
+   * Save an app built from a template and open it
+   */
+  const handleCreateFromTemplate = (templateId, options) => {
+    const appData = createAppFromTemplate(templateId, options, prompt);
+    setShowTemplateModal(false);
+    navigate(`/preview/${appData.id}`);
+  };
+
+  /**
+   * Close the loading modal, cancelling the generation if it is still running
+   */
+  const handleCloseLoadingModal = () => {
+    if (isGenerating) {
+      cancelGeneration();
+    }
+    setShowLoadingModal(false);
+    setGenerationStatus(null);
+  };
+
   /**
    * Handle example idea click
    */
@@ -140,6 +171,23 @@ function HomePage() {
               disabled={isGenerating}
             />
           </div>
+
+          {/* Offline Mode Notice */}
+          {isOffline && (
+            <div className="notion-card-compact mb-6 flex items-start gap-3">
+              <WifiIcon className="w-5 h-5 text-notion-warning flex-shrink-0 mt-0.5" />
+              <p className="text-notion-muted text-sm leading-relaxed">
+                <span className="text-notion-text font-medium">Offline mode.</span>{' '}
+                No AI provider is configured or the BYA server can't be reached, so apps are built from templates.{' '}
+                <button
+                  onClick={() => navigate('/settings')}
+                  className="text-notion-accent hover:underline"
+                >
+                  Open Settings
+                </button>
+              </p>
+            </div>
+          )}
           
           <motion.button
             whileHover={{ scale: 1.02, y: -2 }}
@@ -149,9 +197,26 @@ function HomePage() {
             className="notion-button w-full py-4 text-lg font-semibold flex items-center justify-center gap-3 disabled:opacity-50 disabled:cursor-not-allowed relative overflow-hidden group"
           >
             <div className="absolute inset-0 bg-gradient-to-r from-notion-accent-light to-notion-accent opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
-            <RocketLaunchIcon className="relative w-6 h-6" />
-            <span className="relative">{isGenerating ? 'Creating App...' : 'Build My App'}</span>
+            {isOffline ? (
+              <Squares2X2Icon className="relative w-6 h-6" />
+            ) : (
+              <RocketLaunchIcon className="relative w-6 h-6" />
+            )}
+            <span className="relative">
+              {isGenerating ? 'Creating App...' : isOffline ? 'Build from Template' : 'Build My App'}
+            </span>
           </motion.button>
+
+          {!isOffline && (
+            <button
+              onClick={() => setShowTemplateModal(true)}
+              disabled={isGenerating}
+              className="mt-4 mx-auto flex items-center gap-2 text-notion-muted hover:text-notion-accent transition-colors duration-200 text-sm font-medium disabled:opacity-50"
+            >
+              <Squares2X2Icon className="w-4 h-4" />
+              Start from a template
+            </button>
+          )}
         </motion.div>
 
         {/* Example Ideas */}
@@ -212,7 +277,20 @@ function HomePage() {
       {showLoadingModal && (
         <LoadingModal
           isOpen={showLoadingModal}
-          onClose={() => setShowLoadingModal(false)}
+          status={generationStatus}
+          onCancel={cancelGeneration}
+          onRetry={handleCreateApp}
+          onClose={handleCloseLoadingModal}
+        />
+      )}
+
+      {/* Template Modal */}
+      {showTemplateModal && (
+        <TemplateModal
+          isOpen={showTemplateModal}
+          prompt={prompt}
+          onClose={() => setShowTemplateModal(false)}
+          onCreate={handleCreateFromTemplate}
         />
       )}
     </motion.div>
@@ -1,49 +1,58 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { SparklesIcon, CogIcon } from '@heroicons/react/24/outline';
+import { 
+  SparklesIcon, 
+  CogIcon,
+  ExclamationTriangleIcon,
+  NoSymbolIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
+import { getCompleteSections } from '../utils/streaming';
 
-/**
- * LoadingModal component - Shows AI generation progress
- * Notion-like design with engaging animations
- */
-function LoadingModal({ isOpen, onClose }) {
-  const loadingSteps = [
-    'Initializing AI client...',
-    'Analyzing your prompt...',
-    'Generating complete app code...',
-    'Extracting app metadata...',
-    'Processing and validating data...',
-    'Saving app to your collection...'
-  ];
-
-  const [currentStep, setCurrentStep] = React.useState(0);
+// Reloading the preview iframe more often than this makes it flicker
+const PREVIEW_INTERVAL_MS = 1000;
 
-  // Simulate loading progress that matches actual AI process timing
-  React.useEffect(() => {
-    if (!isOpen) {
-      setCurrentStep(0);
-      return;
-    }
+// Generation phases in the order they are reported by generateApp
+const generationPhases = [
+  { id: 'starting', label: 'Sending your prompt...' },
+  { id: 'reasoning', label: 'Reasoning about your app...' },
+  { id: 'writing', label: 'Writing the code...' },
+  { id: 'validating', label: 'Checking the code...' },
+  { id: 'repairing', label: 'Repairing problems...' },
+  { id: 'metadata', label: 'Extracting app metadata...' },
+  { id: 'saving', label: 'Saving app to your collection...' }
+];
 
-    const stepTimings = [500, 800, 3000, 1500, 800, 600]; // Realistic timings for each step
-    let timeoutId;
-    let currentStepIndex = 0;
-
-    const advanceStep = () => {
-      if (currentStepIndex < loadingSteps.length - 1) {
-        currentStepIndex++;
-        setCurrentStep(currentStepIndex);
-        timeoutId = setTimeout(advanceStep, stepTimings[currentStepIndex]);
-      }
-    };
+/**
+ * LoadingModal component - Shows live AI generation progress
+ * Phases, counters and the preview follow the streamed response
+ */
+function LoadingModal({ isOpen, status, onCancel, onRetry, onClose }) {
+  const { generationProgress, aiSettings } = useApp();
 
-    // Start the first step
-    timeoutId = setTimeout(advanceStep, stepTimings[0]);
+  // The repair phase only runs when auto-repair is enabled
+  const phases = aiSettings.autoRepair
+    ? generationPhases
+    : generationPhases.filter(step => step.id !== 'repairing');
+  const phase = generationProgress?.phase || 'starting';
+  const currentStep = Math.max(0, phases.findIndex(step => step.id === phase));
+  const partialCode = generationProgress?.partialCode || '';
+  const reasoning = generationProgress?.reasoning || '';
+  const retry = generationProgress?.retry;
+  const [previewCode, setPreviewCode] = useState('');
+  const previewUpdatedAtRef = useRef(0);
 
-    return () => {
-      if (timeoutId) clearTimeout(timeoutId);
-    };
-  }, [isOpen, loadingSteps.length]);
+  // Show only complete sections and refresh at most once per interval
+  useEffect(() => {
+    const sections = getCompleteSections(partialCode);
+    const wait = Math.max(0, previewUpdatedAtRef.current + PREVIEW_INTERVAL_MS - Date.now());
+    const timer = setTimeout(() => {
+      previewUpdatedAtRef.current = Date.now();
+      setPreviewCode(sections);
+    }, sections ? wait : 0);
+    return () => clearTimeout(timer);
+  }, [partialCode]);
 
   return (
     <AnimatePresence>
@@ -61,93 +70,173 @@ function LoadingModal({ isOpen, onClose }) {
             transition={{ duration: 0.3 }}
             className="bg-notion-card border border-notion-border rounded-xl p-8 max-w-sm w-full text-center"
           >
-            {/* AI Icon with Animation */}
-            <div className="mb-6">
-              <motion.div
-                animate={{ rotate: 360 }}
-                transition={{ duration: 2, repeat: Infinity, ease: "linear" }}
-                className="w-16 h-16 mx-auto mb-4 relative"
-              >
-                <div className="absolute inset-0 bg-gradient-to-r from-notion-accent to-purple-500 rounded-full opacity-20 animate-pulse" />
-                <div className="absolute inset-2 bg-notion-card rounded-full flex items-center justify-center">
-                  <SparklesIcon className="w-8 h-8 text-notion-accent" />
+            {status ? (
+              /* Cancelled or failed result */
+              <div>
+                <div className={`
+                  w-16 h-16 mx-auto mb-4 rounded-full flex items-center justify-center
+                  ${status.status === 'failed' ? 'bg-notion-error/10' : 'bg-notion-border'}
+                `}>
+                  {status.status === 'failed' ? (
+                    <ExclamationTriangleIcon className="w-8 h-8 text-notion-error" />
+                  ) : (
+                    <NoSymbolIcon className="w-8 h-8 text-notion-muted" />
+                  )}
                 </div>
-              </motion.div>
-              
-              <h3 className="text-xl font-semibold text-notion-text mb-2">
-                Creating Your App
-              </h3>
-              <p className="text-notion-muted text-sm">
-                Our AI is working its magic...
-              </p>
-            </div>
-
-            {/* Progress Steps */}
-            <div className="space-y-3 mb-6">
-              {loadingSteps.map((step, index) => (
+                <h3 className="text-xl font-semibold text-notion-text mb-2">
+                  {status.status === 'failed' ? 'Generation Failed' : 'Generation Cancelled'}
+                </h3>
+                <p className="text-notion-muted text-sm mb-6 break-words">
+                  {status.status === 'failed'
+                    ? `${status.message} Please check your settings and try again.`
+                    : 'No app was created. Your prompt is still there if you want to try again.'}
+                </p>
+                <div className="flex items-center gap-3">
+                  <motion.button
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={onClose}
+                    className="notion-button-secondary flex-1"
+                  >
+                    Close
+                  </motion.button>
+                  <motion.button
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={onRetry}
+                    className="notion-button flex-1 flex items-center justify-center gap-2"
+                  >
+                    <ArrowPathIcon className="w-4 h-4" />
+                    Try Again
+                  </motion.button>
+                </div>
+              </div>
+            ) : (
+              <>
+              {/* AI Icon with Animation */}
+              <div className="mb-6">
                 <motion.div
-                  key={index}
-                  initial={{ opacity: 0, x: -20 }}
-                  animate={{ 
-                    opacity: index <= currentStep ? 1 : 0.3,
-                    x: 0
-                  }}
-                  transition={{ delay: index * 0.1 }}
-                  className="flex items-center gap-3"
+                  animate={{ rotate: 360 }}
+                  transition={{ duration: 2, repeat: Infinity, ease: "linear" }}
+                  className="w-16 h-16 mx-auto mb-4 relative"
                 >
-                  <div className={`
-                    w-2 h-2 rounded-full transition-all duration-300
-                    ${index <= currentStep 
-                      ? 'bg-notion-accent scale-110' 
-                      : 'bg-notion-border'
-                    }
-                  `} />
-                  <span className={`
-                    text-sm transition-all duration-300
-                    ${index <= currentStep 
-                      ? 'text-notion-text font-medium' 
-                      : 'text-notion-muted'
-                    }
-                  `}>
-                    {step}
-                  </span>
-                  {index === currentStep && (
-                    <motion.div
-                      animate={{ rotate: 360 }}
-                      transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
-                      className="ml-auto"
-                    >
-                      <CogIcon className="w-4 h-4 text-notion-accent" />
-                    </motion.div>
-                  )}
+                  <div className="absolute inset-0 bg-gradient-to-r from-notion-accent to-purple-500 rounded-full opacity-20 animate-pulse" />
+                  <div className="absolute inset-2 bg-notion-card rounded-full flex items-center justify-center">
+                    <SparklesIcon className="w-8 h-8 text-notion-accent" />
+                  </div>
                 </motion.div>
-              ))}
-            </div>
+              
+                <h3 className="text-xl font-semibold text-notion-text mb-2">
+                  Creating Your App
+                </h3>
+                <p className="text-notion-muted text-sm">
+                  Our AI is working its magic...
+                </p>
+              </div>
 
-            {/* Progress Bar */}
-            <div className="w-full bg-notion-border rounded-full h-2 mb-4">
-              <motion.div
-                initial={{ width: 0 }}
-                animate={{ width: `${((currentStep + 1) / loadingSteps.length) * 100}%` }}
-                transition={{ duration: 0.5 }}
-                className="bg-gradient-to-r from-notion-accent to-purple-500 h-2 rounded-full"
-              />
-            </div>
+              {/* Progress Steps */}
+              <div className="space-y-3 mb-6">
+                {phases.map((step, index) => (
+                  <motion.div
+                    key={index}
+                    initial={{ opacity: 0, x: -20 }}
+                    animate={{ 
+                      opacity: index <= currentStep ? 1 : 0.3,
+                      x: 0
+                    }}
+                    transition={{ delay: index * 0.1 }}
+                    className="flex items-center gap-3"
+                  >
+                    <div className={`
+                      w-2 h-2 rounded-full transition-all duration-300
+                      ${index <= currentStep 
+                        ? 'bg-notion-accent scale-110' 
+                        : 'bg-notion-border'
+                      }
+                    `} />
+                    <span className={`
+                      text-sm transition-all duration-300
+                      ${index <= currentStep 
+                        ? 'text-notion-text font-medium' 
+                        : 'text-notion-muted'
+                      }
+                    `}>
+                      {step.label}
+                    </span>
+                    {index === currentStep && (
+                      <motion.div
+                        animate={{ rotate: 360 }}
+                        transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+                        className="ml-auto"
+                      >
+                        <CogIcon className="w-4 h-4 text-notion-accent" />
+                      </motion.div>
+                    )}
+                  </motion.div>
+                ))}
+              </div>
 
-            {/* Progress Percentage */}
-            <p className="text-notion-muted text-xs">
-              {Math.round(((currentStep + 1) / loadingSteps.length) * 100)}% Complete
-            </p>
+              {/* Transient error notice */}
+              {retry && (
+                <p className="text-notion-warning text-xs mb-4">
+                  Temporary API error, retrying in {Math.ceil(retry.delayMs / 1000)}s 
+                  (attempt {retry.attempt} of {retry.maxAttempts})
+                </p>
+              )}
+
+              {/* Latest reasoning summary */}
+              {phase === 'reasoning' && reasoning && (
+                <p className="text-notion-muted text-xs italic text-left mb-4 line-clamp-2">
+                  {reasoning.trim().split('\n').pop()}
+                </p>
+              )}
+
+              {/* Live code counter and partial preview */}
+              {partialCode && (
+                <div className="mb-6 text-left">
+                  <div className="flex items-center justify-between text-xs text-notion-muted mb-2">
+                    <span>Live preview</span>
+                    <span>
+                      {(generationProgress.bytes / 1024).toFixed(1)} KB · {generationProgress.lines} lines
+                    </span>
+                  </div>
+                  <div className="h-40 rounded-lg border border-notion-border overflow-hidden bg-white">
+                    <iframe
+                      srcDoc={previewCode}
+                      title="Live preview"
+                      sandbox=""
+                      className="w-[200%] h-[200%] border-none origin-top-left scale-50 pointer-events-none"
+                    />
+                  </div>
+                </div>
+              )}
 
-            {/* Cancel Button (Optional) */}
-            <motion.button
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
-              onClick={onClose}
-              className="mt-6 text-notion-muted hover:text-notion-text transition-colors duration-200 text-sm font-medium"
-            >
-              Cancel
-            </motion.button>
+              {/* Progress Bar */}
+              <div className="w-full bg-notion-border rounded-full h-2 mb-4">
+                <motion.div
+                  initial={{ width: 0 }}
+                  animate={{ width: `${((currentStep + 1) / phases.length) * 100}%` }}
+                  transition={{ duration: 0.5 }}
+                  className="bg-gradient-to-r from-notion-accent to-purple-500 h-2 rounded-full"
+                />
+              </div>
+
+              {/* Progress Percentage */}
+              <p className="text-notion-muted text-xs">
+                {Math.round(((currentStep + 1) / phases.length) * 100)}% Complete
+              </p>
+
+              {/* Cancel Button */}
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={onCancel}
+                className="mt-6 text-notion-muted hover:text-notion-text transition-colors duration-200 text-sm font-medium"
+              >
+                Cancel
+              </motion.button>
+              </>
+            )}
           </motion.div>
         </motion.div>
       )}
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { XMarkIcon, FolderIcon, FolderArrowDownIcon, InboxIcon } from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
+import { MAX_FOLDER_NAME_LENGTH, cleanFolderName, isFolderNameTaken, createFolder } from '../utils/folders';
+
+/**
+ * MoveToFolderModal component - Pick a folder for one or more apps
+ * A new folder can be created on the spot; `onMoved` receives the folder id
+ */
+function MoveToFolderModal({ isOpen, onClose, appIds, onMoved }) {
+  const { folders, saveFolders, moveAppsToFolder } = useApp();
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  const handleClose = () => {
+    setName('');
+    setError('');
+    onClose();
+  };
+
+  const handleMove = (folderId) => {
+    moveAppsToFolder(appIds, folderId);
+    setName('');
+    setError('');
+    onMoved(folderId);
+  };
+
+  /**
+   * Create a folder from the typed name and move the apps into it
+   */
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const folderName = cleanFolderName(name);
+    if (!folderName) {
+      setError('Enter a folder name.');
+      return;
+    }
+    if (isFolderNameTaken(folderName, folders)) {
+      setError(`A folder named "${folderName}" already exists.`);
+      return;
+    }
+    const folder = createFolder(folderName, folders);
+    saveFolders([...folders, folder]);
+    handleMove(folder.id);
+  };
+
+  const options = [
+    ...folders.map(folder => ({ id: folder.id, label: folder.name, Icon: FolderIcon })),
+    { id: null, label: 'No folder', Icon: InboxIcon }
+  ];
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-end sm:items-center justify-center p-4"
+          onClick={handleClose}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 100 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 100 }}
+            transition={{ duration: 0.3 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-notion-card border border-notion-border rounded-t-xl sm:rounded-xl w-full max-w-md max-h-[85vh] overflow-auto"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-notion-border">
+              <div className="flex items-center gap-3">
+                <div className="w-8 h-8 bg-notion-accent/20 rounded-lg flex items-center justify-center">
+                  <FolderArrowDownIcon className="w-4 h-4 text-notion-accent" />
+                </div>
+                <div>
+                  <h3 className="font-semibold text-notion-text">Move to Folder</h3>
+                  <p className="text-notion-muted text-sm">
+                    {appIds.length} app{appIds.length === 1 ? '' : 's'}
+                  </p>
+                </div>
+              </div>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleClose}
+                className="p-2 rounded-lg hover:bg-notion-bg transition-colors duration-200"
+              >
+                <XMarkIcon className="w-5 h-5 text-notion-muted" />
+              </motion.button>
+            </div>
+
+            {/* Content */}
+            <div className="p-6 space-y-4">
+              <ul className="space-y-2">
+                {options.map(option => {
+                  const Icon = option.Icon;
+                  return (
+                    <li key={option.id || 'none'}>
+                      <button
+                        onClick={() => handleMove(option.id)}
+                        className="w-full flex items-center gap-3 rounded-lg border border-notion-border px-3 py-2 text-left text-sm text-notion-text hover:border-notion-accent/40 hover:text-notion-accent transition-colors duration-200"
+                      >
+                        <Icon className="w-4 h-4 flex-shrink-0" />
+                        <span className="truncate">{option.label}</span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+
+              <form onSubmit={handleCreate} className="space-y-2">
+                <label htmlFor="move-folder-name" className="block text-notion-muted text-sm">New folder</label>
+                <div className="flex gap-2">
+                  <input
+                    id="move-folder-name"
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={MAX_FOLDER_NAME_LENGTH}
+                    placeholder="Folder name"
+                    aria-invalid={Boolean(error)}
+                    className="notion-input flex-1 min-w-0"
+                  />
+                  <button type="submit" className="notion-button px-4 py-2 text-sm">
+                    Create &amp; move
+                  </button>
+                </div>
+                {error && <p className="text-notion-error text-xs">{error}</p>}
+              </form>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default MoveToFolderModal;
@@ -1,87 +1,321 @@
-import React from 'react';
-import { useNavigate } from 'react-router-dom';
-import { motion } from 'framer-motion';
+import React, { useState, useRef, useMemo, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
 import { 
   ArrowLeftIcon, 
   PlusIcon, 
   RectangleStackIcon,
   CalendarIcon,
-  EyeIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  DocumentArrowUpIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  XMarkIcon,
+  MagnifyingGlassIcon,
+  ListBulletIcon,
+  Squares2X2Icon,
   TrashIcon,
-  ClockIcon
+  FolderArrowDownIcon
 } from '@heroicons/react/24/outline';
 import { useApp } from '../context/AppContext';
+import { IMPORT_ACCEPT, isBundleFile, parseBundle, createBundle, getBundleFileName } from '../utils/appBundle';
+import { downloadFile } from '../utils/download';
+import { getParentApp, countRemixes } from '../utils/lineage';
+import { APP_DRAG_TYPE, countFolderApps } from '../utils/folders';
+import {
+  SORT_OPTIONS,
+  DATE_FILTERS,
+  DEFAULT_FILTERS,
+  readFilters,
+  writeFilters,
+  hasActiveFilters,
+  filterApps,
+  getUsedCategories
+} from '../utils/appFilters';
 import BurgerMenu from './BurgerMenu';
+import AppDetailsModal from './AppDetailsModal';
+import AppCard from './AppCard';
+import SelectionBar from './SelectionBar';
+import UndoToast from './UndoToast';
+import FolderBar from './FolderBar';
+import MoveToFolderModal from './MoveToFolderModal';
+
+const VIEW_STORAGE_KEY = 'bya-apps-view';
+
+const VIEW_MODES = [
+  { id: 'list', label: 'List view', Icon: ListBulletIcon },
+  { id: 'grid', label: 'Grid view', Icon: Squares2X2Icon }
+];
+
+/**
+ * Read the saved list/grid choice, defaulting to the list
+ */
+function loadViewMode() {
+  try {
+    const mode = localStorage.getItem(VIEW_STORAGE_KEY);
+    return VIEW_MODES.some(option => option.id === mode) ? mode : 'list';
+  } catch {
+    return 'list';
+  }
+}
 
 /**
  * MyAppsPage component - Display user's saved apps
- * Enhanced mobile-first design with modern card layout
+ * Enhanced mobile-first design with modern card layout. Cards can be dragged
+ * onto a folder tab, or onto each other to reorder them when sorted manually
  */
 function MyAppsPage() {
-  const { savedApps, dispatch } = useApp();
+  const {
+    savedApps,
+    activeApps,
+    trashedApps,
+    isLibraryLoaded,
+    importHtmlApp,
+    importBundleApps,
+    duplicateApp,
+    moveAppsToTrash,
+    restoreAppsFromTrash,
+    toggleAppPinned,
+    reorderApp,
+    folders,
+    categories
+  } = useApp();
   const navigate = useNavigate();
+  const fileInputRef = useRef(null);
+  const dragDepthRef = useRef(0);
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [isDragging, setIsDragging] = useState(false);
+  const [importStatus, setImportStatus] = useState(null);
+  const [detailsAppId, setDetailsAppId] = useState(null);
+  const [view, setView] = useState(loadViewMode);
+  const [trashNotice, setTrashNotice] = useState(null);
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [isMovingSelected, setIsMovingSelected] = useState(false);
+  const [draggedAppId, setDraggedAppId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const filters = useMemo(() => readFilters(searchParams, folders), [searchParams, folders]);
+  const isFiltered = hasActiveFilters(filters);
+  const usedCategories = useMemo(() => getUsedCategories(activeApps, categories), [activeApps, categories]);
+  const visibleApps = useMemo(() => filterApps(activeApps, filters), [activeApps, filters]);
+  const remixCounts = useMemo(() => countRemixes(activeApps), [activeApps]);
+  const folderCounts = useMemo(() => countFolderApps(activeApps, folders), [activeApps, folders]);
+  const folderAppCount = folderCounts.get(filters.folder) || 0;
+  const canReorder = filters.sort === 'manual' && !isSelecting;
+
+  /**
+   * Update one filter in the URL
+   * Typing replaces the history entry so Back leaves the page instead of undoing keystrokes
+   */
+  const handleFilterChange = (key, value) => {
+    setSearchParams(writeFilters({ ...filters, [key]: value }), { replace: key === 'query' });
+  };
+
+  /**
+   * Reset search and filters, keeping the open folder and the sort order
+   */
+  const handleClearFilters = () => {
+    setSearchParams(writeFilters({ ...DEFAULT_FILTERS, folder: filters.folder, sort: filters.sort }));
+  };
+
+  /**
+   * Switch between list and grid, remembering the choice
+   */
+  const handleViewChange = (mode) => {
+    setView(mode);
+    try {
+      localStorage.setItem(VIEW_STORAGE_KEY, mode);
+    } catch (error) {
+      console.warn('Failed to save view mode:', error);
+    }
+  };
+
+  /**
+   * Import HTML files and BYA bundles, reporting failures per file
+   */
+  const handleImportFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0 || importStatus?.isImporting) return;
+
+    setImportStatus({ isImporting: true, imported: 0, errors: [] });
+    let imported = 0;
+    const errors = [];
+    for (const file of files) {
+      try {
+        const text = await file.text();
+        if (isBundleFile(file.name, text)) {
+          imported += importBundleApps(parseBundle(text, file.name)).length;
+        } else {
+          await importHtmlApp(text, file.name);
+          imported += 1;
+        }
+      } catch (error) {
+        console.error('Failed to import file:', error);
+        errors.push(error.message);
+      }
+      setImportStatus({ isImporting: true, imported, errors: [...errors] });
+    }
+    setImportStatus({ isImporting: false, imported, errors });
+  };
+
+  /**
+   * Download every saved app as one bundle
+   */
+  const handleExportAll = () => {
+    downloadFile(JSON.stringify(createBundle(activeApps), null, 2), getBundleFileName(activeApps), 'application/json');
+  };
+
+  /**
+   * Track file drags over the page; nested elements fire their own enter/leave events
+   */
+  const handleDragEnter = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = () => {
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (e.dataTransfer.types.includes('Files')) {
+      e.preventDefault();
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDragging(false);
+    handleImportFiles(e.dataTransfer.files);
+  };
+
+  /**
+   * Move apps to the Trash and offer to undo
+   */
+  const trashApps = (appIds) => {
+    if (appIds.length === 0) return;
+    moveAppsToTrash(appIds);
+    const name = appIds.length === 1 ? activeApps.find(app => app.id === appIds[0])?.name : null;
+    setTrashNotice({
+      appIds,
+      message: name ? `"${name}" moved to Trash` : `${appIds.length} apps moved to Trash`
+    });
+  };
 
   /**
    * Handle app deletion
    */
   const handleDeleteApp = (appId, event) => {
     event.stopPropagation();
-    if (window.confirm('Are you sure you want to delete this app?')) {
-      dispatch({ type: 'DELETE_APP', payload: appId });
-    }
+    trashApps([appId]);
   };
 
   /**
-   * Handle app preview
+   * Put apps moved to the Trash back
    */
-  const handleViewApp = (appId) => {
-    navigate(`/preview/${appId}`);
+  const handleUndoTrash = (notice) => {
+    restoreAppsFromTrash(notice.appIds);
+    setTrashNotice(null);
   };
 
+  const dismissTrashNotice = useCallback(() => setTrashNotice(null), []);
+
   /**
-   * Format date for display
+   * Toggle one app in the selection
    */
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric'
+  const handleToggleSelect = (appId) => {
+    setSelectedIds(current => {
+      const next = new Set(current);
+      if (next.has(appId)) next.delete(appId); else next.add(appId);
+      return next;
     });
   };
 
   /**
-   * Get app icon based on type
+   * Select every app in the current view, or none when all are selected
+   */
+  const handleSelectAll = () => {
+    setSelectedIds(selectedIds.size === visibleApps.length ? new Set() : new Set(visibleApps.map(app => app.id)));
+  };
+
+  /**
+   * Leave selection mode
+   */
+  const handleSelectionDone = () => {
+    setIsSelecting(false);
+    setSelectedIds(new Set());
+  };
+
+  /**
+   * Move the selected apps to the Trash
+   */
+  const handleTrashSelected = () => {
+    trashApps(visibleApps.filter(app => selectedIds.has(app.id)).map(app => app.id));
+    handleSelectionDone();
+  };
+
+  /**
+   * Move the selected apps into the picked folder
+   */
+  const handleSelectedMoved = () => {
+    setIsMovingSelected(false);
+    handleSelectionDone();
+  };
+
+  /**
+   * Start dragging a card; the app id travels with the drag so folder tabs can read it
+   */
+  const handleCardDragStart = (e, appId) => {
+    e.dataTransfer.setData(APP_DRAG_TYPE, appId);
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggedAppId(appId);
+  };
+
+  const handleCardDragEnd = () => {
+    setDraggedAppId(null);
+    setDropTargetId(null);
+  };
+
+  const handleCardDragOver = (e, appId) => {
+    if (!canReorder || !e.dataTransfer.types.includes(APP_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTargetId(appId);
+  };
+
+  /**
+   * Drop a card on another to give it that card's place in the manual order
    */
-  const getAppIcon = (type) => {
-    const icons = {
-      productivity: '⚡',
-      finance: '💰',
-      health: '🏥',
-      education: '📚',
-      entertainment: '🎮',
-      social: '👥',
-      utility: '🔧',
-      other: '📱'
-    };
-    return icons[type] || icons.other;
+  const handleCardDrop = (e, targetId) => {
+    const appId = e.dataTransfer.getData(APP_DRAG_TYPE);
+    if (!canReorder || !appId) return;
+    e.preventDefault();
+    e.stopPropagation();
+    reorderApp(appId, targetId);
+    handleCardDragEnd();
   };
 
   /**
-   * Get app type color
+   * Copy an app into a new one; the copy sorts first as the newest app
    */
-  const getTypeColor = (type) => {
-    const colors = {
-      productivity: 'from-blue-500 to-purple-600',
-      finance: 'from-green-500 to-emerald-600',
-      health: 'from-red-500 to-pink-600',
-      education: 'from-yellow-500 to-orange-600',
-      entertainment: 'from-purple-500 to-indigo-600',
-      social: 'from-pink-500 to-rose-600',
-      utility: 'from-gray-500 to-slate-600',
-      other: 'from-blue-500 to-cyan-600'
-    };
-    return colors[type] || colors.other;
+  const handleDuplicateApp = (appId) => {
+    duplicateApp(appId);
+  };
+
+  /**
+   * Handle app preview
+   */
+  const handleViewApp = (appId) => {
+    navigate(`/preview/${appId}`);
   };
 
   return (
@@ -91,7 +325,41 @@ function MyAppsPage() {
       exit={{ opacity: 0, y: -20 }}
       transition={{ duration: 0.4, ease: "easeOut" }}
       className="min-h-screen bg-notion-bg"
+      onDragEnter={handleDragEnter}
+      onDragLeave={handleDragLeave}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
     >
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={IMPORT_ACCEPT}
+        multiple
+        className="hidden"
+        onChange={(e) => {
+          handleImportFiles(e.target.files);
+          e.target.value = '';
+        }}
+      />
+
+      {/* Drop Overlay */}
+      <AnimatePresence>
+        {isDragging && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-center justify-center p-6 bg-black/60 backdrop-blur-sm pointer-events-none"
+          >
+            <div className="w-full max-w-md rounded-2xl border-2 border-dashed border-notion-accent bg-notion-card/90 px-6 py-12 text-center">
+              <DocumentArrowUpIcon className="w-12 h-12 text-notion-accent mx-auto mb-4" />
+              <p className="text-notion-text font-semibold">Drop to import</p>
+              <p className="text-notion-muted text-sm mt-1">HTML files or BYA bundles</p>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       <div className="container mx-auto px-4 py-8 max-w-md">
         {/* Header */}
         <div className="flex items-center justify-between mb-8">
@@ -106,14 +374,179 @@ function MyAppsPage() {
             </motion.button>
             <div>
               <h1 className="text-2xl font-bold text-notion-text">My Apps</h1>
-              <p className="text-notion-muted text-sm">{savedApps.length} apps created</p>
+              <p className="text-notion-muted text-sm">{activeApps.length} apps created</p>
             </div>
           </div>
-          <BurgerMenu />
+          <div className="flex items-center gap-2">
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importStatus?.isImporting}
+              className="p-2 rounded-lg bg-notion-card border border-notion-border text-notion-muted hover:text-notion-text hover:border-notion-accent/30 transition-all duration-200 disabled:opacity-50"
+              title="Import HTML files or bundles"
+            >
+              <ArrowUpTrayIcon className="w-5 h-5" />
+            </motion.button>
+            {activeApps.length > 0 && (
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleExportAll}
+                className="p-2 rounded-lg bg-notion-card border border-notion-border text-notion-muted hover:text-notion-text hover:border-notion-accent/30 transition-all duration-200"
+                title="Export all apps as a bundle"
+              >
+                <ArrowDownTrayIcon className="w-5 h-5" />
+              </motion.button>
+            )}
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => navigate('/trash')}
+              className="relative p-2 rounded-lg bg-notion-card border border-notion-border text-notion-muted hover:text-notion-text hover:border-notion-accent/30 transition-all duration-200"
+              title="Trash"
+            >
+              <TrashIcon className="w-5 h-5" />
+              {trashedApps.length > 0 && (
+                <span className="absolute -top-1.5 -right-1.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-notion-accent text-white text-[10px] font-semibold flex items-center justify-center">
+                  {trashedApps.length}
+                </span>
+              )}
+            </motion.button>
+            <BurgerMenu />
+          </div>
         </div>
 
+        {/* Import Status */}
+        <AnimatePresence>
+          {importStatus && (
+            <motion.div
+              initial={{ opacity: 0, y: -10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+              className="notion-card mb-6 text-sm"
+            >
+              <div className="flex items-start gap-3">
+                {importStatus.errors.length > 0 ? (
+                  <ExclamationTriangleIcon className="w-5 h-5 text-notion-error flex-shrink-0" />
+                ) : (
+                  <CheckCircleIcon className="w-5 h-5 text-notion-success flex-shrink-0" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="text-notion-text font-medium">
+                    {importStatus.isImporting
+                      ? `Importing... ${importStatus.imported} added`
+                      : `Imported ${importStatus.imported} app${importStatus.imported === 1 ? '' : 's'}`}
+                  </p>
+                  {importStatus.errors.map((message, index) => (
+                    <p key={index} className="text-notion-error text-xs mt-1 break-words">{message}</p>
+                  ))}
+                </div>
+                {!importStatus.isImporting && (
+                  <button
+                    onClick={() => setImportStatus(null)}
+                    className="text-notion-muted hover:text-notion-text"
+                    title="Dismiss"
+                  >
+                    <XMarkIcon className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Search and Filters */}
+        {activeApps.length > 0 && (
+          <div className="space-y-3 mb-6">
+            <FolderBar
+              activeFolderId={filters.folder}
+              counts={folderCounts}
+              onSelect={(folderId) => handleFilterChange('folder', folderId)}
+            />
+            <div className="relative">
+              <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-notion-muted pointer-events-none" />
+              <input
+                type="search"
+                value={filters.query}
+                onChange={(e) => handleFilterChange('query', e.target.value)}
+                placeholder="Search name, description, prompt or code"
+                className="notion-input w-full pl-10"
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              <select
+                value={filters.type}
+                onChange={(e) => handleFilterChange('type', e.target.value)}
+                className="notion-input w-full px-2 py-2 text-sm capitalize"
+                aria-label="Filter by type"
+              >
+                <option value="all">All types</option>
+                {usedCategories.map(category => (
+                  <option key={category.id} value={category.id}>{category.label}</option>
+                ))}
+                {filters.type !== 'all' && !usedCategories.some(category => category.id === filters.type) && (
+                  <option value={filters.type}>{filters.type}</option>
+                )}
+              </select>
+              <select
+                value={filters.date}
+                onChange={(e) => handleFilterChange('date', e.target.value)}
+                className="notion-input w-full px-2 py-2 text-sm"
+                aria-label="Filter by creation date"
+              >
+                {DATE_FILTERS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+              <select
+                value={filters.sort}
+                onChange={(e) => handleFilterChange('sort', e.target.value)}
+                className="notion-input w-full px-2 py-2 text-sm"
+                aria-label="Sort apps"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-center justify-between gap-3 text-xs text-notion-muted">
+              <span>
+                {isFiltered ? `${visibleApps.length} of ${folderAppCount} apps` : `${folderAppCount} app${folderAppCount === 1 ? '' : 's'}`}
+                {canReorder && visibleApps.length > 1 && ' · drag to reorder'}
+              </span>
+              <div className="flex items-center gap-3">
+                {isFiltered && (
+                  <button onClick={handleClearFilters} className="hover:text-notion-text">
+                    Clear filters
+                  </button>
+                )}
+                <button
+                  onClick={() => (isSelecting ? handleSelectionDone() : setIsSelecting(true))}
+                  className={isSelecting ? 'text-notion-accent' : 'hover:text-notion-text'}
+                >
+                  {isSelecting ? 'Cancel' : 'Select'}
+                </button>
+                <div className="flex rounded-lg border border-notion-border overflow-hidden">
+                  {VIEW_MODES.map(mode => (
+                    <button
+                      key={mode.id}
+                      onClick={() => handleViewChange(mode.id)}
+                      className={`p-1.5 transition-colors duration-200 ${view === mode.id ? 'bg-notion-accent/10 text-notion-accent' : 'hover:text-notion-text'}`}
+                      title={mode.label}
+                      aria-pressed={view === mode.id}
+                    >
+                      <mode.Icon className="w-4 h-4" />
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Apps Content */}
-        {savedApps.length === 0 ? (
+        {!isLibraryLoaded ? null : activeApps.length === 0 ? (
           /* Empty State */
           <motion.div
             initial={{ opacity: 0, y: 30 }}
@@ -141,82 +574,69 @@ function MyAppsPage() {
               <PlusIcon className="relative w-5 h-5" />
               <span className="relative">Create First App</span>
             </motion.button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="mt-4 text-notion-muted hover:text-notion-text text-sm inline-flex items-center gap-2"
+            >
+              <ArrowUpTrayIcon className="w-4 h-4" />
+              Import HTML files or drop them here
+            </button>
           </motion.div>
         ) : (
-          /* Apps Grid */
-          <div className="space-y-4">
-            {savedApps.map((app, index) => (
-              <motion.div
-                key={app.id}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: index * 0.1, duration: 0.4 }}
-                whileHover={{ y: -4, scale: 1.01 }}
-                className="notion-card cursor-pointer group relative overflow-hidden"
-                onClick={() => handleViewApp(app.id)}
-              >
-                <div className={`absolute inset-0 bg-gradient-to-br ${getTypeColor(app.type)} opacity-0 group-hover:opacity-5 transition-opacity duration-300`}></div>
-                
-                <div className="relative flex items-start gap-4">
-                  {/* App Icon */}
-                  <div className="flex-shrink-0">
-                    <div className="w-12 h-12 rounded-xl bg-notion-bg border border-notion-border flex items-center justify-center text-2xl group-hover:border-notion-accent/30 transition-colors duration-300">
-                      {getAppIcon(app.type)}
-                    </div>
-                  </div>
-                  
-                  {/* App Info */}
-                  <div className="flex-1 min-w-0">
-                    <div className="flex items-start justify-between mb-3">
-                      <h3 className="font-bold text-notion-text group-hover:text-notion-accent transition-colors duration-200 truncate text-lg">
-                        {app.name}
-                      </h3>
-                      <div className="flex items-center gap-2 ml-3">
-                        <motion.button
-                          whileHover={{ scale: 1.1 }}
-                          whileTap={{ scale: 0.9 }}
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            handleViewApp(app.id);
-                          }}
-                          className="p-2 rounded-lg text-notion-muted hover:text-notion-accent hover:bg-notion-bg transition-all duration-200"
-                        >
-                          <EyeIcon className="w-4 h-4" />
-                        </motion.button>
-                        <motion.button
-                          whileHover={{ scale: 1.1 }}
-                          whileTap={{ scale: 0.9 }}
-                          onClick={(e) => handleDeleteApp(app.id, e)}
-                          className="p-2 rounded-lg text-notion-muted hover:text-red-400 hover:bg-notion-bg transition-all duration-200"
-                        >
-                          <TrashIcon className="w-4 h-4" />
-                        </motion.button>
-                      </div>
-                    </div>
-                    
-                    <p className="text-notion-muted text-sm mb-4 line-clamp-2 leading-relaxed">
-                      {app.description}
-                    </p>
-                    
-                    {/* App Meta */}
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center gap-2 text-xs text-notion-muted">
-                        <ClockIcon className="w-3 h-3" />
-                        <span>{formatDate(app.createdAt)}</span>
-                      </div>
-                      <div className={`notion-badge bg-gradient-to-r ${getTypeColor(app.type)} text-white border-0`}>
-                        {app.type}
-                      </div>
-                    </div>
-                  </div>
+          visibleApps.length === 0 && !isFiltered ? (
+            <div className="text-center py-12">
+              <p className="text-notion-text font-medium mb-2">No apps in this folder</p>
+              <p className="text-notion-muted text-sm">
+                Drag an app onto the folder's tab, or use Select to move several at once.
+              </p>
+            </div>
+          ) : visibleApps.length === 0 ? (
+            <div className="text-center py-12">
+              <p className="text-notion-text font-medium mb-2">No apps match</p>
+              <button onClick={handleClearFilters} className="text-notion-accent hover:text-notion-accent-light text-sm">
+                Clear filters
+              </button>
+            </div>
+          ) : (
+            /* Apps Grid */
+            <div className={view === 'grid' ? 'grid grid-cols-2 sm:grid-cols-3 gap-4' : 'space-y-4'}>
+              {visibleApps.map((app, index) => (
+                <div
+                  key={app.id}
+                  draggable={!isSelecting}
+                  onDragStart={(e) => handleCardDragStart(e, app.id)}
+                  onDragEnd={handleCardDragEnd}
+                  onDragOver={(e) => handleCardDragOver(e, app.id)}
+                  onDrop={(e) => handleCardDrop(e, app.id)}
+                  className={`rounded-xl transition-opacity duration-200 ${draggedAppId === app.id ? 'opacity-40' : ''} ${
+                    dropTargetId === app.id && draggedAppId !== app.id ? 'ring-2 ring-notion-accent ring-offset-2 ring-offset-notion-bg' : ''
+                  }`}
+                >
+                  <AppCard
+                    app={app}
+                    index={index}
+                    view={view}
+                    categories={categories}
+                    parentApp={getParentApp(app, savedApps)}
+                    remixCount={remixCounts.get(app.id)}
+                    isSelecting={isSelecting}
+                    isSelected={selectedIds.has(app.id)}
+                    onToggleSelect={handleToggleSelect}
+                    onOpen={handleViewApp}
+                    onEditDetails={setDetailsAppId}
+                    onDuplicate={handleDuplicateApp}
+                    onTogglePin={toggleAppPinned}
+                    onDelete={handleDeleteApp}
+                    onTagClick={(tag) => handleFilterChange('query', tag)}
+                  />
                 </div>
-              </motion.div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )
         )}
 
         {/* Create New App Button */}
-        {savedApps.length > 0 && (
+        {activeApps.length > 0 && (
           <motion.div
             initial={{ opacity: 0, y: 30 }}
             animate={{ opacity: 1, y: 0 }}
@@ -236,6 +656,33 @@ function MyAppsPage() {
           </motion.div>
         )}
       </div>
+
+      <SelectionBar
+        isOpen={isSelecting}
+        count={selectedIds.size}
+        total={visibleApps.length}
+        onSelectAll={handleSelectAll}
+        onDone={handleSelectionDone}
+        actions={[
+          { label: 'Move to Folder', icon: FolderArrowDownIcon, onClick: () => setIsMovingSelected(true) },
+          { label: 'Move to Trash', icon: TrashIcon, onClick: handleTrashSelected, isDestructive: true }
+        ]}
+      />
+
+      <MoveToFolderModal
+        isOpen={isMovingSelected}
+        onClose={() => setIsMovingSelected(false)}
+        appIds={visibleApps.filter(app => selectedIds.has(app.id)).map(app => app.id)}
+        onMoved={handleSelectedMoved}
+      />
+
+      <UndoToast notice={trashNotice} onUndo={handleUndoTrash} onDismiss={dismissTrashNotice} />
+
+      <AppDetailsModal
+        isOpen={Boolean(detailsAppId)}
+        onClose={() => setDetailsAppId(null)}
+        app={savedApps.find(app => app.id === detailsAppId)}
+      />
     </motion.div>
   );
 }
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { XMarkIcon, ArrowPathRoundedSquareIcon, ExclamationTriangleIcon, NoSymbolIcon } from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
+import { isCancelledError } from '../utils/errors';
+
+/**
+ * RemixModal component - Branch an app into a new copy, optionally applying
+ * a follow-up to the copy straight away
+ * The original app is left unchanged
+ */
+function RemixModal({ isOpen, onClose, app, onRemixed }) {
+  const { duplicateApp, updateAppWithFollowUp, cancelGeneration, isGenerating, aiProvider } = useApp();
+  const [name, setName] = useState('');
+  const [followUpPrompt, setFollowUpPrompt] = useState('');
+  const [isRemixing, setIsRemixing] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  // Start from a fresh form each time the modal opens for an app
+  const openAppId = isOpen && app ? app.id : null;
+  const [formAppId, setFormAppId] = useState(null);
+  if (openAppId !== formAppId) {
+    setFormAppId(openAppId);
+    if (openAppId) {
+      setName(`${app.name} (remix)`);
+      setFollowUpPrompt('');
+      setStatus(null);
+    }
+  }
+
+  /**
+   * Create the copy, then apply the follow-up to it if one was entered
+   * If the follow-up fails or is cancelled the copy is kept unchanged
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isRemixing || isGenerating) return;
+
+    setStatus(null);
+    const copy = duplicateApp(app.id, { name });
+    const prompt = followUpPrompt.trim();
+    if (!prompt) {
+      onRemixed(copy);
+      return;
+    }
+
+    setIsRemixing(true);
+    try {
+      await updateAppWithFollowUp(copy.id, prompt, { app: copy });
+      onRemixed(copy);
+    } catch (error) {
+      if (!isCancelledError(error)) {
+        console.error('Error applying remix changes:', error);
+      }
+      setStatus({
+        status: isCancelledError(error) ? 'cancelled' : 'failed',
+        message: `${error.message} "${copy.name}" was created without the changes.`,
+        copy
+      });
+    } finally {
+      setIsRemixing(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && app && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-end sm:items-center justify-center p-4"
+          onClick={isRemixing ? undefined : onClose}
+        >
+          <motion.form
+            initial={{ opacity: 0, scale: 0.9, y: 100 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 100 }}
+            transition={{ duration: 0.3 }}
+            onClick={(e) => e.stopPropagation()}
+            onSubmit={handleSubmit}
+            className="bg-notion-card border border-notion-border rounded-t-xl sm:rounded-xl w-full max-w-md max-h-[85vh] overflow-auto"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-notion-border">
+              <div className="flex items-center gap-3">
+                <div className="w-8 h-8 bg-notion-accent/20 rounded-lg flex items-center justify-center">
+                  <ArrowPathRoundedSquareIcon className="w-4 h-4 text-notion-accent" />
+                </div>
+                <div className="min-w-0">
+                  <h3 className="font-semibold text-notion-text">Remix App</h3>
+                  <p className="text-notion-muted text-sm truncate">From {app.name}</p>
+                </div>
+              </div>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                type="button"
+                onClick={onClose}
+                disabled={isRemixing}
+                className="p-2 rounded-lg hover:bg-notion-bg transition-colors duration-200 disabled:opacity-50"
+              >
+                <XMarkIcon className="w-5 h-5 text-notion-muted" />
+              </motion.button>
+            </div>
+
+            {/* Content */}
+            <div className="p-6 space-y-5">
+              <p className="text-notion-muted text-sm leading-relaxed">
+                The copy gets the current code, prompt, version history and conversation. Changes to it never affect the original.
+              </p>
+
+              {status && (
+                <div className={`
+                  flex items-start gap-3 p-3 rounded-lg border text-sm
+                  ${status.status === 'failed'
+                    ? 'border-notion-error/30 bg-notion-error/10 text-notion-error'
+                    : 'border-notion-border bg-notion-bg text-notion-muted'
+                  }
+                `}>
+                  {status.status === 'failed' ? (
+                    <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+                  ) : (
+                    <NoSymbolIcon className="w-5 h-5 flex-shrink-0" />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="break-words">{status.message}</p>
+                    <button
+                      type="button"
+                      onClick={() => onRemixed(status.copy)}
+                      className="mt-1 font-medium underline hover:no-underline"
+                    >
+                      Open the copy
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="remix-name" className="block text-notion-muted text-sm mb-2">Name</label>
+                <input
+                  id="remix-name"
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength={60}
+                  disabled={isRemixing}
+                  className="notion-input w-full"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="remix-prompt" className="block text-notion-muted text-sm mb-2">
+                  Change the copy (optional)
+                </label>
+                <textarea
+                  id="remix-prompt"
+                  value={followUpPrompt}
+                  onChange={(e) => setFollowUpPrompt(e.target.value)}
+                  placeholder={aiProvider ? 'e.g., Turn it into a shared shopping list' : 'Configure an AI provider in Settings to change the copy'}
+                  disabled={isRemixing || !aiProvider}
+                  className="notion-input w-full h-24 resize-none"
+                />
+              </div>
+
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                type="submit"
+                disabled={isRemixing || isGenerating}
+                className="notion-button w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isRemixing ? (
+                  <>
+                    <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                    Applying Changes...
+                  </>
+                ) : (
+                  <>
+                    <ArrowPathRoundedSquareIcon className="w-4 h-4" />
+                    {followUpPrompt.trim() ? 'Remix and Apply' : 'Create Copy'}
+                  </>
+                )}
+              </motion.button>
+
+              {isRemixing && (
+                <button
+                  type="button"
+                  onClick={cancelGeneration}
+                  className="w-full text-notion-muted hover:text-notion-text transition-colors duration-200 text-sm font-medium"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </motion.form>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default RemixModal;
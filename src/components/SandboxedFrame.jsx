@@ -0,0 +1,60 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { buildSandboxedDocument, SANDBOX_PERMISSIONS, SANDBOX_MESSAGE_SOURCE } from '../utils/sandbox';
+import { loadAppStorage, applyStorageOperation } from '../utils/appStorage';
+
+/**
+ * SandboxedFrame component - Runs a generated app in an isolated iframe
+ * Storage writes from the app are bridged into its own namespaced storage
+ * and runtime errors are reported through onConsoleEntry
+ */
+function SandboxedFrame({ html, appId, title, className, onConsoleEntry }) {
+  const iframeRef = useRef(null);
+  const onConsoleEntryRef = useRef(onConsoleEntry);
+
+  // Keep the latest callback without re-subscribing the message listener
+  useEffect(() => {
+    onConsoleEntryRef.current = onConsoleEntry;
+  });
+
+  // Storage is only read when the document changes so writes do not reload the frame
+  const srcDoc = useMemo(
+    () => buildSandboxedDocument(html, { storage: loadAppStorage(appId) }),
+    [html, appId]
+  );
+
+  // Handle messages posted by this frame only
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.source !== iframeRef.current?.contentWindow) return;
+      if (event.data?.source !== SANDBOX_MESSAGE_SOURCE) return;
+
+      if (event.data.type === 'storage') {
+        applyStorageOperation(appId, event.data);
+      } else if (event.data.type === 'console') {
+        const { level, kind, message, stack, line } = event.data;
+        onConsoleEntryRef.current?.({
+          level: level === 'warn' ? 'warn' : 'error',
+          kind: String(kind),
+          message: String(message),
+          stack: stack ? String(stack) : '',
+          line: Number.isInteger(line) ? line : null
+        });
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [appId]);
+
+  return (
+    <iframe
+      ref={iframeRef}
+      srcDoc={srcDoc}
+      className={className}
+      title={title}
+      sandbox={SANDBOX_PERMISSIONS}
+    />
+  );
+}
+
+export default SandboxedFrame;
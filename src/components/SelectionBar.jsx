@@ -0,0 +1,55 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+/**
+ * SelectionBar component - Bottom bar for acting on several selected apps
+ * Each action is `{ label, icon, onClick, isDestructive }`
+ */
+function SelectionBar({ isOpen, count, total, onSelectAll, onDone, actions }) {
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          className="fixed bottom-6 left-4 right-4 z-40 mx-auto max-w-md rounded-xl border border-notion-border bg-notion-card shadow-2xl p-3"
+        >
+          <div className="flex items-center justify-between gap-3 mb-3 text-sm">
+            <span className="text-notion-text font-medium">{count} selected</span>
+            <div className="flex items-center gap-3">
+              <button onClick={onSelectAll} className="text-notion-muted hover:text-notion-text">
+                {count === total ? 'Select none' : 'Select all'}
+              </button>
+              <button onClick={onDone} className="text-notion-accent hover:text-notion-accent-light font-medium">
+                Done
+              </button>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            {actions.map(action => {
+              const Icon = action.icon;
+              return (
+                <button
+                  key={action.label}
+                  onClick={action.onClick}
+                  disabled={count === 0}
+                  className={`flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-lg border text-sm font-medium transition-colors duration-200 disabled:opacity-50 ${
+                    action.isDestructive
+                      ? 'border-notion-error/30 text-notion-error hover:bg-notion-error/10'
+                      : 'border-notion-border text-notion-text hover:bg-notion-bg'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {action.label}
+                </button>
+              );
+            })}
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default SelectionBar;
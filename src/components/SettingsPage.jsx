@@ -0,0 +1,366 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeftIcon,
+  KeyIcon,
+  CpuChipIcon,
+  AdjustmentsHorizontalIcon,
+  ArrowPathIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  EyeIcon,
+  EyeSlashIcon
+} from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
+import { PROVIDERS, REASONING_EFFORTS, FOLLOW_UP_MODES, validateProviderSettings } from '../providers';
+import BurgerMenu from './BurgerMenu';
+import BackupPanel from './BackupPanel';
+import CategoryManager from './CategoryManager';
+
+/**
+ * SettingsPage component - Configure AI provider, API key, models and defaults
+ * Settings are persisted locally in the browser
+ */
+function SettingsPage() {
+  const { aiSettings, saveAiSettings, resetAiSettings } = useApp();
+  const navigate = useNavigate();
+
+  const [draft, setDraft] = useState(aiSettings);
+  const [showApiKey, setShowApiKey] = useState(false);
+  const [validation, setValidation] = useState(null);
+  const [availableModels, setAvailableModels] = useState([]);
+  const [saved, setSaved] = useState(false);
+
+  // Keep the form in sync when settings are reset or changed elsewhere
+  useEffect(() => {
+    setDraft(aiSettings);
+  }, [aiSettings]);
+
+  const providerId = draft.provider;
+  const provider = PROVIDERS[providerId];
+  const providerSettings = draft.providers[providerId];
+  const hasChanges = JSON.stringify(draft) !== JSON.stringify(aiSettings);
+
+  /**
+   * Switch the selected provider
+   */
+  const handleProviderChange = (nextProviderId) => {
+    setDraft({ ...draft, provider: nextProviderId });
+    setValidation(null);
+    setAvailableModels([]);
+  };
+
+  /**
+   * Update one setting of the selected provider
+   */
+  const handleSettingChange = (key, value) => {
+    setDraft({
+      ...draft,
+      providers: {
+        ...draft.providers,
+        [providerId]: { ...providerSettings, [key]: value }
+      }
+    });
+    if (key === 'apiKey' || key === 'baseURL') {
+      setValidation(null);
+    }
+  };
+
+  /**
+   * Check the API key and connection with the entered settings
+   */
+  const handleValidate = async () => {
+    setValidation({ status: 'checking' });
+    try {
+      const models = await validateProviderSettings(providerId, providerSettings);
+      setAvailableModels(models);
+      setValidation({ status: 'valid', message: `Connected. ${models.length} models available.` });
+    } catch (error) {
+      setAvailableModels([]);
+      setValidation({ status: 'invalid', message: error.message });
+    }
+  };
+
+  /**
+   * Persist the settings
+   */
+  const handleSave = (e) => {
+    e.preventDefault();
+    saveAiSettings(draft);
+    setSaved(true);
+    setTimeout(() => setSaved(false), 2000);
+  };
+
+  /**
+   * Restore the build-time defaults
+   */
+  const handleReset = () => {
+    if (window.confirm('Reset all AI settings to their defaults? Saved API keys will be removed.')) {
+      resetAiSettings();
+      setValidation(null);
+      setAvailableModels([]);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -20 }}
+      transition={{ duration: 0.4, ease: "easeOut" }}
+      className="min-h-screen bg-notion-bg"
+    >
+      <div className="container mx-auto px-4 py-8 max-w-md">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div className="flex items-center gap-4">
+            <motion.button
+              whileHover={{ scale: 1.05, x: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => navigate(-1)}
+              className="p-2 rounded-lg bg-notion-card border border-notion-border text-notion-text hover:bg-notion-card-hover hover:border-notion-accent/30 transition-all duration-200"
+            >
+              <ArrowLeftIcon className="w-5 h-5" />
+            </motion.button>
+            <div>
+              <h1 className="text-2xl font-bold text-notion-text">Settings</h1>
+              <p className="text-notion-muted text-sm">Stored locally in this browser</p>
+            </div>
+          </div>
+          <BurgerMenu />
+        </div>
+
+        <form onSubmit={handleSave} className="space-y-6">
+          {/* Provider */}
+          <section className="notion-card space-y-4">
+            <div className="flex items-center gap-3">
+              <CpuChipIcon className="w-5 h-5 text-notion-accent" />
+              <h2 className="font-semibold text-notion-text">AI Provider</h2>
+            </div>
+            <select
+              value={providerId}
+              onChange={(e) => handleProviderChange(e.target.value)}
+              className="notion-input w-full"
+            >
+              {Object.entries(PROVIDERS).map(([id, definition]) => (
+                <option key={id} value={id}>{definition.label}</option>
+              ))}
+            </select>
+            {providerId !== 'mock' && (
+              <div>
+                <label className="block text-notion-muted text-sm mb-2">Base URL</label>
+                <input
+                  type="url"
+                  value={providerSettings.baseURL}
+                  onChange={(e) => handleSettingChange('baseURL', e.target.value)}
+                  placeholder="Default endpoint"
+                  className="notion-input w-full"
+                />
+              </div>
+            )}
+          </section>
+
+          {/* API Key / Connection */}
+          {providerId !== 'mock' && (
+            <section className="notion-card space-y-4">
+              <div className="flex items-center gap-3">
+                <KeyIcon className="w-5 h-5 text-notion-accent" />
+                <h2 className="font-semibold text-notion-text">
+                  {provider.usesApiKey ? 'API Key' : 'Connection'}
+                </h2>
+                {provider.usesApiKey && !provider.requiresApiKey && (
+                  <span className="text-notion-muted text-xs">Optional</span>
+                )}
+              </div>
+              <div className="flex gap-2">
+                {provider.usesApiKey ? (
+                  <div className="relative flex-1">
+                    <input
+                      type={showApiKey ? 'text' : 'password'}
+                      value={providerSettings.apiKey}
+                      onChange={(e) => handleSettingChange('apiKey', e.target.value)}
+                      placeholder="sk-..."
+                      autoComplete="off"
+                      className="notion-input w-full pr-11"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowApiKey(!showApiKey)}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 text-notion-muted hover:text-notion-text"
+                      title={showApiKey ? 'Hide key' : 'Show key'}
+                    >
+                      {showApiKey ? <EyeSlashIcon className="w-5 h-5" /> : <EyeIcon className="w-5 h-5" />}
+                    </button>
+                  </div>
+                ) : (
+                  <p className="flex-1 text-notion-muted text-sm self-center">
+                    Check that the BYA server is reachable.
+                  </p>
+                )}
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  type="button"
+                  onClick={handleValidate}
+                  disabled={validation?.status === 'checking'}
+                  className="notion-button-secondary px-4 disabled:opacity-50"
+                >
+                  {validation?.status === 'checking' ? 'Checking...' : 'Validate'}
+                </motion.button>
+              </div>
+              {validation && validation.status !== 'checking' && (
+                <div className={`
+                  flex items-start gap-2 text-sm
+                  ${validation.status === 'valid' ? 'text-notion-success' : 'text-notion-error'}
+                `}>
+                  {validation.status === 'valid' ? (
+                    <CheckCircleIcon className="w-5 h-5 flex-shrink-0" />
+                  ) : (
+                    <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+                  )}
+                  <span className="break-words">{validation.message}</span>
+                </div>
+              )}
+              <p className="text-notion-muted text-xs leading-relaxed">
+                {provider.usesApiKey
+                  ? 'The key is kept in this browser\'s local storage and sent directly to the provider.'
+                  : 'The API key is configured on the server and never sent to the browser.'}
+              </p>
+            </section>
+          )}
+
+          {/* Models */}
+          <section className="notion-card space-y-4">
+            <div className="flex items-center gap-3">
+              <AdjustmentsHorizontalIcon className="w-5 h-5 text-notion-accent" />
+              <h2 className="font-semibold text-notion-text">Models & Generation</h2>
+            </div>
+            <div>
+              <label className="block text-notion-muted text-sm mb-2">Code generation model</label>
+              <input
+                type="text"
+                list="available-models"
+                value={providerSettings.model}
+                onChange={(e) => handleSettingChange('model', e.target.value)}
+                required
+                className="notion-input w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-notion-muted text-sm mb-2">Metadata model</label>
+              <input
+                type="text"
+                list="available-models"
+                value={providerSettings.metadataModel}
+                onChange={(e) => handleSettingChange('metadataModel', e.target.value)}
+                placeholder={providerSettings.model}
+                className="notion-input w-full"
+              />
+            </div>
+            <datalist id="available-models">
+              {availableModels.map(model => (
+                <option key={model} value={model} />
+              ))}
+            </datalist>
+            <div>
+              <label className="block text-notion-muted text-sm mb-2">Reasoning effort</label>
+              <div className="grid grid-cols-3 gap-2">
+                {REASONING_EFFORTS.map(effort => (
+                  <button
+                    key={effort}
+                    type="button"
+                    onClick={() => handleSettingChange('reasoningEffort', effort)}
+                    className={`
+                      py-2 rounded-lg border text-sm font-medium capitalize transition-all duration-200
+                      ${providerSettings.reasoningEffort === effort
+                        ? 'border-notion-accent bg-notion-accent/10 text-notion-accent'
+                        : 'border-notion-border text-notion-muted hover:text-notion-text'
+                      }
+                    `}
+                  >
+                    {effort}
+                  </button>
+                ))}
+              </div>
+              <p className="text-notion-muted text-xs mt-2">
+                Only used by reasoning models such as o4-mini.
+              </p>
+            </div>
+            <div>
+              <label className="block text-notion-muted text-sm mb-2">Follow-up changes</label>
+              <div className="grid grid-cols-2 gap-2">
+                {FOLLOW_UP_MODES.map(mode => (
+                  <button
+                    key={mode.id}
+                    type="button"
+                    onClick={() => setDraft({ ...draft, followUpMode: mode.id })}
+                    className={`
+                      py-2 rounded-lg border text-sm font-medium transition-all duration-200
+                      ${draft.followUpMode === mode.id
+                        ? 'border-notion-accent bg-notion-accent/10 text-notion-accent'
+                        : 'border-notion-border text-notion-muted hover:text-notion-text'
+                      }
+                    `}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-notion-muted text-xs mt-2">
+                Targeted edits are faster and keep unrelated code intact. A full rewrite is used automatically when edits don't apply.
+              </p>
+            </div>
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={draft.autoRepair}
+                onChange={(e) => setDraft({ ...draft, autoRepair: e.target.checked })}
+                className="mt-1 w-4 h-4 accent-notion-accent"
+              />
+              <span>
+                <span className="block text-notion-text text-sm font-medium">Repair failed validation with AI</span>
+                <span className="block text-notion-muted text-xs mt-1">
+                  When generated code has errors such as broken scripts or external dependencies, ask the model to fix them before saving. Uses an extra request.
+                </span>
+              </span>
+            </label>
+          </section>
+
+          {/* Actions */}
+          <div className="space-y-3">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="submit"
+              disabled={!hasChanges}
+              className="notion-button w-full disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saved ? 'Saved' : 'Save Settings'}
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="button"
+              onClick={handleReset}
+              className="notion-button-secondary w-full flex items-center justify-center gap-2"
+            >
+              <ArrowPathIcon className="w-4 h-4" />
+              Reset to Defaults
+            </motion.button>
+          </div>
+        </form>
+
+        <div className="mt-6">
+          <CategoryManager />
+        </div>
+
+        <div className="mt-6">
+          <BackupPanel />
+        </div>
+      </div>
+    </motion.div>
+  );
+}
+
+export default SettingsPage;
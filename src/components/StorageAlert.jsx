@@ -0,0 +1,56 @@
+import React from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ExclamationTriangleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
+
+/**
+ * StorageAlert component - Toast shown when saving or loading apps fails,
+ * e.g. when browser storage is full
+ */
+function StorageAlert() {
+  const { storageError, dismissStorageError } = useApp();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  return (
+    <AnimatePresence>
+      {storageError && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          role="alert"
+          className="fixed bottom-24 left-4 right-4 z-[60] mx-auto max-w-md rounded-xl border border-notion-error/30 bg-notion-card shadow-2xl p-4"
+        >
+          <div className="flex items-start gap-3">
+            <ExclamationTriangleIcon className="w-5 h-5 text-notion-error flex-shrink-0" />
+            <div className="flex-1 min-w-0">
+              <p className="text-notion-text text-sm font-medium">
+                {storageError.isQuotaError ? 'Storage full' : 'Storage error'}
+              </p>
+              <p className="text-notion-muted text-xs mt-1 leading-relaxed break-words">{storageError.message}</p>
+              {storageError.isQuotaError && location.pathname !== '/settings' && (
+                <button
+                  onClick={() => navigate('/settings')}
+                  className="mt-2 text-notion-accent hover:text-notion-accent-light text-xs font-medium"
+                >
+                  Download a backup
+                </button>
+              )}
+            </div>
+            <button
+              onClick={dismissStorageError}
+              className="text-notion-muted hover:text-notion-text"
+              title="Dismiss"
+            >
+              <XMarkIcon className="w-4 h-4" />
+            </button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default StorageAlert;
@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { XMarkIcon, Squares2X2Icon, CheckIcon } from '@heroicons/react/24/outline';
+import { TEMPLATES, getTemplate, matchTemplate, renderTemplate } from '../templates';
+import { SANDBOX_PERMISSIONS } from '../utils/sandbox';
+
+/**
+ * TemplateModal component - Build an app from a built-in template
+ * Opened from the home page, and used for every build in offline mode
+ */
+function TemplateModal({ isOpen, onClose, prompt, onCreate }) {
+  const initialTemplate = matchTemplate(prompt) || TEMPLATES[0];
+  const [templateId, setTemplateId] = useState(initialTemplate.id);
+  const [options, setOptions] = useState(initialTemplate.defaults);
+
+  const template = getTemplate(templateId);
+  const previewCode = useMemo(() => renderTemplate(templateId, options), [templateId, options]);
+
+  /**
+   * Switch template and start from its defaults
+   */
+  const handleTemplateChange = (nextTemplateId) => {
+    setTemplateId(nextTemplateId);
+    setOptions(getTemplate(nextTemplateId).defaults);
+  };
+
+  /**
+   * Update one customisation option
+   */
+  const handleOptionChange = (key, value) => {
+    setOptions({ ...options, [key]: value });
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onCreate(templateId, options);
+  };
+
+  /**
+   * Render the input for a template-specific field
+   */
+  const renderField = (field) => {
+    if (field.type === 'list') {
+      return (
+        <textarea
+          value={(options[field.key] || []).join('\n')}
+          onChange={(e) => handleOptionChange(field.key, e.target.value.split('\n').map(item => item.trim()).filter(Boolean))}
+          placeholder="One per line"
+          rows={3}
+          className="notion-input w-full resize-none"
+        />
+      );
+    }
+
+    return (
+      <input
+        type={field.type === 'number' ? 'number' : 'text'}
+        min={field.type === 'number' ? 1 : undefined}
+        value={options[field.key] ?? ''}
+        onChange={(e) => handleOptionChange(field.key, field.type === 'number' ? Number(e.target.value) : e.target.value)}
+        className="notion-input w-full"
+      />
+    );
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-end sm:items-center justify-center p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 100 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 100 }}
+            transition={{ duration: 0.3 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-notion-card border border-notion-border rounded-t-xl sm:rounded-xl w-full max-w-md max-h-[90vh] overflow-hidden flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-notion-border">
+              <div className="flex items-center gap-3">
+                <div className="w-8 h-8 bg-notion-accent/20 rounded-lg flex items-center justify-center">
+                  <Squares2X2Icon className="w-4 h-4 text-notion-accent" />
+                </div>
+                <div>
+                  <h3 className="font-semibold text-notion-text">Build from a Template</h3>
+                  <p className="text-notion-muted text-sm">Offline mode - no AI provider configured</p>
+                </div>
+              </div>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={onClose}
+                className="p-2 rounded-lg hover:bg-notion-bg transition-colors duration-200"
+              >
+                <XMarkIcon className="w-5 h-5 text-notion-muted" />
+              </motion.button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="flex-1 overflow-auto p-6 space-y-5">
+              {/* Template picker */}
+              <div className="grid grid-cols-3 gap-2">
+                {TEMPLATES.map(item => (
+                  <button
+                    key={item.id}
+                    type="button"
+                    onClick={() => handleTemplateChange(item.id)}
+                    className={`
+                      relative p-3 rounded-lg border text-center transition-all duration-200
+                      ${item.id === templateId
+                        ? 'border-notion-accent bg-notion-accent/10'
+                        : 'border-notion-border bg-notion-bg hover:border-notion-accent/50'
+                      }
+                    `}
+                  >
+                    {item.id === templateId && (
+                      <CheckIcon className="absolute top-1 right-1 w-3 h-3 text-notion-accent" />
+                    )}
+                    <div className="text-2xl mb-1">{item.icon}</div>
+                    <div className="text-notion-text text-xs font-medium">{item.name}</div>
+                  </button>
+                ))}
+              </div>
+              <p className="text-notion-muted text-sm">{template.description}</p>
+
+              {/* Live preview */}
+              <div className="h-48 rounded-lg border border-notion-border overflow-hidden">
+                <iframe
+                  srcDoc={previewCode}
+                  title="Template preview"
+                  sandbox={SANDBOX_PERMISSIONS}
+                  className="w-[200%] h-[200%] border-none origin-top-left scale-50"
+                />
+              </div>
+
+              {/* Common options */}
+              <div>
+                <label className="block text-notion-text font-medium mb-2 text-sm">Title</label>
+                <input
+                  type="text"
+                  value={options.title}
+                  onChange={(e) => handleOptionChange('title', e.target.value)}
+                  required
+                  className="notion-input w-full"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <label className="flex items-center gap-3 text-notion-text text-sm font-medium">
+                  <input
+                    type="color"
+                    value={options.accentColor}
+                    onChange={(e) => handleOptionChange('accentColor', e.target.value)}
+                    className="w-10 h-10 rounded-lg bg-transparent border border-notion-border cursor-pointer"
+                  />
+                  Accent
+                </label>
+                <label className="flex items-center gap-3 text-notion-text text-sm font-medium">
+                  <input
+                    type="color"
+                    value={options.backgroundColor}
+                    onChange={(e) => handleOptionChange('backgroundColor', e.target.value)}
+                    className="w-10 h-10 rounded-lg bg-transparent border border-notion-border cursor-pointer"
+                  />
+                  Background
+                </label>
+              </div>
+
+              {/* Template fields */}
+              {template.fields.map(field => (
+                <div key={field.key}>
+                  <label className="block text-notion-text font-medium mb-2 text-sm">{field.label}</label>
+                  {renderField(field)}
+                </div>
+              ))}
+
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                type="submit"
+                disabled={!options.title?.trim()}
+                className="notion-button w-full disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Save to My Apps
+              </motion.button>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default TemplateModal;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useApp } from '../context/AppContext';
+import { buildSandboxedDocument, CAPTURE_SANDBOX_PERMISSIONS, SANDBOX_MESSAGE_SOURCE } from '../utils/sandbox';
+import { loadAppStorage } from '../utils/appStorage';
+import { getCurrentVersionId } from '../utils/versions';
+import { CAPTURE_OPTIONS, CAPTURE_TIMEOUT_MS, needsThumbnail, createThumbnail } from '../utils/thumbnails';
+
+// Pause before each capture so the UI stays responsive
+const CAPTURE_IDLE_MS = 1500;
+
+/**
+ * ThumbnailCapture component - Renders saved apps one at a time in a hidden
+ * sandboxed frame and stores a thumbnail of each current version
+ * Captures wait while an app is being generated; apps in the Trash are skipped
+ */
+function ThumbnailCapture() {
+  const { activeApps, isLibraryLoaded, isGenerating, setAppThumbnail } = useApp();
+  const iframeRef = useRef(null);
+  const setAppThumbnailRef = useRef(setAppThumbnail);
+  const [job, setJob] = useState(null);
+
+  // Keep the latest callback without restarting a running capture
+  useEffect(() => {
+    setAppThumbnailRef.current = setAppThumbnail;
+  });
+
+  const nextApp = isLibraryLoaded && !isGenerating && !job ? activeApps.find(needsThumbnail) : null;
+
+  // Start the next capture after a short idle pause
+  useEffect(() => {
+    if (!nextApp) return;
+    const timer = setTimeout(() => {
+      setJob({
+        appId: nextApp.id,
+        versionId: getCurrentVersionId(nextApp),
+        srcDoc: buildSandboxedDocument(nextApp.code, { storage: loadAppStorage(nextApp.id), capture: CAPTURE_OPTIONS })
+      });
+    }, CAPTURE_IDLE_MS);
+    return () => clearTimeout(timer);
+  }, [nextApp]);
+
+  // Store the posted snapshot, or a failed capture when none arrives in time
+  useEffect(() => {
+    if (!job) return;
+
+    const finish = (dataUrl) => {
+      setAppThumbnailRef.current(job.appId, createThumbnail(job.versionId, dataUrl));
+      setJob(null);
+    };
+    const handleMessage = (event) => {
+      if (event.source !== iframeRef.current?.contentWindow) return;
+      if (event.data?.source !== SANDBOX_MESSAGE_SOURCE || event.data.type !== 'thumbnail') return;
+      if (event.data.error) {
+        console.warn('Could not capture a thumbnail:', event.data.error);
+      }
+      finish(event.data.dataUrl);
+    };
+    const timer = setTimeout(() => {
+      console.warn('Thumbnail capture timed out');
+      finish(null);
+    }, CAPTURE_TIMEOUT_MS);
+
+    window.addEventListener('message', handleMessage);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('message', handleMessage);
+    };
+  }, [job]);
+
+  if (!job) return null;
+
+  return (
+    <iframe
+      ref={iframeRef}
+      key={`${job.appId}-${job.versionId}`}
+      srcDoc={job.srcDoc}
+      sandbox={CAPTURE_SANDBOX_PERMISSIONS}
+      title="Thumbnail capture"
+      aria-hidden="true"
+      tabIndex={-1}
+      className="fixed top-0 -left-[10000px] border-0 pointer-events-none"
+      style={{ width: CAPTURE_OPTIONS.width, height: CAPTURE_OPTIONS.height }}
+    />
+  );
+}
+
+export default ThumbnailCapture;
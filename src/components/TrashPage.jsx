@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeftIcon, TrashIcon, ArrowUturnLeftIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { useApp } from '../context/AppContext';
+import { getAppAppearance } from '../utils/categories';
+import { TRASH_RETENTION_OPTIONS, getDaysUntilPurge } from '../utils/trash';
+import BurgerMenu from './BurgerMenu';
+import AppThumbnail from './AppThumbnail';
+import SelectionBar from './SelectionBar';
+
+/**
+ * Format a deletion date for display
+ */
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+/**
+ * TrashPage component - Apps deleted from My Apps, with restore, permanent
+ * deletion and the retention setting for automatic removal
+ */
+function TrashPage() {
+  const {
+    trashedApps,
+    isLibraryLoaded,
+    categories,
+    trashRetentionDays,
+    restoreAppsFromTrash,
+    deleteAppsForever,
+    setTrashRetention
+  } = useApp();
+  const navigate = useNavigate();
+
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  /**
+   * Ask before anything is removed for good
+   */
+  const confirmDelete = (count) => window.confirm(
+    `Delete ${count === 1 ? 'this app' : `${count} apps`} forever? ${count === 1 ? 'Its' : 'Their'} code, history and saved data cannot be recovered.`
+  );
+
+  /**
+   * Delete apps permanently after confirming
+   */
+  const handleDeleteForever = (appIds) => {
+    if (appIds.length === 0 || !confirmDelete(appIds.length)) return false;
+    deleteAppsForever(appIds);
+    return true;
+  };
+
+  /**
+   * Toggle one app in the selection
+   */
+  const handleToggleSelect = (appId) => {
+    setSelectedIds(current => {
+      const next = new Set(current);
+      if (next.has(appId)) next.delete(appId); else next.add(appId);
+      return next;
+    });
+  };
+
+  /**
+   * Leave selection mode
+   */
+  const handleSelectionDone = () => {
+    setIsSelecting(false);
+    setSelectedIds(new Set());
+  };
+
+  const selectedApps = trashedApps.filter(app => selectedIds.has(app.id)).map(app => app.id);
+
+  /**
+   * Describe when a trashed app will be removed
+   */
+  const getPurgeLabel = (app) => {
+    const days = getDaysUntilPurge(app, trashRetentionDays);
+    if (days === null) return 'Kept until you delete it';
+    if (days === 0) return 'Deleted today';
+    return `Deleted for good in ${days} day${days === 1 ? '' : 's'}`;
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -20 }}
+      transition={{ duration: 0.4, ease: "easeOut" }}
+      className="min-h-screen bg-notion-bg"
+    >
+      <div className="container mx-auto px-4 py-8 max-w-md pb-40">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div className="flex items-center gap-4">
+            <motion.button
+              whileHover={{ scale: 1.05, x: -2 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => navigate(-1)}
+              className="p-2 rounded-lg bg-notion-card border border-notion-border text-notion-text hover:bg-notion-card-hover hover:border-notion-accent/30 transition-all duration-200"
+            >
+              <ArrowLeftIcon className="w-5 h-5" />
+            </motion.button>
+            <div>
+              <h1 className="text-2xl font-bold text-notion-text">Trash</h1>
+              <p className="text-notion-muted text-sm">{trashedApps.length} app{trashedApps.length === 1 ? '' : 's'}</p>
+            </div>
+          </div>
+          <BurgerMenu />
+        </div>
+
+        {/* Retention */}
+        <div className="notion-card-compact mb-6 flex items-center justify-between gap-3">
+          <label htmlFor="trash-retention" className="text-notion-muted text-sm">
+            Delete apps in the Trash after
+          </label>
+          <select
+            id="trash-retention"
+            value={trashRetentionDays ?? ''}
+            onChange={(e) => setTrashRetention(e.target.value ? Number(e.target.value) : null)}
+            className="notion-input px-2 py-1.5 text-sm"
+          >
+            {TRASH_RETENTION_OPTIONS.map(option => (
+              <option key={option.label} value={option.days ?? ''}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {!isLibraryLoaded ? null : trashedApps.length === 0 ? (
+          /* Empty State */
+          <div className="text-center py-20">
+            <TrashIcon className="w-16 h-16 text-notion-muted mx-auto mb-6" />
+            <h3 className="text-xl font-bold text-notion-text mb-2">Trash is empty</h3>
+            <p className="text-notion-muted text-sm">Apps you delete from My Apps show up here until they are removed for good.</p>
+          </div>
+        ) : (
+          <>
+            <div className="flex items-center justify-between text-xs text-notion-muted mb-3">
+              <button
+                onClick={() => (isSelecting ? handleSelectionDone() : setIsSelecting(true))}
+                className={isSelecting ? 'text-notion-accent' : 'hover:text-notion-text'}
+              >
+                {isSelecting ? 'Cancel' : 'Select'}
+              </button>
+              <button
+                onClick={() => handleDeleteForever(trashedApps.map(app => app.id))}
+                className="text-notion-error hover:underline"
+              >
+                Empty Trash
+              </button>
+            </div>
+
+            <div className="space-y-3">
+              {trashedApps.map(app => {
+                const isSelected = selectedIds.has(app.id);
+                return (
+                  <div
+                    key={app.id}
+                    onClick={isSelecting ? () => handleToggleSelect(app.id) : undefined}
+                    aria-pressed={isSelecting ? isSelected : undefined}
+                    className={`notion-card-compact flex items-center gap-3 ${isSelecting ? 'cursor-pointer' : ''} ${isSelected ? 'ring-2 ring-notion-accent' : ''}`}
+                  >
+                    {isSelecting && (
+                      <span
+                        aria-hidden="true"
+                        className={`w-6 h-6 flex-shrink-0 rounded-full border-2 flex items-center justify-center ${
+                          isSelected ? 'bg-notion-accent border-notion-accent text-white' : 'border-notion-muted'
+                        }`}
+                      >
+                        {isSelected && <CheckIcon className="w-4 h-4" />}
+                      </span>
+                    )}
+                    <AppThumbnail
+                      app={app}
+                      icon={getAppAppearance(app, categories).icon}
+                      className="w-16 h-12 flex-shrink-0 rounded-lg border border-notion-border text-2xl opacity-70"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-notion-text text-sm font-medium truncate">{app.name}</p>
+                      <p className="text-notion-muted text-xs truncate">
+                        Deleted {formatDate(app.deletedAt)} · {getPurgeLabel(app)}
+                      </p>
+                    </div>
+                    {!isSelecting && (
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => restoreAppsFromTrash([app.id])}
+                          className="p-2 rounded-lg text-notion-muted hover:text-notion-accent hover:bg-notion-bg transition-all duration-200"
+                          title="Restore"
+                        >
+                          <ArrowUturnLeftIcon className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteForever([app.id])}
+                          className="p-2 rounded-lg text-notion-muted hover:text-red-400 hover:bg-notion-bg transition-all duration-200"
+                          title="Delete forever"
+                        >
+                          <TrashIcon className="w-4 h-4" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+      </div>
+
+      <SelectionBar
+        isOpen={isSelecting}
+        count={selectedApps.length}
+        total={trashedApps.length}
+        onSelectAll={() => setSelectedIds(selectedApps.length === trashedApps.length ? new Set() : new Set(trashedApps.map(app => app.id)))}
+        onDone={handleSelectionDone}
+        actions={[
+          {
+            label: 'Restore',
+            icon: ArrowUturnLeftIcon,
+            onClick: () => {
+              restoreAppsFromTrash(selectedApps);
+              handleSelectionDone();
+            }
+          },
+          {
+            label: 'Delete',
+            icon: TrashIcon,
+            isDestructive: true,
+            onClick: () => {
+              if (handleDeleteForever(selectedApps)) handleSelectionDone();
+            }
+          }
+        ]}
+      />
+    </motion.div>
+  );
+}
+
+export default TrashPage;
@@ -0,0 +1,52 @@
+import React, { useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+// How long the toast stays up before the action is final
+const UNDO_TIMEOUT_MS = 6000;
+
+/**
+ * UndoToast component - Short-lived notice with an Undo button
+ * Pass a new `notice` object to restart the timer
+ */
+function UndoToast({ notice, onUndo, onDismiss }) {
+  // Hide the toast once the undo window has passed
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [notice, onDismiss]);
+
+  return (
+    <AnimatePresence>
+      {notice && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          role="status"
+          className="fixed bottom-6 left-4 right-4 z-[60] mx-auto max-w-md rounded-xl border border-notion-border bg-notion-card shadow-2xl px-4 py-3"
+        >
+          <div className="flex items-center gap-3">
+            <p className="flex-1 min-w-0 text-notion-text text-sm truncate">{notice.message}</p>
+            <button
+              onClick={() => onUndo(notice)}
+              className="text-notion-accent hover:text-notion-accent-light text-sm font-medium"
+            >
+              Undo
+            </button>
+            <button
+              onClick={onDismiss}
+              className="text-notion-muted hover:text-notion-text"
+              title="Dismiss"
+            >
+              <XMarkIcon className="w-4 h-4" />
+            </button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default UndoToast;
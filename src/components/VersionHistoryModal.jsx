@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { 
+  XMarkIcon,
+  ClockIcon,
+  EyeIcon,
+  ArrowUturnLeftIcon,
+  ArrowsRightLeftIcon,
+  ArrowLeftIcon
+} from '@heroicons/react/24/outline';
+import DiffView from './DiffView';
+import { countChanges, diffLines } from '../utils/diff';
+import { getVersionLabel, getVersionSourceLabel } from '../utils/versions';
+
+/**
+ * VersionHistoryModal component - Revision timeline for an app
+ * Lets the user preview, diff and restore any earlier version
+ */
+function VersionHistoryModal({ isOpen, onClose, versions, currentVersionId, onPreview, onRestore }) {
+  const [diffVersionId, setDiffVersionId] = useState(null);
+
+  const currentVersion = versions.find(version => version.id === currentVersionId);
+  const diffVersion = versions.find(version => version.id === diffVersionId);
+
+  // Line change counts against the current version, computed on request since
+  // diffing every version of a large app at once would block the page
+  const [changeCounts, setChangeCounts] = useState({});
+  const getCountsKey = (versionId) => `${versionId}>${currentVersionId}`;
+
+  /**
+   * Count the lines changed between a version and the current one
+   */
+  const handleCountChanges = (version) => {
+    const counts = countChanges(diffLines(version.code, currentVersion?.code || ''));
+    setChangeCounts(current => ({ ...current, [getCountsKey(version.id)]: counts }));
+  };
+
+  /**
+   * Close the modal and reset the diff view
+   */
+  const handleClose = () => {
+    setDiffVersionId(null);
+    onClose();
+  };
+
+  /**
+   * Format revision timestamp for display
+   */
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-end sm:items-center justify-center p-4"
+          onClick={handleClose}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 100 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 100 }}
+            transition={{ duration: 0.3 }}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-notion-card border border-notion-border rounded-t-xl sm:rounded-xl w-full max-w-2xl max-h-[85vh] overflow-hidden flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-notion-border">
+              <div className="flex items-center gap-3">
+                {diffVersion ? (
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => setDiffVersionId(null)}
+                    className="w-8 h-8 bg-notion-accent/20 rounded-lg flex items-center justify-center"
+                  >
+                    <ArrowLeftIcon className="w-4 h-4 text-notion-accent" />
+                  </motion.button>
+                ) : (
+                  <div className="w-8 h-8 bg-notion-accent/20 rounded-lg flex items-center justify-center">
+                    <ClockIcon className="w-4 h-4 text-notion-accent" />
+                  </div>
+                )}
+                <div>
+                  <h3 className="font-semibold text-notion-text">
+                    {diffVersion
+                      ? `${getVersionLabel(versions, diffVersion.id)} → ${getVersionLabel(versions, currentVersionId)}`
+                      : 'Version History'}
+                  </h3>
+                  <p className="text-notion-muted text-sm">
+                    {diffVersion
+                      ? 'Changes from this version to the current one'
+                      : `${versions.length} ${versions.length === 1 ? 'version' : 'versions'}`}
+                  </p>
+                </div>
+              </div>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleClose}
+                className="p-2 rounded-lg hover:bg-notion-bg transition-colors duration-200"
+              >
+                <XMarkIcon className="w-5 h-5 text-notion-muted" />
+              </motion.button>
+            </div>
+
+            {/* Content */}
+            <div className="flex-1 overflow-auto">
+              {diffVersion ? (
+                <DiffView oldCode={diffVersion.code} newCode={currentVersion?.code || ''} />
+              ) : (
+                <ol className="p-4 space-y-2">
+                  {[...versions].reverse().map((version) => {
+                    const isCurrent = version.id === currentVersionId;
+                    const changes = changeCounts[getCountsKey(version.id)];
+
+                    return (
+                      <li
+                        key={version.id}
+                        className={`
+                          p-4 rounded-lg border transition-colors duration-200
+                          ${isCurrent 
+                            ? 'border-notion-accent/50 bg-notion-accent/5' 
+                            : 'border-notion-border bg-notion-bg'
+                          }
+                        `}
+                      >
+                        <div className="flex items-start justify-between gap-3">
+                          <div className="min-w-0">
+                            <div className="flex items-center gap-2 mb-1">
+                              <span className="font-semibold text-notion-text text-sm">
+                                {getVersionLabel(versions, version.id)}
+                              </span>
+                              <span className="text-notion-muted text-xs">
+                                {getVersionSourceLabel(version.source)} · {formatDateTime(version.createdAt)}
+                              </span>
+                              {isCurrent && <span className="notion-badge">Current</span>}
+                            </div>
+                            <p className="text-notion-muted text-sm line-clamp-2">
+                              {version.prompt}
+                            </p>
+                            {changes ? (
+                              <p className="text-xs mt-1">
+                                <span className="text-green-400">+{changes.added}</span>{' '}
+                                <span className="text-red-400">-{changes.removed}</span>
+                                <span className="text-notion-muted"> vs current</span>
+                              </p>
+                            ) : !isCurrent && (
+                              <button
+                                onClick={() => handleCountChanges(version)}
+                                className="text-xs mt-1 text-notion-muted hover:text-notion-accent"
+                              >
+                                Count changes vs current
+                              </button>
+                            )}
+                          </div>
+
+                          {!isCurrent && (
+                            <div className="flex items-center gap-1 flex-shrink-0">
+                              <motion.button
+                                whileHover={{ scale: 1.1 }}
+                                whileTap={{ scale: 0.9 }}
+                                onClick={() => onPreview(version.id)}
+                                className="p-2 rounded-lg text-notion-muted hover:text-notion-accent hover:bg-notion-card transition-all duration-200"
+                                title="Preview this version"
+                              >
+                                <EyeIcon className="w-4 h-4" />
+                              </motion.button>
+                              <motion.button
+                                whileHover={{ scale: 1.1 }}
+                                whileTap={{ scale: 0.9 }}
+                                onClick={() => setDiffVersionId(version.id)}
+                                className="p-2 rounded-lg text-notion-muted hover:text-notion-accent hover:bg-notion-card transition-all duration-200"
+                                title="Compare with current"
+                              >
+                                <ArrowsRightLeftIcon className="w-4 h-4" />
+                              </motion.button>
+                              <motion.button
+                                whileHover={{ scale: 1.1 }}
+                                whileTap={{ scale: 0.9 }}
+                                onClick={() => onRestore(version.id)}
+                                className="p-2 rounded-lg text-notion-muted hover:text-notion-accent hover:bg-notion-card transition-all duration-200"
+                                title="Restore this version"
+                              >
+                                <ArrowUturnLeftIcon className="w-4 h-4" />
+                              </motion.button>
+                            </div>
+                          )}
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ol>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default VersionHistoryModal;
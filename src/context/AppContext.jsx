@@ -1,25 +1,142 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import OpenAI from 'openai';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useMemo, useState } from 'react';
+import { createVersion, appendVersion, getVersions, getCurrentVersionId } from '../utils/versions';
+import { getByteLength, countNewlines } from '../utils/streaming';
+import { clearAppStorage, saveAppStorage } from '../utils/appStorage';
+import { createTurn, getThread, getThreadMessages, splitSummary } from '../utils/thread';
+import { createRemixedFrom } from '../utils/lineage';
+import {
+  TRASH_RETENTION_OPTIONS,
+  DEFAULT_TRASH_RETENTION_DAYS,
+  getActiveApps,
+  getTrashedApps,
+  getExpiredApps
+} from '../utils/trash';
+import { getTemplate, renderTemplate } from '../templates';
+import { buildPrompt } from '../utils/prompts';
+import {
+  createProvider,
+  getDefaultAiSettings,
+  getActiveProviderSettings,
+  mergeAiSettings
+} from '../providers';
+import { withRetry } from '../utils/retry';
+import { GenerationCancelledError, PatchConflictError, StorageQuotaError, isCancelledError } from '../utils/errors';
+import { parsePatch, applyPatch } from '../utils/patch';
+import { validateHtml, getUnresolvedIssues, countBlockingIssues } from '../utils/htmlValidator';
+import { parseHtmlFile, getNameFromFileName } from '../utils/appBundle';
+import { combineLibraries } from '../utils/backup';
+import { normalizeFolders, mergeFolders } from '../utils/folders';
+import { getReorderUpdates } from '../utils/appFilters';
+import { loadApps, saveApps, isQuotaError } from '../utils/libraryStore';
+import {
+  getCategories,
+  normalizeMetadata,
+  normalizeAppCategory,
+  buildMetadataSchema,
+  DEFAULT_CATEGORY_ID
+} from '../utils/categories';
+
+// Minimum delay between streamed progress updates pushed into state
+const PROGRESS_INTERVAL_MS = 150;
+
+// How often a long-lived session checks the Trash for expired apps
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const initialAiSettings = loadAiSettings();
+
+let lastAppId = 0;
+
+/**
+ * Create a unique app id
+ * Ids are timestamps, bumped when several apps are created in the same millisecond
+ */
+function createAppId() {
+  lastAppId = Math.max(Date.now(), lastAppId + 1);
+  return lastAppId.toString();
+}
 
 // Initial state for the app
 const initialState = {
   savedApps: [],
+  isLibraryLoaded: false,
+  storageError: null,
   currentApp: null,
   isGenerating: false,
+  generationProgress: null,
   generatedApps: new Map(),
-  aiClient: null,
+  aiProvider: createProvider(initialAiSettings),
+  aiSettings: initialAiSettings,
+  customCategories: loadCustomCategories(),
+  trashRetentionDays: loadTrashRetention(),
+  folders: loadFolders(),
 };
 
+/**
+ * Load AI provider settings, falling back to the environment defaults
+ */
+function loadAiSettings() {
+  try {
+    return mergeAiSettings(getDefaultAiSettings(), JSON.parse(localStorage.getItem('bya-ai-settings')));
+  } catch {
+    return getDefaultAiSettings();
+  }
+}
+
+/**
+ * Load the user's own app categories
+ */
+function loadCustomCategories() {
+  try {
+    const categories = JSON.parse(localStorage.getItem('bya-categories'));
+    return Array.isArray(categories) ? categories : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load the user's app folders
+ */
+function loadFolders() {
+  try {
+    return normalizeFolders(JSON.parse(localStorage.getItem('bya-folders')));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load how long deleted apps stay in the Trash
+ */
+function loadTrashRetention() {
+  try {
+    const days = JSON.parse(localStorage.getItem('bya-trash-retention'));
+    return TRASH_RETENTION_OPTIONS.some(option => option.days === days) ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  } catch {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+}
+
 // Action types
 const ActionTypes = {
   SET_SAVED_APPS: 'SET_SAVED_APPS',
   ADD_APP: 'ADD_APP',
   SET_CURRENT_APP: 'SET_CURRENT_APP',
   SET_GENERATING: 'SET_GENERATING',
+  SET_GENERATION_PROGRESS: 'SET_GENERATION_PROGRESS',
   SET_GENERATED_APP: 'SET_GENERATED_APP',
   UPDATE_APP: 'UPDATE_APP',
-  DELETE_APP: 'DELETE_APP',
-  INIT_AI_CLIENT: 'INIT_AI_CLIENT',
+  UPDATE_APPS: 'UPDATE_APPS',
+  TRASH_APPS: 'TRASH_APPS',
+  RESTORE_TRASHED_APPS: 'RESTORE_TRASHED_APPS',
+  DELETE_APPS: 'DELETE_APPS',
+  RESTORE_APPS: 'RESTORE_APPS',
+  SET_AI_PROVIDER: 'SET_AI_PROVIDER',
+  SET_AI_SETTINGS: 'SET_AI_SETTINGS',
+  SET_STORAGE_ERROR: 'SET_STORAGE_ERROR',
+  SET_CUSTOM_CATEGORIES: 'SET_CUSTOM_CATEGORIES',
+  SET_TRASH_RETENTION: 'SET_TRASH_RETENTION',
+  SET_FOLDERS: 'SET_FOLDERS',
 };
 
 /**
@@ -27,12 +144,16 @@ const ActionTypes = {
  */
 function appReducer(state, action) {
   switch (action.type) {
-    case ActionTypes.SET_SAVED_APPS:
-      return { ...state, savedApps: action.payload };
+    case ActionTypes.SET_SAVED_APPS: {
+      // Keep apps created while the library was still loading
+      const loadedIds = new Set(action.payload.map(app => app.id));
+      const unsavedApps = state.savedApps.filter(app => !loadedIds.has(app.id));
+      const apps = unsavedApps.length > 0 ? [...action.payload, ...unsavedApps] : action.payload;
+      return { ...state, savedApps: apps, isLibraryLoaded: true };
+    }
     
     case ActionTypes.ADD_APP:
       const newSavedApps = [...state.savedApps, action.payload];
-      localStorage.setItem('bya-saved-apps', JSON.stringify(newSavedApps));
       return { ...state, savedApps: newSavedApps };
     
     case ActionTypes.SET_CURRENT_APP:
@@ -41,6 +162,9 @@ function appReducer(state, action) {
     case ActionTypes.SET_GENERATING:
       return { ...state, isGenerating: action.payload };
     
+    case ActionTypes.SET_GENERATION_PROGRESS:
+      return { ...state, generationProgress: action.payload };
+    
     case ActionTypes.SET_GENERATED_APP:
       const newGeneratedApps = new Map(state.generatedApps);
       newGeneratedApps.set(action.payload.id, action.payload.content);
@@ -50,190 +174,423 @@ function appReducer(state, action) {
       const updatedApps = state.savedApps.map(app => 
         app.id === action.payload.id ? { ...app, ...action.payload.updates } : app
       );
-      localStorage.setItem('bya-saved-apps', JSON.stringify(updatedApps));
-      return { ...state, savedApps: updatedApps };
+      return {
+        ...state,
+        savedApps: updatedApps,
+        currentApp: state.currentApp?.id === action.payload.id
+          ? { ...state.currentApp, ...action.payload.updates }
+          : state.currentApp
+      };
+    
+    case ActionTypes.UPDATE_APPS: {
+      // Payload maps app ids to their updates
+      const updatesById = action.payload;
+      return {
+        ...state,
+        savedApps: state.savedApps.map(app => (updatesById.has(app.id) ? { ...app, ...updatesById.get(app.id) } : app)),
+        currentApp: updatesById.has(state.currentApp?.id)
+          ? { ...state.currentApp, ...updatesById.get(state.currentApp.id) }
+          : state.currentApp
+      };
+    }
+
+    case ActionTypes.TRASH_APPS: {
+      const ids = new Set(action.payload.ids);
+      return {
+        ...state,
+        savedApps: state.savedApps.map(app => (ids.has(app.id) ? { ...app, deletedAt: action.payload.deletedAt } : app))
+      };
+    }
+
+    case ActionTypes.RESTORE_TRASHED_APPS: {
+      const ids = new Set(action.payload);
+      return {
+        ...state,
+        savedApps: state.savedApps.map(app => (ids.has(app.id) ? { ...app, deletedAt: null } : app))
+      };
+    }
+
+    case ActionTypes.DELETE_APPS: {
+      const ids = new Set(action.payload);
+      return {
+        ...state,
+        savedApps: state.savedApps.filter(app => !ids.has(app.id)),
+        currentApp: ids.has(state.currentApp?.id) ? null : state.currentApp
+      };
+    }
     
-    case ActionTypes.DELETE_APP:
-      const filteredApps = state.savedApps.filter(app => app.id !== action.payload);
-      localStorage.setItem('bya-saved-apps', JSON.stringify(filteredApps));
-      return { ...state, savedApps: filteredApps };
+    case ActionTypes.RESTORE_APPS:
+      return {
+        ...state,
+        savedApps: action.payload,
+        currentApp: action.payload.find(app => app.id === state.currentApp?.id) || null
+      };
+    
+    case ActionTypes.SET_AI_PROVIDER:
+      return { ...state, aiProvider: action.payload };
+    
+    case ActionTypes.SET_AI_SETTINGS:
+      return { ...state, aiSettings: action.payload };
     
-    case ActionTypes.INIT_AI_CLIENT:
-      return { ...state, aiClient: action.payload };
+    case ActionTypes.SET_CUSTOM_CATEGORIES:
+      return { ...state, customCategories: action.payload };
+
+    case ActionTypes.SET_FOLDERS:
+      return { ...state, folders: action.payload };
+
+    case ActionTypes.SET_TRASH_RETENTION:
+      return { ...state, trashRetentionDays: action.payload };
+    
+    case ActionTypes.SET_STORAGE_ERROR:
+      if (!state.storageError && !action.payload) return state;
+      return { ...state, storageError: action.payload };
     
     default:
       return state;
   }
 }
 
+/**
+ * Create a throttled reporter that merges streamed generation progress into state
+ */
+function createProgressReporter(dispatch) {
+  const progress = {
+    phase: 'starting',
+    bytes: 0,
+    lines: 0,
+    partialCode: '',
+    reasoning: '',
+    retry: null
+  };
+  let lastReportedAt = 0;
+
+  dispatch({ type: ActionTypes.SET_GENERATION_PROGRESS, payload: { ...progress } });
+
+  return (updates, force = false) => {
+    const { reasoning, ...rest } = updates;
+    Object.assign(progress, rest);
+    if (reasoning) {
+      progress.reasoning += reasoning;
+    }
+
+    const now = Date.now();
+    if (force || now - lastReportedAt >= PROGRESS_INTERVAL_MS) {
+      lastReportedAt = now;
+      dispatch({ type: ActionTypes.SET_GENERATION_PROGRESS, payload: { ...progress } });
+    }
+  };
+}
+
 // Create context
 const AppContext = createContext();
 
 /**
  * AppProvider component to wrap the app with global state
  */
+/**
+ * Keep a settings slice in localStorage; failed writes show the storage alert
+ * The value loaded on start is not written back
+ */
+function useStoredSetting(key, value, initialValue, dispatch) {
+  useEffect(() => {
+    if (value === initialValue) return;
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.error(`Failed to save ${key}:`, error);
+      dispatch({
+        type: ActionTypes.SET_STORAGE_ERROR,
+        payload: {
+          message: isQuotaError(error) ? new StorageQuotaError().message : `Your settings could not be saved: ${error.message}`,
+          isQuotaError: isQuotaError(error)
+        }
+      });
+    }
+  }, [key, value, initialValue, dispatch]);
+}
+
 export function AppProvider({ children }) {
   const [state, dispatch] = useReducer(appReducer, initialState);
 
-  // Load saved apps from localStorage on mount
+  useStoredSetting('bya-ai-settings', state.aiSettings, initialState.aiSettings, dispatch);
+  useStoredSetting('bya-categories', state.customCategories, initialState.customCategories, dispatch);
+  useStoredSetting('bya-folders', state.folders, initialState.folders, dispatch);
+  useStoredSetting('bya-trash-retention', state.trashRetentionDays, initialState.trashRetentionDays, dispatch);
+  const abortControllerRef = useRef(null);
+
+  const persistedAppsRef = useRef(null);
+
+  // Load saved apps from IndexedDB on mount
   useEffect(() => {
-    const savedApps = JSON.parse(localStorage.getItem('bya-saved-apps')) || [];
-    dispatch({ type: ActionTypes.SET_SAVED_APPS, payload: savedApps });
+    let cancelled = false;
+    loadApps()
+      .then(savedApps => {
+        if (cancelled) return;
+        persistedAppsRef.current = savedApps;
+        // Re-map legacy types to the category registry; changed apps are written back
+        const categories = getCategories(loadCustomCategories());
+        const migratedApps = savedApps.map(app => normalizeAppCategory(app, categories));
+        const changed = migratedApps.some((app, index) => app !== savedApps[index]);
+        dispatch({ type: ActionTypes.SET_SAVED_APPS, payload: changed ? migratedApps : savedApps });
+      })
+      .catch(error => {
+        console.error('Failed to load saved apps:', error);
+        if (!cancelled) {
+          dispatch({ type: ActionTypes.SET_STORAGE_ERROR, payload: { message: `Your saved apps could not be loaded: ${error.message}` } });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   /**
-   * Initialize AI client with environment variable
+   * Persist the library whenever it changes
+   * Nothing is written until the stored apps have loaded, so a failed or
+   * pending load never overwrites them
    */
   useEffect(() => {
-    const apiKey = import.meta.env.VITE_OPENAI_API_KEY;
-    if (apiKey) {
-      const client = new OpenAI({
-        apiKey: apiKey,
-        dangerouslyAllowBrowser: true // Note: For production, use a backend proxy
+    if (!state.isLibraryLoaded || persistedAppsRef.current === state.savedApps) return;
+    const previousApps = persistedAppsRef.current;
+    persistedAppsRef.current = state.savedApps;
+
+    saveApps(state.savedApps, previousApps)
+      .then(() => dispatch({ type: ActionTypes.SET_STORAGE_ERROR, payload: null }))
+      .catch(error => {
+        console.error('Failed to save apps:', error);
+        // Rewrite everything on the next change so nothing stays unsaved
+        persistedAppsRef.current = null;
+        dispatch({
+          type: ActionTypes.SET_STORAGE_ERROR,
+          payload: {
+            message: isQuotaError(error) ? error.message : `Your latest changes could not be saved: ${error.message}`,
+            isQuotaError: isQuotaError(error)
+          }
+        });
       });
-      dispatch({ type: ActionTypes.INIT_AI_CLIENT, payload: client });
-    } else {
-      console.warn('OpenAI API key not found. Please set VITE_OPENAI_API_KEY in your .env file.');
-    }
+  }, [state.savedApps, state.isLibraryLoaded]);
+
+  // Time of the last Trash expiry check; bumped periodically and when the tab becomes visible
+  const [purgeCheckAt, setPurgeCheckAt] = useState(Date.now);
+
+  useEffect(() => {
+    const check = () => setPurgeCheckAt(Date.now());
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+    const interval = setInterval(check, TRASH_PURGE_INTERVAL_MS);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
   }, []);
 
   /**
-   * Generate app using real OpenAI API
+   * Delete trashed apps past the retention period, with their saved data
+   * Runs once the library has loaded, when the retention changes and on every check
+   */
+  useEffect(() => {
+    if (!state.isLibraryLoaded) return;
+    const expiredIds = getExpiredApps(state.savedApps, state.trashRetentionDays, purgeCheckAt).map(app => app.id);
+    if (expiredIds.length === 0) return;
+    expiredIds.forEach(clearAppStorage);
+    dispatch({ type: ActionTypes.DELETE_APPS, payload: expiredIds });
+  }, [state.savedApps, state.isLibraryLoaded, state.trashRetentionDays, purgeCheckAt]);
+
+  /**
+   * Create the AI provider whenever its settings change
+   */
+  useEffect(() => {
+    const provider = createProvider(state.aiSettings);
+    if (!provider) {
+      console.warn('AI provider is not configured. Add an API key in Settings or choose another provider.');
+    }
+    dispatch({ type: ActionTypes.SET_AI_PROVIDER, payload: provider });
+  }, [state.aiSettings]);
+
+  // Server provider whose health check failed; while set, apps are built offline from templates
+  const [unreachableProvider, setUnreachableProvider] = useState(null);
+
+  /**
+   * Check that the BYA server answers, again whenever the browser comes back online
+   */
+  useEffect(() => {
+    const provider = state.aiProvider;
+    if (provider?.id !== 'proxy') return;
+    const controller = new AbortController();
+    const check = () => {
+      provider.validate({ signal: controller.signal })
+        .then(() => setUnreachableProvider(current => (current === provider ? null : current)))
+        .catch(error => {
+          if (isCancelledError(error)) return;
+          console.warn('BYA server is not reachable:', error);
+          setUnreachableProvider(provider);
+        });
+    };
+    check();
+    window.addEventListener('online', check);
+    return () => {
+      controller.abort();
+      window.removeEventListener('online', check);
+    };
+  }, [state.aiProvider]);
+
+  const isOffline = !state.aiProvider || unreachableProvider === state.aiProvider;
+
+  const categories = getCategories(state.customCategories);
+  const activeApps = useMemo(() => getActiveApps(state.savedApps), [state.savedApps]);
+  const trashedApps = useMemo(() => getTrashedApps(state.savedApps), [state.savedApps]);
+
+  /**
+   * Send a generation request to the AI provider
+   * `input` holds the user's data; the prompts are built from it here, and
+   * the BYA server builds them itself from the forwarded input
+   */
+  const requestGeneration = ({ purpose, input, ...options }) => (
+    state.aiProvider.generate({ ...options, purpose, input, ...buildPrompt(purpose, input) })
+  );
+
+  /**
+   * Ask the metadata model for an app's name, description, category and tags
+   * `input` is a metadata request for buildPrompt without the categories.
+   * Structured output is requested first; endpoints that reject the schema
+   * are asked again without it. Returns null when no usable JSON comes back
+   */
+  const extractMetadata = async (input, { prompt, signal, onRetry } = {}) => {
+    const { model, metadataModel } = getActiveProviderSettings(state.aiSettings);
+    const request = (responseSchema) => withRetry(() => requestGeneration({
+      purpose: 'metadata',
+      model: metadataModel || model,
+      reasoningEffort: 'low',
+      input: { ...input, categories: categories.map(({ id, label }) => ({ id, label })) },
+      responseSchema,
+      signal
+    }), { signal, onRetry });
+
+    let metadataText;
+    try {
+      metadataText = await request(buildMetadataSchema(categories));
+    } catch (error) {
+      if (signal?.aborted || isCancelledError(error) || (error.status !== 400 && error.status !== 422)) throw error;
+      console.warn('Structured output was rejected, retrying without a schema:', error);
+      metadataText = await request(null);
+    }
+
+    try {
+      const json = metadataText.slice(metadataText.indexOf('{'), metadataText.lastIndexOf('}') + 1);
+      return normalizeMetadata(JSON.parse(json), categories, { prompt });
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * Validate returned HTML before it is saved
+   * Recoverable issues are fixed in place; remaining errors are sent back
+   * to the model for one repair pass when auto-repair is enabled
+   */
+  const validateGeneratedCode = async (rawCode, { signal, onRetry, onRepair }) => {
+    let result = validateHtml(rawCode);
+    const unresolved = getUnresolvedIssues(result.issues);
+    const blockingCount = countBlockingIssues(result.issues);
+    if (unresolved.length > 0) {
+      console.warn('Generated app failed validation:', unresolved);
+    }
+
+    if (blockingCount > 0 && state.aiSettings.autoRepair) {
+      onRepair?.();
+      const { model, reasoningEffort } = getActiveProviderSettings(state.aiSettings);
+      try {
+        const repairedText = await withRetry(() => requestGeneration({
+          purpose: 'repair',
+          model,
+          reasoningEffort,
+          input: { code: result.code, issues: unresolved.map(issue => issue.message) },
+          signal
+        }), { signal, onRetry });
+
+        // Keep the repair only if it actually leaves fewer errors behind
+        const repaired = validateHtml(repairedText);
+        if (countBlockingIssues(repaired.issues) < blockingCount) {
+          result = repaired;
+        }
+      } catch (error) {
+        if (signal.aborted || isCancelledError(error)) throw error;
+        console.warn('Automatic repair failed, keeping the original code:', error);
+      }
+    }
+
+    if (result.issues.some(issue => issue.rule === 'not-html')) {
+      throw new Error('The model did not return an HTML app.');
+    }
+    return result.code;
+  };
+
+  /**
+   * Generate app using the configured AI provider
    */
   const generateApp = async (prompt) => {
-    if (!state.aiClient) {
-      throw new Error('AI client not initialized. Please check your API key.');
+    if (!state.aiProvider) {
+      throw new Error('AI provider not configured. Add an API key or choose another provider in Settings.');
     }
 
     dispatch({ type: ActionTypes.SET_GENERATING, payload: true });
+    const reportProgress = createProgressReporter(dispatch);
+    const { signal } = startRequest();
+    const onRetry = (retry) => reportProgress({ retry }, true);
+    const { model, reasoningEffort } = getActiveProviderSettings(state.aiSettings);
     
     try {
-      const completion = await state.aiClient.responses.create({
-        model: "o4-mini",
-        input: [
-          {
-            role: "system",
-            content: `You are a web developer who creates BULLETPROOF mini-apps that work perfectly on first try.
-
-RESPONSE FORMAT: Return only HTML code starting with <!DOCTYPE html> and ending with </html>. No explanations, comments, or markdown blocks.
-
-MANDATORY TESTING CHECKLIST - Before responding, mentally verify:
-✅ Every button click works and does something visible
-✅ Form submission prevents default and handles data correctly  
-✅ File input properly converts to base64 and displays preview
-✅ LocalStorage saves and loads data without errors
-✅ All user interactions have immediate visual feedback
-✅ No console errors occur during normal usage
-✅ Empty states are handled gracefully
-✅ Input validation works and shows helpful messages
-
-CODE REQUIREMENTS:
-- Single HTML file, vanilla JavaScript only
-- Mobile-first responsive (min 320px width)
-- Use addEventListener for ALL events (never onclick attributes)
-- Always preventDefault() on form submissions
-- Convert images to base64 for localStorage
-- Use simple JSON for data storage
-- Include try-catch for localStorage operations
-- Test all code paths mentally before responding
-
-DESIGN REQUIREMENTS:
-- Clean, minimal interface with good contrast
-- Touch-friendly buttons (min 44px height)
-- Smooth transitions (max 0.2s duration)
-- Use modern CSS (flexbox/grid, CSS variables)
-- Maximum 4 colors total
-- 16px+ font size for readability
-
-FORBIDDEN (causes bugs):
-- External dependencies except Google Fonts
-- Complex drag-and-drop implementations
-- Async operations without proper error handling
-- onclick/onchange attributes in HTML
-- Forms without preventDefault()
-- Missing input validation
-- Features that don't work reliably on mobile
-
-GOLDEN RULE: If you can't mentally trace through every user interaction and confirm it works, simplify until you can.
-
-Build something that works perfectly rather than something complex that breaks.`
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        text: {
-          format: {
-            type: "text"
+      const rawCode = await withRetry(() => {
+        let streamedBytes = 0;
+        let streamedLines = 1;
+        reportProgress({ phase: 'starting', bytes: 0, lines: 0, partialCode: '' }, true);
+
+        return requestGeneration({
+          purpose: 'code',
+          model,
+          reasoningEffort,
+          input: { prompt },
+          signal,
+          onReasoningStart: () => reportProgress({ phase: 'reasoning', retry: null }, true),
+          onReasoningDelta: (delta) => reportProgress({ reasoning: delta }),
+          onTextDelta: (delta, text) => {
+            streamedBytes += getByteLength(delta);
+            streamedLines += countNewlines(delta);
+            reportProgress({ phase: 'writing', retry: null, bytes: streamedBytes, lines: streamedLines, partialCode: text });
           }
-        },
-        reasoning: {
-          effort: "medium",
-          summary: "auto"
-        },
-        tools: [],
-        store: true
-      });
+        });
+      }, { signal, onRetry });
 
-      const generatedCode = completion.output_text;
+      reportProgress({ phase: 'validating', retry: null }, true);
+      const generatedCode = await validateGeneratedCode(rawCode, {
+        signal,
+        onRetry,
+        onRepair: () => reportProgress({ phase: 'repairing' }, true)
+      });
       
       // Extract app metadata using another AI call
-      const metadataCompletion = await state.aiClient.responses.create({
-        model: "o4-mini",
-        input: [
-          {
-            role: "system",
-            content: `Return ONLY valid JSON. No explanations.
-
-Based on the user's request, provide this exact format:
-{
-  "name": "Short App Name",
-  "description": "Brief description",
-  "type": "todo|timer|calculator|tracker|notes|converter|other"
-}
+      reportProgress({ phase: 'metadata', retry: null, partialCode: generatedCode }, true);
+      const metadata = await extractMetadata({ prompt }, { prompt, signal, onRetry })
+        // Fallback metadata if the response was not usable JSON
+        || normalizeMetadata({ name: 'Custom App', description: 'AI-generated application' }, categories, { prompt });
 
-Response must start with { and end with }.`
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        text: {
-          format: {
-            type: "text"
-          }
-        },
-        reasoning: {
-          effort: "low",
-          summary: "auto"
-        },
-        tools: [],
-        store: true
-      });
+      reportProgress({ phase: 'saving' }, true);
 
-      let metadata;
-      try {
-        metadata = JSON.parse(metadataCompletion.output_text);
-      } catch {
-        // Fallback metadata if JSON parsing fails
-        metadata = {
-          name: "Custom App",
-          description: "AI-generated application",
-          type: "other"
-        };
-      }
-
-      const appId = Date.now().toString();
+      const appId = createAppId();
+      const initialVersion = createVersion({ prompt, code: generatedCode, source: 'generate' });
       const appData = {
         id: appId,
-        name: metadata.name,
-        description: metadata.description,
+        name: metadata.name || 'Custom App',
+        description: metadata.description || 'AI-generated application',
         type: metadata.type,
-        createdAt: new Date().toISOString(),
+        tags: metadata.tags,
+        createdAt: initialVersion.createdAt,
         prompt: prompt,
-        code: generatedCode // Store the generated code with the app data
+        code: generatedCode, // Store the generated code with the app data
+        versions: [initialVersion],
+        currentVersionId: initialVersion.id
       };
 
       dispatch({ type: ActionTypes.SET_GENERATED_APP, payload: { id: appId, content: generatedCode } });
@@ -243,63 +600,453 @@ Response must start with { and end with }.`
       
       return appData;
     } catch (error) {
+      if (signal.aborted || isCancelledError(error)) {
+        throw new GenerationCancelledError();
+      }
       console.error('Error generating app:', error);
-      throw new Error(`Failed to generate app: ${error.message}`);
+      throw new Error(`Failed to generate app: ${error.message}`, { cause: error });
     } finally {
-      dispatch({ type: ActionTypes.SET_GENERATING, payload: false });
+      if (finishRequest(signal)) {
+        dispatch({ type: ActionTypes.SET_GENERATING, payload: false });
+        dispatch({ type: ActionTypes.SET_GENERATION_PROGRESS, payload: null });
+      }
     }
   };
 
   /**
-   * Update app with follow-up changes using real AI
+   * Update app with follow-up changes using the configured AI provider
    */
-  const updateAppWithFollowUp = async (appId, followUpPrompt) => {
-    if (!state.aiClient) {
-      throw new Error('AI client not initialized.');
+  const updateAppWithFollowUp = async (appId, followUpPrompt, { app: appRecord } = {}) => {
+    if (!state.aiProvider) {
+      throw new Error('AI provider not configured. Add an API key or choose another provider in Settings.');
     }
 
     dispatch({ type: ActionTypes.SET_GENERATING, payload: true });
+    const { signal } = startRequest();
+    const { model, reasoningEffort } = getActiveProviderSettings(state.aiSettings);
     
     try {
-      const currentCode = state.generatedApps.get(appId);
+      // A just-created copy is passed in because it is not in this render's state yet
+      const app = appRecord || findApp(appId);
+      const currentCode = app?.code || state.generatedApps.get(appId);
       
-      const completion = await state.aiClient.responses.create({
-        model: "o4-mini",
-        input: [
-          {
-            role: "system",
-            content: "You are an expert web developer. Modify the existing HTML app based on the user's request. Return ONLY the complete, updated HTML code."
-          },
-          {
-            role: "user",
-            content: `Here's the current app code:\n\n${currentCode}\n\nPlease modify it to: ${followUpPrompt}`
-          }
-        ],
-        text: {
-          format: {
-            type: "text"
-          }
-        },
-        reasoning: {
-          effort: "medium",
-          summary: "auto"
-        },
-        tools: [],
-        store: true
-      });
+      const thread = getThread(app);
+      const input = {
+        prompt: followUpPrompt,
+        code: currentCode,
+        originalPrompt: app?.prompt || '',
+        thread: getThreadMessages(thread)
+      };
+      const requestChanges = (purpose) => withRetry(() => requestGeneration({
+        purpose,
+        model,
+        reasoningEffort,
+        input,
+        signal
+      }), { signal });
+
+      let result = null;
+      if (state.aiSettings.followUpMode === 'patch') {
+        // Apply targeted edits, falling back to a full rewrite if they conflict
+        const { code: patchText, summary } = splitSummary(await requestChanges('patch'));
+        try {
+          result = { code: applyPatch(currentCode, parsePatch(patchText)), summary };
+        } catch (error) {
+          if (!(error instanceof PatchConflictError)) throw error;
+          console.warn('Patch could not be applied, regenerating the full app:', error.conflicts);
+        }
+      }
+      if (!result) {
+        result = splitSummary(await requestChanges('follow-up'));
+      }
+      const { summary } = result;
+      const updatedCode = await validateGeneratedCode(result.code, { signal });
 
-      const updatedCode = completion.output_text;
       dispatch({ type: ActionTypes.SET_GENERATED_APP, payload: { id: appId, content: updatedCode } });
+
+      // Persist the change as a new revision and record the exchange in the thread
+      if (app) {
+        const version = createVersion({ prompt: followUpPrompt, code: updatedCode, source: 'follow-up' });
+        const turns = [
+          createTurn({ role: 'user', content: followUpPrompt }),
+          createTurn({ role: 'assistant', content: summary || 'Applied the requested changes.', versionId: version.id })
+        ];
+        dispatch({
+          type: ActionTypes.UPDATE_APP,
+          payload: { id: appId, updates: { ...appendVersion(app, version), thread: [...thread, ...turns] } }
+        });
+      }
       
       return true;
     } catch (error) {
+      if (signal.aborted || isCancelledError(error)) {
+        throw new GenerationCancelledError('Changes cancelled.');
+      }
       console.error('Error updating app:', error);
-      throw new Error(`Failed to update app: ${error.message}`);
+      throw new Error(`Failed to update app: ${error.message}`, { cause: error });
     } finally {
-      dispatch({ type: ActionTypes.SET_GENERATING, payload: false });
+      if (finishRequest(signal)) {
+        dispatch({ type: ActionTypes.SET_GENERATING, payload: false });
+      }
     }
   };
 
+  /**
+   * Create an app from a built-in template without calling the AI provider
+   */
+  const createAppFromTemplate = (templateId, options, prompt = '') => {
+    const template = getTemplate(templateId);
+    const code = renderTemplate(templateId, options);
+    const title = options.title?.trim() || template.defaults.title;
+
+    const appId = createAppId();
+    const initialVersion = createVersion({
+      prompt: prompt || `${template.name} template`,
+      code,
+      source: 'template'
+    });
+    const appData = {
+      id: appId,
+      name: title,
+      description: template.description,
+      type: template.type,
+      tags: [],
+      createdAt: initialVersion.createdAt,
+      prompt: prompt || `${template.name} template`,
+      code,
+      templateId,
+      versions: [initialVersion],
+      currentVersionId: initialVersion.id
+    };
+
+    dispatch({ type: ActionTypes.SET_GENERATED_APP, payload: { id: appId, content: code } });
+    dispatch({ type: ActionTypes.SET_CURRENT_APP, payload: appData });
+    dispatch({ type: ActionTypes.ADD_APP, payload: appData });
+
+    return appData;
+  };
+
+  /**
+   * Import a standalone HTML file as a new app
+   * Name and description come from the metadata step when a provider is
+   * configured, otherwise from the page title
+   */
+  const importHtmlApp = async (text, fileName) => {
+    const { code, title } = parseHtmlFile(text, fileName);
+    const prompt = `Imported from ${fileName}`;
+
+    let metadata = null;
+    if (state.aiProvider) {
+      try {
+        metadata = await extractMetadata({ title, code }, { prompt: title });
+      } catch (error) {
+        console.warn('Could not derive metadata for the imported app, using its title:', error);
+      }
+    }
+    const name = metadata?.name || title || getNameFromFileName(fileName);
+
+    const initialVersion = createVersion({ prompt, code, source: 'import' });
+    const appData = {
+      id: createAppId(),
+      name,
+      description: metadata?.description || prompt,
+      type: metadata?.type || normalizeMetadata({ name }, categories).type,
+      tags: metadata?.tags || [],
+      createdAt: initialVersion.createdAt,
+      prompt,
+      code,
+      versions: [initialVersion],
+      currentVersionId: initialVersion.id
+    };
+
+    dispatch({ type: ActionTypes.ADD_APP, payload: appData });
+    return appData;
+  };
+
+  /**
+   * Add apps read from a bundle, giving each a new id
+   */
+  const importBundleApps = (apps) => {
+    return apps.map(app => {
+      const appData = normalizeAppCategory({ ...app, id: createAppId() }, categories);
+      dispatch({ type: ActionTypes.ADD_APP, payload: appData });
+      return appData;
+    });
+  };
+
+  /**
+   * Restore apps from a parsed backup, merging with or replacing the library
+   * Sandbox storage is restored for every app taken from the backup
+   */
+  const restoreLibrary = (backup, options) => {
+    const backupApps = backup.apps.map(app => normalizeAppCategory(app, categories));
+    const { apps, restoredIds } = combineLibraries(state.savedApps, backupApps, options);
+    const keptIds = new Set(apps.map(app => app.id));
+    const removed = state.savedApps.filter(app => !keptIds.has(app.id));
+
+    removed.forEach(app => clearAppStorage(app.id));
+    restoredIds.forEach(appId => {
+      clearAppStorage(appId);
+      if (backup.storage[appId]) {
+        saveAppStorage(appId, backup.storage[appId]);
+      }
+    });
+
+    dispatch({ type: ActionTypes.RESTORE_APPS, payload: apps });
+    const folders = mergeFolders(state.folders, backup.folders);
+    if (folders !== state.folders) {
+      dispatch({ type: ActionTypes.SET_FOLDERS, payload: folders });
+    }
+
+    return {
+      restored: restoredIds.length,
+      skipped: backup.apps.length - restoredIds.length,
+      removed: removed.length
+    };
+  };
+
+  /**
+   * Start tracking a new cancellable request
+   */
+  const startRequest = () => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = new AbortController();
+    return abortControllerRef.current;
+  };
+
+  /**
+   * Stop tracking a request once it settles
+   * Returns false when a newer request has replaced it, whose loading state must be left alone
+   */
+  const finishRequest = (signal) => {
+    if (abortControllerRef.current?.signal !== signal) return false;
+    abortControllerRef.current = null;
+    return true;
+  };
+
+  /**
+   * Cancel the in-flight generation or follow-up, if any
+   */
+  const cancelGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  /**
+   * Restore an earlier revision by recording it as a new current revision
+   */
+  const restoreVersion = (appId, versionId) => {
+    const app = findApp(appId);
+    const versions = getVersions(app);
+    const index = versions.findIndex(version => version.id === versionId);
+    if (index === -1) {
+      throw new Error('Version not found.');
+    }
+
+    const version = createVersion({
+      prompt: `Restored v${index + 1}`,
+      code: versions[index].code,
+      source: 'restore',
+      restoredFrom: versionId
+    });
+    dispatch({ type: ActionTypes.SET_GENERATED_APP, payload: { id: appId, content: version.code } });
+    dispatch({ type: ActionTypes.UPDATE_APP, payload: { id: appId, updates: appendVersion(app, version) } });
+    return version;
+  };
+
+  /**
+   * Save code edited by hand as a new current revision
+   */
+  const saveCodeEdit = (appId, code, prompt = 'Manual edit') => {
+    const app = findApp(appId);
+    if (!app) {
+      throw new Error('App not found.');
+    }
+
+    const version = createVersion({ prompt, code, source: 'manual' });
+    dispatch({ type: ActionTypes.SET_GENERATED_APP, payload: { id: appId, content: code } });
+    dispatch({ type: ActionTypes.UPDATE_APP, payload: { id: appId, updates: appendVersion(app, version) } });
+    return version;
+  };
+
+  /**
+   * Update an app's editable details such as category and tags
+   */
+  const updateAppDetails = (appId, updates) => {
+    dispatch({ type: ActionTypes.UPDATE_APP, payload: { id: appId, updates } });
+  };
+
+  /**
+   * Copy an app's code, prompt, version history and thread into a new app
+   * The copy records the app and version it came from; saved data is not copied
+   */
+  const duplicateApp = (appId, { name } = {}) => {
+    const app = findApp(appId);
+    if (!app) throw new Error('App not found');
+
+    const copy = {
+      ...app,
+      id: createAppId(),
+      name: name?.trim() || `${app.name} (copy)`,
+      createdAt: new Date().toISOString(),
+      lastOpenedAt: null,
+      versions: getVersions(app),
+      currentVersionId: getCurrentVersionId(app),
+      thread: getThread(app),
+      remixedFrom: createRemixedFrom(app),
+      deletedAt: null,
+      pinned: false,
+      position: null
+    };
+    dispatch({ type: ActionTypes.ADD_APP, payload: copy });
+    return copy;
+  };
+
+  /**
+   * Store a captured thumbnail for an app
+   */
+  const setAppThumbnail = (appId, thumbnail) => {
+    dispatch({ type: ActionTypes.UPDATE_APP, payload: { id: appId, updates: { thumbnail } } });
+  };
+
+  /**
+   * Ask the metadata model for a new name, description, category and tags
+   * Nothing is saved; the caller decides which suggestions to keep
+   */
+  const suggestAppDetails = async (appId, { signal } = {}) => {
+    const app = state.savedApps.find(item => item.id === appId);
+    if (!app) throw new Error('App not found');
+    if (!state.aiProvider) throw new Error('Configure an AI provider in Settings to get suggestions.');
+
+    const metadata = await extractMetadata(
+      { prompt: app.prompt, name: app.name, description: app.description, code: app.code },
+      { prompt: app.prompt, signal }
+    );
+    if (!metadata?.name) throw new Error('The model did not return usable suggestions. Try again.');
+    return metadata;
+  };
+
+  /**
+   * Replace the user's own categories
+   * Apps in a removed category move to "Other"
+   */
+  const saveCustomCategories = (customCategories) => {
+    const keptIds = new Set(customCategories.map(category => category.id));
+    state.customCategories
+      .filter(category => !keptIds.has(category.id))
+      .forEach(category => {
+        state.savedApps
+          .filter(app => app.type === category.id)
+          .forEach(app => updateAppDetails(app.id, { type: DEFAULT_CATEGORY_ID }));
+      });
+    dispatch({ type: ActionTypes.SET_CUSTOM_CATEGORIES, payload: customCategories });
+  };
+
+  /**
+   * Replace the user's folders
+   * Apps in a removed folder stay in the library without a folder
+   */
+  const saveFolders = (folders) => {
+    const keptIds = new Set(folders.map(folder => folder.id));
+    const updates = new Map(state.savedApps
+      .filter(app => app.folderId && !keptIds.has(app.folderId))
+      .map(app => [app.id, { folderId: null }]));
+    if (updates.size > 0) {
+      dispatch({ type: ActionTypes.UPDATE_APPS, payload: updates });
+    }
+    dispatch({ type: ActionTypes.SET_FOLDERS, payload: folders });
+  };
+
+  /**
+   * Put apps in a folder, or in none when `folderId` is null
+   */
+  const moveAppsToFolder = (appIds, folderId) => {
+    dispatch({ type: ActionTypes.UPDATE_APPS, payload: new Map(appIds.map(appId => [appId, { folderId }])) });
+  };
+
+  /**
+   * Pin an app to the top of My Apps, or unpin it
+   */
+  const toggleAppPinned = (appId) => {
+    const app = findApp(appId);
+    if (!app) return;
+    dispatch({ type: ActionTypes.UPDATE_APP, payload: { id: appId, updates: { pinned: !app.pinned } } });
+  };
+
+  /**
+   * Move an app to another app's place in the manual order
+   */
+  const reorderApp = (appId, targetId) => {
+    const updates = getReorderUpdates(activeApps, appId, targetId);
+    if (updates.size > 0) {
+      dispatch({ type: ActionTypes.UPDATE_APPS, payload: updates });
+    }
+  };
+
+  /**
+   * Move apps to the Trash; they can be restored until the retention period ends
+   */
+  const moveAppsToTrash = (appIds) => {
+    dispatch({ type: ActionTypes.TRASH_APPS, payload: { ids: appIds, deletedAt: new Date().toISOString() } });
+  };
+
+  /**
+   * Bring apps back from the Trash
+   */
+  const restoreAppsFromTrash = (appIds) => {
+    dispatch({ type: ActionTypes.RESTORE_TRASHED_APPS, payload: appIds });
+  };
+
+  /**
+   * Delete apps and their saved data permanently
+   */
+  const deleteAppsForever = (appIds) => {
+    appIds.forEach(clearAppStorage);
+    dispatch({ type: ActionTypes.DELETE_APPS, payload: appIds });
+  };
+
+  /**
+   * Change how long apps stay in the Trash, purging any now past it
+   */
+  const setTrashRetention = (retentionDays) => {
+    dispatch({ type: ActionTypes.SET_TRASH_RETENTION, payload: retentionDays });
+  };
+
+  /**
+   * Record when an app was last opened, for sorting My Apps
+   */
+  const markAppOpened = (appId) => {
+    dispatch({ type: ActionTypes.UPDATE_APP, payload: { id: appId, updates: { lastOpenedAt: new Date().toISOString() } } });
+  };
+
+  /**
+   * Find an app by id, preferring the persisted copy
+   */
+  const findApp = (appId) => {
+    return state.savedApps.find(app => app.id === appId) ||
+      (state.currentApp?.id === appId ? state.currentApp : null);
+  };
+
+  /**
+   * Replace the AI settings (provider selection and per-provider settings)
+   */
+  const saveAiSettings = (aiSettings) => {
+    dispatch({ type: ActionTypes.SET_AI_SETTINGS, payload: aiSettings });
+  };
+
+  /**
+   * Hide the storage error until the next failed write
+   */
+  const dismissStorageError = () => {
+    dispatch({ type: ActionTypes.SET_STORAGE_ERROR, payload: null });
+  };
+
+  /**
+   * Reset AI settings to the build-time defaults
+   */
+  const resetAiSettings = () => {
+    dispatch({ type: ActionTypes.SET_AI_SETTINGS, payload: getDefaultAiSettings() });
+  };
+
   /**
    * Save current app to saved apps
    */
@@ -311,9 +1058,37 @@ Response must start with { and end with }.`
 
   const value = {
     ...state,
+    isOffline,
     generateApp,
     saveCurrentApp,
     updateAppWithFollowUp,
+    restoreVersion,
+    saveCodeEdit,
+    markAppOpened,
+    updateAppDetails,
+    suggestAppDetails,
+    setAppThumbnail,
+    duplicateApp,
+    moveAppsToTrash,
+    restoreAppsFromTrash,
+    deleteAppsForever,
+    setTrashRetention,
+    saveFolders,
+    moveAppsToFolder,
+    toggleAppPinned,
+    reorderApp,
+    activeApps,
+    trashedApps,
+    saveCustomCategories,
+    categories,
+    cancelGeneration,
+    createAppFromTemplate,
+    importHtmlApp,
+    importBundleApps,
+    restoreLibrary,
+    dismissStorageError,
+    saveAiSettings,
+    resetAiSettings,
     dispatch
   };
 
@@ -335,236 +1110,4 @@ export function useApp() {
   return context;
 }
 
-// App code generators (simplified versions)
-function generateHabitTrackerCode() {
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Habit Tracker</title>
-    <style>
-        body { font-family: 'Inter', sans-serif; background: #191919; color: white; margin: 0; padding: 20px; }
-        .habit-card { background: #2f2f2f; border-radius: 8px; padding: 16px; margin: 8px 0; }
-        .habit-name { font-weight: 600; margin-bottom: 8px; }
-        .progress-bar { background: #3f3f3f; height: 8px; border-radius: 4px; overflow: hidden; }
-        .progress-fill { background: #2383e2; height: 100%; transition: width 0.3s; }
-        button { background: #2383e2; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
-    </style>
-</head>
-<body>
-    <h1>Habit Tracker</h1>
-    <div id="habits"></div>
-    <script>
-        const habits = [
-            { name: 'Drink Water', progress: 60 },
-            { name: 'Exercise', progress: 30 },
-            { name: 'Read', progress: 80 }
-        ];
-        
-        function renderHabits() {
-            const container = document.getElementById('habits');
-            container.innerHTML = habits.map(habit => \`
-                <div class="habit-card">
-                    <div class="habit-name">\${habit.name}</div>
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: \${habit.progress}%"></div>
-                    </div>
-                    <button onclick="updateProgress('\${habit.name}')">Mark Complete</button>
-                </div>
-            \`).join('');
-        }
-        
-        function updateProgress(name) {
-            const habit = habits.find(h => h.name === name);
-            if (habit && habit.progress < 100) {
-                habit.progress = Math.min(100, habit.progress + 20);
-                renderHabits();
-            }
-        }
-        
-        renderHabits();
-    </script>
-</body>
-</html>
-  `;
-}
-
-function generateExpenseTrackerCode() {
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Expense Tracker</title>
-    <style>
-        body { font-family: 'Inter', sans-serif; background: #191919; color: white; margin: 0; padding: 20px; }
-        .expense-item { background: #2f2f2f; border-radius: 8px; padding: 16px; margin: 8px 0; display: flex; justify-content: space-between; }
-        .total { background: #2383e2; padding: 16px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
-        input { background: #2f2f2f; border: 1px solid #3f3f3f; color: white; padding: 8px; border-radius: 4px; margin: 4px; }
-        button { background: #2383e2; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
-    </style>
-</head>
-<body>
-    <h1>Expense Tracker</h1>
-    <div class="total">Total: $<span id="total">0</span></div>
-    <div>
-        <input type="text" id="description" placeholder="Description">
-        <input type="number" id="amount" placeholder="Amount">
-        <button onclick="addExpense()">Add Expense</button>
-    </div>
-    <div id="expenses"></div>
-    <script>
-        let expenses = [];
-        
-        function addExpense() {
-            const desc = document.getElementById('description').value;
-            const amount = parseFloat(document.getElementById('amount').value);
-            if (desc && amount) {
-                expenses.push({ description: desc, amount: amount });
-                document.getElementById('description').value = '';
-                document.getElementById('amount').value = '';
-                renderExpenses();
-            }
-        }
-        
-        function renderExpenses() {
-            const container = document.getElementById('expenses');
-            const total = expenses.reduce((sum, exp) => sum + exp.amount, 0);
-            document.getElementById('total').textContent = total.toFixed(2);
-            
-            container.innerHTML = expenses.map(exp => \`
-                <div class="expense-item">
-                    <span>\${exp.description}</span>
-                    <span>$\${exp.amount.toFixed(2)}</span>
-                </div>
-            \`).join('');
-        }
-        
-        renderExpenses();
-    </script>
-</body>
-</html>
-  `;
-}
-
-function generateNotesAppCode() {
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Notes App</title>
-    <style>
-        body { font-family: 'Inter', sans-serif; background: #191919; color: white; margin: 0; padding: 20px; }
-        .note { background: #2f2f2f; border-radius: 8px; padding: 16px; margin: 8px 0; }
-        .note-title { font-weight: 600; margin-bottom: 8px; }
-        textarea { background: #2f2f2f; border: 1px solid #3f3f3f; color: white; padding: 8px; border-radius: 4px; width: 100%; margin: 4px 0; }
-        button { background: #2383e2; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
-    </style>
-</head>
-<body>
-    <h1>Notes App</h1>
-    <div>
-        <input type="text" id="noteTitle" placeholder="Note title" style="background: #2f2f2f; border: 1px solid #3f3f3f; color: white; padding: 8px; border-radius: 4px; width: 100%; margin: 4px 0;">
-        <textarea id="noteContent" placeholder="Write your note..." rows="4"></textarea>
-        <button onclick="addNote()">Add Note</button>
-    </div>
-    <div id="notes"></div>
-    <script>
-        let notes = [];
-        
-        function addNote() {
-            const title = document.getElementById('noteTitle').value;
-            const content = document.getElementById('noteContent').value;
-            if (title && content) {
-                notes.push({ title: title, content: content, date: new Date().toLocaleDateString() });
-                document.getElementById('noteTitle').value = '';
-                document.getElementById('noteContent').value = '';
-                renderNotes();
-            }
-        }
-        
-        function renderNotes() {
-            const container = document.getElementById('notes');
-            container.innerHTML = notes.map(note => \`
-                <div class="note">
-                    <div class="note-title">\${note.title}</div>
-                    <div style="color: #9b9b9b; font-size: 12px; margin-bottom: 8px;">\${note.date}</div>
-                    <div>\${note.content}</div>
-                </div>
-            \`).join('');
-        }
-        
-        renderNotes();
-    </script>
-</body>
-</html>
-  `;
-}
-
-function generateTodoAppCode() {
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Todo App</title>
-    <style>
-        body { font-family: 'Inter', sans-serif; background: #191919; color: white; margin: 0; padding: 20px; }
-        .todo-item { background: #2f2f2f; border-radius: 8px; padding: 16px; margin: 8px 0; display: flex; align-items: center; }
-        .todo-item.completed { opacity: 0.6; text-decoration: line-through; }
-        input[type="checkbox"] { margin-right: 12px; }
-        input[type="text"] { background: #2f2f2f; border: 1px solid #3f3f3f; color: white; padding: 8px; border-radius: 4px; flex: 1; margin-right: 8px; }
-        button { background: #2383e2; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
-    </style>
-</head>
-<body>
-    <h1>Todo App</h1>
-    <div style="display: flex; margin-bottom: 20px;">
-        <input type="text" id="todoInput" placeholder="Add a new todo...">
-        <button onclick="addTodo()">Add</button>
-    </div>
-    <div id="todos"></div>
-    <script>
-        let todos = [];
-        
-        function addTodo() {
-            const input = document.getElementById('todoInput');
-            if (input.value.trim()) {
-                todos.push({ text: input.value.trim(), completed: false, id: Date.now() });
-                input.value = '';
-                renderTodos();
-            }
-        }
-        
-        function toggleTodo(id) {
-            const todo = todos.find(t => t.id === id);
-            if (todo) {
-                todo.completed = !todo.completed;
-                renderTodos();
-            }
-        }
-        
-        function renderTodos() {
-            const container = document.getElementById('todos');
-            container.innerHTML = todos.map(todo => \`
-                <div class="todo-item \${todo.completed ? 'completed' : ''}">
-                    <input type="checkbox" \${todo.completed ? 'checked' : ''} onchange="toggleTodo(\${todo.id})">
-                    <span>\${todo.text}</span>
-                </div>
-            \`).join('');
-        }
-        
-        renderTodos();
-    </script>
-</body>
-</html>
-  `;
-}
-
 export { ActionTypes };
\ No newline at end of file
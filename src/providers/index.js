@@ -0,0 +1,136 @@
+import { createOpenAIResponsesProvider } from './openaiResponses';
+import { createOpenAIChatProvider } from './openaiChat';
+import { createMockProvider } from './mock';
+import { createProxyProvider } from './proxy';
+
+export { REASONING_EFFORTS, isReasoningModel } from './models';
+
+// How follow-ups change an app: targeted search/replace edits or a full rewrite
+export const FOLLOW_UP_MODES = [
+  { id: 'patch', label: 'Targeted edits' },
+  { id: 'full', label: 'Full rewrite' }
+];
+
+/**
+ * Available AI providers and their default settings
+ */
+export const PROVIDERS = {
+  'openai-responses': {
+    label: 'OpenAI (Responses API)',
+    usesApiKey: true,
+    requiresApiKey: true,
+    create: createOpenAIResponsesProvider,
+    defaults: {
+      apiKey: '',
+      baseURL: '',
+      model: 'o4-mini',
+      metadataModel: 'o4-mini',
+      reasoningEffort: 'medium'
+    }
+  },
+  'openai-chat': {
+    label: 'OpenAI-compatible (Chat Completions)',
+    usesApiKey: true,
+    requiresApiKey: false,
+    create: createOpenAIChatProvider,
+    defaults: {
+      apiKey: '',
+      baseURL: 'http://localhost:11434/v1',
+      model: 'llama3.1',
+      metadataModel: 'llama3.1',
+      reasoningEffort: 'medium'
+    }
+  },
+  proxy: {
+    label: 'BYA server (API key stays on the server)',
+    usesApiKey: false,
+    requiresApiKey: false,
+    create: createProxyProvider,
+    defaults: {
+      apiKey: '',
+      baseURL: '',
+      model: 'o4-mini',
+      metadataModel: 'o4-mini',
+      reasoningEffort: 'medium'
+    }
+  },
+  mock: {
+    label: 'Mock (offline, deterministic)',
+    usesApiKey: false,
+    requiresApiKey: false,
+    create: createMockProvider,
+    defaults: {
+      apiKey: '',
+      baseURL: '',
+      model: 'mock',
+      metadataModel: 'mock',
+      reasoningEffort: 'medium'
+    }
+  }
+};
+
+/**
+ * Default AI settings, seeded from the build-time environment
+ * Anything read here ships in the browser bundle, so an API key is only
+ * picked up when VITE_EXPOSE_API_KEY=true opts in (e.g. for local use).
+ * Without a key the BYA server proxy is the default provider.
+ */
+export function getDefaultAiSettings() {
+  const env = import.meta.env;
+  const apiKey = env.VITE_EXPOSE_API_KEY === 'true' ? env.VITE_OPENAI_API_KEY || '' : '';
+  const fallbackProvider = apiKey ? 'openai-responses' : 'proxy';
+  const provider = PROVIDERS[env.VITE_AI_PROVIDER] ? env.VITE_AI_PROVIDER : fallbackProvider;
+
+  const providers = Object.fromEntries(
+    Object.entries(PROVIDERS).map(([id, definition]) => [id, { ...definition.defaults }])
+  );
+  providers['openai-responses'].apiKey = apiKey;
+  if (env.VITE_AI_BASE_URL) providers[provider].baseURL = env.VITE_AI_BASE_URL;
+  if (env.VITE_AI_MODEL) providers[provider].model = env.VITE_AI_MODEL;
+  if (env.VITE_AI_METADATA_MODEL) providers[provider].metadataModel = env.VITE_AI_METADATA_MODEL;
+
+  return { provider, providers, autoRepair: false, followUpMode: 'patch' };
+}
+
+/**
+ * Merge stored settings over the defaults so newly added fields are always present
+ */
+export function mergeAiSettings(defaults, stored) {
+  if (!stored || typeof stored !== 'object') return defaults;
+  const provider = PROVIDERS[stored.provider] ? stored.provider : defaults.provider;
+  const providers = Object.fromEntries(
+    Object.keys(PROVIDERS).map(id => [id, { ...defaults.providers[id], ...stored.providers?.[id] }])
+  );
+  return { ...defaults, ...stored, provider, providers };
+}
+
+/**
+ * Settings of the selected provider
+ */
+export function getActiveProviderSettings(aiSettings) {
+  return aiSettings.providers[aiSettings.provider];
+}
+
+/**
+ * Check settings for one provider before saving them
+ * Resolves with the model ids the provider reports
+ */
+export async function validateProviderSettings(providerId, settings, options) {
+  const definition = PROVIDERS[providerId];
+  if (definition.requiresApiKey && !settings.apiKey) {
+    throw new Error('An API key is required for this provider.');
+  }
+  return definition.create(settings).validate(options);
+}
+
+/**
+ * Create the adapter for the selected provider
+ * Returns null when the provider is missing required configuration
+ */
+export function createProvider(aiSettings) {
+  const definition = PROVIDERS[aiSettings.provider];
+  const settings = getActiveProviderSettings(aiSettings);
+  if (!definition || !settings) return null;
+  if (definition.requiresApiKey && !settings.apiKey) return null;
+  return definition.create(settings);
+}
@@ -0,0 +1,222 @@
+import { sleep } from '../utils/retry';
+import { getCategories, inferCategory, normalizeTags } from '../utils/categories';
+import { escapeHtml } from '../utils/html';
+
+// Size of each streamed chunk and the delay between chunks
+const CHUNK_SIZE = 120;
+const CHUNK_DELAY_MS = 15;
+
+/**
+ * Deterministic mock adapter
+ * Returns the same output for the same request without any network access,
+ * which makes it useful for demos and for working on the UI offline
+ */
+export function createMockProvider() {
+  return {
+    id: 'mock',
+
+    /**
+     * Always succeeds, there is nothing to connect to
+     */
+    async validate() {
+      return ['mock'];
+    },
+
+    /**
+     * Generate text, streaming deltas to the optional handlers
+     */
+    async generate({ purpose, messages, signal, onReasoningStart, onReasoningDelta, onTextDelta }) {
+      const request = messages[messages.length - 1]?.content || '';
+
+      onReasoningStart?.();
+      onReasoningDelta?.('Planning a simple, reliable layout for the request.');
+      await sleep(CHUNK_DELAY_MS * 10, signal);
+
+      const output = purpose === 'metadata'
+        ? JSON.stringify(buildMetadata(request))
+        : purpose === 'patch'
+          ? buildFollowUpPatch(request)
+          : purpose === 'follow-up' || purpose === 'repair'
+            ? buildFollowUp(request, purpose === 'follow-up')
+            : buildApp(request);
+
+      let text = '';
+      for (let i = 0; i < output.length; i += CHUNK_SIZE) {
+        const delta = output.slice(i, i + CHUNK_SIZE);
+        text += delta;
+        onTextDelta?.(delta, text);
+        await sleep(CHUNK_DELAY_MS, signal);
+      }
+
+      return text;
+    }
+  };
+}
+
+/**
+ * Title-case the first few words of a prompt
+ */
+function toTitle(prompt) {
+  const words = prompt
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !/^(build|create|make|app|the|and|for|with|my)$/i.test(word))
+    .slice(0, 3);
+  if (words.length === 0) return 'Mock App';
+  return words.map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+}
+
+/**
+ * Metadata for a prompt
+ */
+function buildMetadata(prompt) {
+  return {
+    name: toTitle(prompt),
+    description: prompt.length > 80 ? `${prompt.slice(0, 77)}...` : prompt,
+    category: inferCategory({ prompt }, getCategories()),
+    tags: normalizeTags(prompt.toLowerCase().split(/[^a-z]+/).filter(word => word.length > 3).slice(0, 3))
+  };
+}
+
+/**
+ * Small working app that echoes the prompt
+ */
+function buildApp(prompt) {
+  const title = escapeHtml(toTitle(prompt));
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        :root { --bg: #191919; --card: #2f2f2f; --text: #ffffff; --accent: #2383e2; }
+        body { font-family: system-ui, sans-serif; background: var(--bg); color: var(--text); margin: 0; padding: 20px; font-size: 16px; }
+        .card { background: var(--card); border-radius: 8px; padding: 16px; margin: 12px 0; }
+        form { display: flex; gap: 8px; }
+        input { flex: 1; background: var(--card); border: 1px solid #3f3f3f; color: var(--text); padding: 12px; border-radius: 6px; font-size: 16px; }
+        button { background: var(--accent); color: var(--text); border: none; min-height: 44px; padding: 0 16px; border-radius: 6px; cursor: pointer; transition: opacity 0.2s; }
+        button:hover { opacity: 0.85; }
+        .empty { color: #9b9b9b; text-align: center; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <p class="empty">${escapeHtml(prompt)}</p>
+    <form id="itemForm">
+        <input type="text" id="itemInput" placeholder="Add an item..." required>
+        <button type="submit">Add</button>
+    </form>
+    <div id="items"></div>
+    <script>
+        const STORAGE_KEY = 'mock-items';
+        let items = [];
+
+        try {
+            items = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            items = [];
+        }
+
+        function saveItems() {
+            try {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+            } catch (error) {
+                console.warn('Could not save items', error);
+            }
+        }
+
+        function renderItems() {
+            const container = document.getElementById('items');
+            container.innerHTML = '';
+            if (items.length === 0) {
+                container.innerHTML = '<p class="empty">Nothing here yet</p>';
+                return;
+            }
+            items.forEach((item, index) => {
+                const card = document.createElement('div');
+                card.className = 'card';
+                card.textContent = item;
+                const remove = document.createElement('button');
+                remove.textContent = 'Remove';
+                remove.style.marginLeft = '12px';
+                remove.addEventListener('click', () => {
+                    items.splice(index, 1);
+                    saveItems();
+                    renderItems();
+                });
+                card.appendChild(remove);
+                container.appendChild(card);
+            });
+        }
+
+        document.getElementById('itemForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const input = document.getElementById('itemInput');
+            const value = input.value.trim();
+            if (!value) return;
+            items.push(value);
+            input.value = '';
+            saveItems();
+            renderItems();
+        });
+
+        renderItems();
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Split a follow-up request into the current code and the requested change
+ */
+function parseFollowUpRequest(request) {
+  const codeStart = request.indexOf('<!DOCTYPE html>');
+  const codeEnd = request.lastIndexOf('</html>');
+  if (codeStart === -1 || codeEnd === -1) return null;
+
+  return {
+    code: request.slice(codeStart, codeEnd + '</html>'.length),
+    instruction: request.slice(codeEnd + '</html>'.length).replace(/^[\s\S]*?:/, '').trim() || 'update'
+  };
+}
+
+/**
+ * Visible note added to the app for each follow-up
+ */
+function buildChangeNote(instruction) {
+  return `    <p class="card">Change requested: ${escapeHtml(instruction)}</p>\n`;
+}
+
+/**
+ * Apply a visible, deterministic change to the code sent with a follow-up
+ * Appends a summary line for follow-ups; repairs return only the code
+ */
+function buildFollowUp(request, withSummary) {
+  const parsed = parseFollowUpRequest(request);
+  if (!parsed) {
+    return buildApp(request);
+  }
+
+  const updated = parsed.code.replace('</body>', `${buildChangeNote(parsed.instruction)}</body>`);
+  return withSummary ? `${updated}\nSUMMARY: Added a note for "${parsed.instruction}".` : updated;
+}
+
+/**
+ * Return the same change as a search/replace edit
+ */
+function buildFollowUpPatch(request) {
+  const parsed = parseFollowUpRequest(request);
+  if (!parsed) {
+    return buildApp(request);
+  }
+
+  return [
+    '<<<<<<< SEARCH',
+    '</body>',
+    '=======',
+    `${buildChangeNote(parsed.instruction)}</body>`,
+    '>>>>>>> REPLACE',
+    `SUMMARY: Added a note for "${parsed.instruction}".`
+  ].join('\n');
+}
@@ -0,0 +1,12 @@
+/**
+ * Model capability helpers shared by the provider adapters.
+ */
+
+export const REASONING_EFFORTS = ['low', 'medium', 'high'];
+
+/**
+ * Whether a model accepts a reasoning effort setting
+ */
+export function isReasoningModel(model = '') {
+  return /^(o\d|gpt-5)/i.test(model);
+}
@@ -0,0 +1,81 @@
+import OpenAI from 'openai';
+import { isReasoningModel } from './models.js';
+
+/**
+ * OpenAI-compatible chat completions adapter
+ * Works with OpenAI itself and local servers such as Ollama or LM Studio
+ */
+export function createOpenAIChatProvider({ apiKey, baseURL }) {
+  const client = new OpenAI({
+    // Local servers ignore the key but the SDK requires one
+    apiKey: apiKey || 'not-needed',
+    baseURL: baseURL || undefined,
+    maxRetries: 0, // Retries are handled by withRetry so progress can report them
+    dangerouslyAllowBrowser: true
+  });
+
+  return {
+    id: 'openai-chat',
+
+    /**
+     * Check the connection and credentials, returning the available model ids
+     */
+    async validate({ signal } = {}) {
+      const models = [];
+      for await (const model of client.models.list({ signal })) {
+        models.push(model.id);
+      }
+      return models.sort();
+    },
+
+    /**
+     * Generate text, streaming deltas to the optional handlers
+     * `responseSchema` ({ name, schema }) requests JSON matching the schema
+     */
+    async generate({ model, instructions, messages, reasoningEffort, responseSchema, signal, onReasoningStart, onReasoningDelta, onTextDelta }) {
+      const params = {
+        model,
+        messages: [
+          { role: 'system', content: instructions },
+          ...messages
+        ],
+        stream: true
+      };
+      if (isReasoningModel(model) && reasoningEffort) {
+        params.reasoning_effort = reasoningEffort;
+      }
+      if (responseSchema) {
+        params.response_format = {
+          type: 'json_schema',
+          json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: true }
+        };
+      }
+
+      const stream = await client.chat.completions.create(params, { signal });
+      let text = '';
+      let isReasoning = false;
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) continue;
+
+        // Local reasoning models expose their thinking under different keys
+        const reasoning = delta.reasoning_content || delta.reasoning;
+        if (reasoning) {
+          if (!isReasoning) {
+            isReasoning = true;
+            onReasoningStart?.();
+          }
+          onReasoningDelta?.(reasoning);
+        }
+
+        if (delta.content) {
+          text += delta.content;
+          onTextDelta?.(delta.content, text);
+        }
+      }
+
+      return text;
+    }
+  };
+}
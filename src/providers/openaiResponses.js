@@ -0,0 +1,88 @@
+import OpenAI from 'openai';
+import { isReasoningModel } from './models.js';
+
+/**
+ * OpenAI Responses API adapter
+ * Streams reasoning summaries and output text from `responses.create`
+ */
+export function createOpenAIResponsesProvider({ apiKey, baseURL }) {
+  const client = new OpenAI({
+    apiKey,
+    baseURL: baseURL || undefined,
+    maxRetries: 0, // Retries are handled by withRetry so progress can report them
+    dangerouslyAllowBrowser: true // Note: For production, use a backend proxy
+  });
+
+  return {
+    id: 'openai-responses',
+
+    /**
+     * Check the connection and credentials, returning the available model ids
+     */
+    async validate({ signal } = {}) {
+      const models = [];
+      for await (const model of client.models.list({ signal })) {
+        models.push(model.id);
+      }
+      return models.sort();
+    },
+
+    /**
+     * Generate text, streaming deltas to the optional handlers
+     * `responseSchema` ({ name, schema }) requests JSON matching the schema
+     */
+    async generate({ model, instructions, messages, reasoningEffort, responseSchema, signal, onReasoningStart, onReasoningDelta, onTextDelta }) {
+      const params = {
+        model,
+        input: [
+          { role: 'system', content: instructions },
+          ...messages
+        ],
+        text: {
+          format: responseSchema
+            ? { type: 'json_schema', name: responseSchema.name, schema: responseSchema.schema, strict: true }
+            : { type: 'text' }
+        },
+        tools: [],
+        store: true,
+        stream: true
+      };
+      if (isReasoningModel(model) && reasoningEffort) {
+        params.reasoning = { effort: reasoningEffort, summary: 'auto' };
+      }
+
+      const stream = await client.responses.create(params, { signal });
+      let text = '';
+
+      for await (const event of stream) {
+        switch (event.type) {
+          case 'response.output_item.added':
+            if (event.item?.type === 'reasoning') {
+              onReasoningStart?.();
+            }
+            break;
+
+          case 'response.reasoning_summary_text.delta':
+            onReasoningDelta?.(event.delta);
+            break;
+
+          case 'response.output_text.delta':
+            text += event.delta;
+            onTextDelta?.(event.delta, text);
+            break;
+
+          case 'response.failed':
+            throw new Error(event.response?.error?.message || 'The response failed.');
+
+          case 'error':
+            throw new Error(event.message || 'The response stream failed.');
+
+          default:
+            break;
+        }
+      }
+
+      return text;
+    }
+  };
+}
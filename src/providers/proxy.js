@@ -0,0 +1,112 @@
+// Backend endpoint for each kind of generation request
+const ENDPOINTS = {
+  code: '/api/generate',
+  metadata: '/api/generate',
+  'follow-up': '/api/follow-up',
+  patch: '/api/follow-up',
+  repair: '/api/follow-up'
+};
+
+/**
+ * Error carrying the HTTP status of a failed proxy request
+ */
+class ProxyError extends Error {
+  constructor(message, status, headers) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * BYA backend proxy adapter
+ * The server holds the API key and the system prompts: requests carry only
+ * the purpose and its input (see buildPrompt), and events are streamed back
+ * as newline-delimited JSON
+ */
+export function createProxyProvider({ baseURL }) {
+  const root = (baseURL || '').replace(/\/$/, '');
+
+  return {
+    id: 'proxy',
+
+    /**
+     * Check that the server is reachable, returning the models it allows
+     */
+    async validate({ signal } = {}) {
+      const response = await fetch(`${root}/api/health`, { signal });
+      if (!response.ok) {
+        throw new ProxyError(`Server responded with ${response.status}.`, response.status);
+      }
+      const { models } = await response.json();
+      return models || [];
+    },
+
+    /**
+     * Generate text, streaming deltas to the optional handlers
+     * The server builds the metadata schema itself, so only whether one is wanted is sent
+     */
+    async generate({ purpose, model, reasoningEffort, input, responseSchema, signal, onReasoningStart, onReasoningDelta, onTextDelta }) {
+      const response = await fetch(`${root}${ENDPOINTS[purpose] || ENDPOINTS.code}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ purpose, model, reasoningEffort, input, structuredOutput: Boolean(responseSchema) }),
+        signal
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new ProxyError(body.error || `Server responded with ${response.status}.`, response.status, response.headers);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+      let isDone = false;
+
+      const handleEvent = (event) => {
+        switch (event.type) {
+          case 'reasoning_start':
+            onReasoningStart?.();
+            break;
+          case 'reasoning':
+            onReasoningDelta?.(event.delta);
+            break;
+          case 'text':
+            text += event.delta;
+            onTextDelta?.(event.delta, text);
+            break;
+          case 'done':
+            isDone = true;
+            break;
+          case 'error':
+            throw new ProxyError(event.message, event.status);
+          default:
+            break;
+        }
+      };
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.filter(Boolean).forEach(line => handleEvent(JSON.parse(line)));
+
+        if (done) break;
+      }
+      if (buffer.trim()) {
+        handleEvent(JSON.parse(buffer));
+      }
+      // A stream cut off before its done event is a dropped connection, not a finished app
+      if (!isDone) {
+        throw new ProxyError('The server closed the connection before the generation finished.', 502);
+      }
+
+      return text;
+    }
+  };
+}
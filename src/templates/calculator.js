@@ -0,0 +1,103 @@
+import { escapeHtml, renderPage } from './shared';
+
+export default {
+  id: 'calculator',
+  name: 'Calculator',
+  description: 'Simple calculator with history',
+  type: 'utility',
+  icon: '🧮',
+  keywords: ['calculator', 'calculate', 'math', 'arithmetic', 'sum', 'tip'],
+  fields: [],
+  defaults: {
+    title: 'Calculator',
+    accentColor: '#2383e2',
+    backgroundColor: '#191919'
+  },
+
+  render(options) {
+    return renderPage({
+      options,
+      styles: `
+        .display { font-size: 40px; text-align: right; font-variant-numeric: tabular-nums; overflow-x: auto; padding: 16px; }
+        .expression { min-height: 20px; text-align: right; }
+        .keys { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
+        .keys button { min-height: 56px; font-size: 20px; background: var(--card); color: var(--text); }
+        .keys button.operator { background: var(--accent); color: #ffffff; }`,
+      body: `    <h1>${escapeHtml(options.title)}</h1>
+    <div class="card">
+        <div class="muted expression" id="expression"></div>
+        <div class="display" id="display">0</div>
+    </div>
+    <div class="keys" id="keys"></div>
+    <h2 class="muted">History</h2>
+    <div id="history"></div>`,
+      script: `
+        const layout = ['C', '±', '%', '÷', '7', '8', '9', '×', '4', '5', '6', '-', '1', '2', '3', '+', '0', '.', '⌫', '='];
+        const operators = { '÷': function (a, b) { return a / b; }, '×': function (a, b) { return a * b; }, '-': function (a, b) { return a - b; }, '+': function (a, b) { return a + b; } };
+        let current = '0';
+        let stored = null;
+        let operator = null;
+        let history = loadData('history', []);
+
+        function format(value) {
+            return Number.isFinite(value) ? String(Math.round(value * 1e10) / 1e10) : 'Error';
+        }
+
+        function render() {
+            document.getElementById('display').textContent = current;
+            document.getElementById('expression').textContent = stored !== null ? stored + ' ' + operator : '';
+            const container = document.getElementById('history');
+            container.innerHTML = history.length ? '' : '<p class="empty">No calculations yet</p>';
+            history.slice(-5).reverse().forEach(function (entry) {
+                const item = document.createElement('div');
+                item.className = 'card muted';
+                item.textContent = entry;
+                container.appendChild(item);
+            });
+        }
+
+        function press(key) {
+            if (/[0-9]/.test(key)) {
+                current = current === '0' || current === 'Error' ? key : current + key;
+            } else if (key === '.') {
+                if (current.indexOf('.') === -1) current += '.';
+            } else if (key === 'C') {
+                current = '0';
+                stored = null;
+                operator = null;
+            } else if (key === '⌫') {
+                current = current.length > 1 ? current.slice(0, -1) : '0';
+            } else if (key === '±') {
+                current = format(-parseFloat(current));
+            } else if (key === '%') {
+                current = format(parseFloat(current) / 100);
+            } else if (operators[key]) {
+                if (stored !== null && operator) press('=');
+                stored = current;
+                operator = key;
+                current = '0';
+            } else if (key === '=' && stored !== null && operator) {
+                const result = format(operators[operator](parseFloat(stored), parseFloat(current)));
+                history.push(stored + ' ' + operator + ' ' + current + ' = ' + result);
+                history = history.slice(-20);
+                saveData('history', history);
+                current = result;
+                stored = null;
+                operator = null;
+            }
+            render();
+        }
+
+        layout.forEach(function (key) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = key;
+            if (operators[key] || key === '=') button.className = 'operator';
+            button.addEventListener('click', function () { press(key); });
+            document.getElementById('keys').appendChild(button);
+        });
+
+        render();`
+    });
+  }
+};
@@ -0,0 +1,127 @@
+import { escapeHtml, renderPage, toScriptJson } from './shared';
+
+export default {
+  id: 'expense-tracker',
+  name: 'Expense Tracker',
+  description: 'Monitor spending by category',
+  type: 'finance',
+  icon: '💰',
+  keywords: ['expense', 'budget', 'spending', 'money', 'finance', 'cost', 'spend'],
+  fields: [
+    { key: 'currency', label: 'Currency symbol', type: 'text' },
+    { key: 'categories', label: 'Categories', type: 'list' }
+  ],
+  defaults: {
+    title: 'Expense Tracker',
+    accentColor: '#10b981',
+    backgroundColor: '#191919',
+    currency: '$',
+    categories: ['Food', 'Transport', 'Bills', 'Fun']
+  },
+
+  render(options) {
+    return renderPage({
+      options,
+      styles: `
+        .total { background: var(--accent); color: #ffffff; padding: 16px; border-radius: 8px; text-align: center; margin-bottom: 20px; font-size: 24px; font-weight: 700; }
+        form { display: grid; gap: 8px; margin-bottom: 20px; }
+        .expense { display: flex; justify-content: space-between; align-items: center; gap: 12px; }
+        .error { color: #ef4444; font-size: 14px; min-height: 20px; }`,
+      body: `    <h1>${escapeHtml(options.title)}</h1>
+    <div class="total" id="total"></div>
+    <form id="expenseForm">
+        <input type="text" id="description" placeholder="Description" required>
+        <input type="number" id="amount" placeholder="Amount" min="0.01" step="0.01" required>
+        <select id="category"></select>
+        <button type="submit">Add Expense</button>
+        <div class="error" id="error"></div>
+    </form>
+    <div id="expenses"></div>`,
+      script: `
+        const currency = ${toScriptJson(options.currency)};
+        const categories = ${toScriptJson(options.categories)};
+        let expenses = loadData('expenses', []);
+
+        function formatAmount(amount) {
+            return currency + amount.toFixed(2);
+        }
+
+        function renderExpenses() {
+            const total = expenses.reduce(function (sum, expense) { return sum + expense.amount; }, 0);
+            document.getElementById('total').textContent = 'Total: ' + formatAmount(total);
+
+            const container = document.getElementById('expenses');
+            container.innerHTML = '';
+            if (expenses.length === 0) {
+                container.innerHTML = '<p class="empty">No expenses yet</p>';
+                return;
+            }
+            expenses.slice().reverse().forEach(function (expense) {
+                const card = document.createElement('div');
+                card.className = 'card expense';
+                const info = document.createElement('div');
+                const description = document.createElement('div');
+                description.textContent = expense.description;
+                const meta = document.createElement('div');
+                meta.className = 'muted';
+                meta.textContent = expense.category + ' · ' + new Date(expense.date).toLocaleDateString();
+                info.appendChild(description);
+                info.appendChild(meta);
+
+                const amount = document.createElement('strong');
+                amount.textContent = formatAmount(expense.amount);
+                const remove = document.createElement('button');
+                remove.className = 'ghost';
+                remove.textContent = '✕';
+                remove.setAttribute('aria-label', 'Delete expense');
+                remove.addEventListener('click', function () {
+                    expenses = expenses.filter(function (item) { return item.id !== expense.id; });
+                    saveData('expenses', expenses);
+                    renderExpenses();
+                });
+
+                const actions = document.createElement('div');
+                actions.className = 'row';
+                actions.appendChild(amount);
+                actions.appendChild(remove);
+                card.appendChild(info);
+                card.appendChild(actions);
+                container.appendChild(card);
+            });
+        }
+
+        const select = document.getElementById('category');
+        categories.forEach(function (category) {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            select.appendChild(option);
+        });
+
+        document.getElementById('expenseForm').addEventListener('submit', function (event) {
+            event.preventDefault();
+            const description = document.getElementById('description');
+            const amount = document.getElementById('amount');
+            const value = parseFloat(amount.value);
+            if (!description.value.trim() || !(value > 0)) {
+                document.getElementById('error').textContent = 'Enter a description and a positive amount.';
+                return;
+            }
+            document.getElementById('error').textContent = '';
+            expenses.push({
+                id: Date.now(),
+                description: description.value.trim(),
+                amount: value,
+                category: select.value,
+                date: new Date().toISOString()
+            });
+            description.value = '';
+            amount.value = '';
+            saveData('expenses', expenses);
+            renderExpenses();
+        });
+
+        renderExpenses();`
+    });
+  }
+};
@@ -0,0 +1,97 @@
+import { escapeHtml, renderPage, toScriptJson } from './shared';
+
+export default {
+  id: 'focus-timer',
+  name: 'Focus Timer',
+  description: 'Pomodoro-style focus and break timer',
+  type: 'productivity',
+  icon: '⏱️',
+  keywords: ['timer', 'pomodoro', 'focus', 'countdown', 'study', 'break', 'clock'],
+  fields: [
+    { key: 'focusMinutes', label: 'Focus minutes', type: 'number' },
+    { key: 'breakMinutes', label: 'Break minutes', type: 'number' }
+  ],
+  defaults: {
+    title: 'Focus Timer',
+    accentColor: '#ef4444',
+    backgroundColor: '#191919',
+    focusMinutes: 25,
+    breakMinutes: 5
+  },
+
+  render(options) {
+    return renderPage({
+      options,
+      styles: `
+        body { text-align: center; }
+        .mode { color: var(--muted); text-transform: uppercase; letter-spacing: 0.1em; font-size: 14px; }
+        .time { font-size: 72px; font-weight: 700; font-variant-numeric: tabular-nums; margin: 16px 0 24px; }
+        .controls { justify-content: center; }`,
+      body: `    <h1>${escapeHtml(options.title)}</h1>
+    <div class="card">
+        <div class="mode" id="mode">Focus</div>
+        <div class="time" id="time"></div>
+        <div class="row controls">
+            <button type="button" id="startButton">Start</button>
+            <button type="button" id="resetButton" class="ghost">Reset</button>
+        </div>
+    </div>
+    <p class="muted" id="sessions"></p>`,
+      script: `
+        const durations = {
+            focus: Math.max(1, ${toScriptJson(Number(options.focusMinutes) || 25)}) * 60,
+            break: Math.max(1, ${toScriptJson(Number(options.breakMinutes) || 5)}) * 60
+        };
+        let mode = 'focus';
+        let remaining = durations.focus;
+        let intervalId = null;
+        let sessions = loadData('sessions', 0);
+
+        function render() {
+            const minutes = String(Math.floor(remaining / 60)).padStart(2, '0');
+            const seconds = String(remaining % 60).padStart(2, '0');
+            document.getElementById('time').textContent = minutes + ':' + seconds;
+            document.getElementById('mode').textContent = mode === 'focus' ? 'Focus' : 'Break';
+            document.getElementById('startButton').textContent = intervalId ? 'Pause' : 'Start';
+            document.getElementById('sessions').textContent = sessions + ' focus sessions completed';
+            document.title = minutes + ':' + seconds;
+        }
+
+        function stop() {
+            clearInterval(intervalId);
+            intervalId = null;
+        }
+
+        function tick() {
+            remaining--;
+            if (remaining <= 0) {
+                if (mode === 'focus') {
+                    sessions++;
+                    saveData('sessions', sessions);
+                }
+                mode = mode === 'focus' ? 'break' : 'focus';
+                remaining = durations[mode];
+            }
+            render();
+        }
+
+        document.getElementById('startButton').addEventListener('click', function () {
+            if (intervalId) {
+                stop();
+            } else {
+                intervalId = setInterval(tick, 1000);
+            }
+            render();
+        });
+
+        document.getElementById('resetButton').addEventListener('click', function () {
+            stop();
+            mode = 'focus';
+            remaining = durations.focus;
+            render();
+        });
+
+        render();`
+    });
+  }
+};
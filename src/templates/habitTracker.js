@@ -0,0 +1,118 @@
+import { escapeHtml, renderPage, toScriptJson } from './shared';
+
+export default {
+  id: 'habit-tracker',
+  name: 'Habit Tracker',
+  description: 'Track daily habits and build streaks',
+  type: 'health',
+  icon: '📝',
+  keywords: ['habit', 'streak', 'routine', 'daily', 'water', 'exercise', 'goal'],
+  fields: [
+    { key: 'habits', label: 'Starter habits', type: 'list' }
+  ],
+  defaults: {
+    title: 'Habit Tracker',
+    accentColor: '#2383e2',
+    backgroundColor: '#191919',
+    habits: ['Drink Water', 'Exercise', 'Read']
+  },
+
+  render(options) {
+    return renderPage({
+      options,
+      styles: `
+        .habit { display: flex; align-items: center; justify-content: space-between; gap: 12px; }
+        .habit.done .habit-name { text-decoration: line-through; color: var(--muted); }
+        .habit-name { font-weight: 600; }
+        form { margin-top: 20px; }
+        form input { flex: 1; }`,
+      body: `    <h1>${escapeHtml(options.title)}</h1>
+    <p class="muted" id="summary"></p>
+    <div id="habits"></div>
+    <form id="habitForm" class="row">
+        <input type="text" id="habitInput" placeholder="New habit..." required>
+        <button type="submit">Add</button>
+    </form>`,
+      script: `
+        const today = new Date().toISOString().slice(0, 10);
+        let habits = loadData('habits', ${toScriptJson(options.habits)}.map(function (name, index) {
+            return { id: index + 1, name: name, days: [] };
+        }));
+
+        function getStreak(habit) {
+            let streak = 0;
+            const day = new Date();
+            while (habit.days.indexOf(day.toISOString().slice(0, 10)) !== -1) {
+                streak++;
+                day.setDate(day.getDate() - 1);
+            }
+            return streak;
+        }
+
+        function renderHabits() {
+            const container = document.getElementById('habits');
+            container.innerHTML = '';
+            if (habits.length === 0) {
+                container.innerHTML = '<p class="empty">Add your first habit below</p>';
+            }
+            habits.forEach(function (habit) {
+                const done = habit.days.indexOf(today) !== -1;
+                const card = document.createElement('div');
+                card.className = 'card habit' + (done ? ' done' : '');
+
+                const info = document.createElement('div');
+                const name = document.createElement('div');
+                name.className = 'habit-name';
+                name.textContent = habit.name;
+                const streak = document.createElement('div');
+                streak.className = 'muted';
+                streak.textContent = getStreak(habit) + ' day streak';
+                info.appendChild(name);
+                info.appendChild(streak);
+
+                const actions = document.createElement('div');
+                actions.className = 'row';
+                const toggle = document.createElement('button');
+                toggle.textContent = done ? 'Undo' : 'Done';
+                toggle.addEventListener('click', function () {
+                    habit.days = done
+                        ? habit.days.filter(function (day) { return day !== today; })
+                        : habit.days.concat(today);
+                    saveData('habits', habits);
+                    renderHabits();
+                });
+                const remove = document.createElement('button');
+                remove.className = 'ghost';
+                remove.textContent = 'Remove';
+                remove.addEventListener('click', function () {
+                    habits = habits.filter(function (item) { return item.id !== habit.id; });
+                    saveData('habits', habits);
+                    renderHabits();
+                });
+                actions.appendChild(toggle);
+                actions.appendChild(remove);
+
+                card.appendChild(info);
+                card.appendChild(actions);
+                container.appendChild(card);
+            });
+
+            const completed = habits.filter(function (habit) { return habit.days.indexOf(today) !== -1; }).length;
+            document.getElementById('summary').textContent = completed + ' of ' + habits.length + ' done today';
+        }
+
+        document.getElementById('habitForm').addEventListener('submit', function (event) {
+            event.preventDefault();
+            const input = document.getElementById('habitInput');
+            const name = input.value.trim();
+            if (!name) return;
+            habits.push({ id: Date.now(), name: name, days: [] });
+            input.value = '';
+            saveData('habits', habits);
+            renderHabits();
+        });
+
+        renderHabits();`
+    });
+  }
+};
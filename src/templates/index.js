@@ -0,0 +1,52 @@
+import habitTracker from './habitTracker';
+import expenseTracker from './expenseTracker';
+import notesApp from './notesApp';
+import todoApp from './todoApp';
+import focusTimer from './focusTimer';
+import calculator from './calculator';
+
+/**
+ * Built-in app templates used when no AI provider is available
+ */
+export const TEMPLATES = [habitTracker, expenseTracker, notesApp, todoApp, focusTimer, calculator];
+
+/**
+ * Find a template by id
+ */
+export function getTemplate(templateId) {
+  return TEMPLATES.find(template => template.id === templateId) || null;
+}
+
+/**
+ * Rank templates by how many of their keywords appear in a prompt
+ * Returns the best match, or null when nothing matches
+ */
+export function matchTemplate(prompt = '') {
+  const words = prompt.toLowerCase().split(/[^a-z0-9-]+/).filter(Boolean);
+  let best = null;
+  let bestScore = 0;
+
+  TEMPLATES.forEach(template => {
+    const score = template.keywords.reduce(
+      (total, keyword) => total + words.filter(word => word === keyword || word.startsWith(keyword)).length,
+      0
+    );
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Render a template with user options merged over its defaults
+ */
+export function renderTemplate(templateId, options = {}) {
+  const template = getTemplate(templateId);
+  if (!template) {
+    throw new Error(`Unknown template "${templateId}".`);
+  }
+  return template.render({ ...template.defaults, ...options });
+}
@@ -0,0 +1,101 @@
+import { escapeHtml, renderPage } from './shared';
+
+export default {
+  id: 'notes',
+  name: 'Notes App',
+  description: 'Capture and organize your thoughts',
+  type: 'productivity',
+  icon: '📚',
+  keywords: ['note', 'notes', 'journal', 'diary', 'thought', 'write', 'memo', 'idea'],
+  fields: [
+    { key: 'placeholder', label: 'Note placeholder', type: 'text' }
+  ],
+  defaults: {
+    title: 'Notes',
+    accentColor: '#8b5cf6',
+    backgroundColor: '#191919',
+    placeholder: 'Write your note...'
+  },
+
+  render(options) {
+    return renderPage({
+      options,
+      styles: `
+        form { display: grid; gap: 8px; margin-bottom: 20px; }
+        textarea { resize: vertical; }
+        .note-title { font-weight: 600; margin-bottom: 4px; }
+        .note-content { white-space: pre-wrap; margin-top: 8px; }
+        .note-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 12px; }`,
+      body: `    <h1>${escapeHtml(options.title)}</h1>
+    <form id="noteForm">
+        <input type="text" id="noteTitle" placeholder="Note title" required>
+        <textarea id="noteContent" rows="4" placeholder="${escapeHtml(options.placeholder)}" required></textarea>
+        <button type="submit">Add Note</button>
+    </form>
+    <input type="search" id="search" placeholder="Search notes..." style="width: 100%; margin-bottom: 8px;">
+    <div id="notes"></div>`,
+      script: `
+        let notes = loadData('notes', []);
+
+        function renderNotes() {
+            const query = document.getElementById('search').value.trim().toLowerCase();
+            const container = document.getElementById('notes');
+            container.innerHTML = '';
+            const visible = notes.filter(function (note) {
+                return (note.title + ' ' + note.content).toLowerCase().indexOf(query) !== -1;
+            });
+            if (visible.length === 0) {
+                container.innerHTML = '<p class="empty">' + (notes.length === 0 ? 'No notes yet' : 'No matching notes') + '</p>';
+                return;
+            }
+            visible.slice().reverse().forEach(function (note) {
+                const card = document.createElement('div');
+                card.className = 'card';
+                const header = document.createElement('div');
+                header.className = 'note-header';
+                const info = document.createElement('div');
+                const title = document.createElement('div');
+                title.className = 'note-title';
+                title.textContent = note.title;
+                const date = document.createElement('div');
+                date.className = 'muted';
+                date.textContent = new Date(note.date).toLocaleDateString();
+                info.appendChild(title);
+                info.appendChild(date);
+                const remove = document.createElement('button');
+                remove.className = 'ghost';
+                remove.textContent = 'Delete';
+                remove.addEventListener('click', function () {
+                    notes = notes.filter(function (item) { return item.id !== note.id; });
+                    saveData('notes', notes);
+                    renderNotes();
+                });
+                header.appendChild(info);
+                header.appendChild(remove);
+                const content = document.createElement('div');
+                content.className = 'note-content';
+                content.textContent = note.content;
+                card.appendChild(header);
+                card.appendChild(content);
+                container.appendChild(card);
+            });
+        }
+
+        document.getElementById('noteForm').addEventListener('submit', function (event) {
+            event.preventDefault();
+            const title = document.getElementById('noteTitle');
+            const content = document.getElementById('noteContent');
+            if (!title.value.trim() || !content.value.trim()) return;
+            notes.push({ id: Date.now(), title: title.value.trim(), content: content.value.trim(), date: new Date().toISOString() });
+            title.value = '';
+            content.value = '';
+            saveData('notes', notes);
+            renderNotes();
+        });
+
+        document.getElementById('search').addEventListener('input', renderNotes);
+
+        renderNotes();`
+    });
+  }
+};
@@ -0,0 +1,66 @@
+import { toScriptJson } from '../utils/sandbox';
+import { escapeHtml } from '../utils/html';
+
+export { toScriptJson, escapeHtml };
+
+/**
+ * Pick black or white text for a hex background color
+ */
+function getContrastText(hex) {
+  const value = /^#([0-9a-f]{6})$/i.test(hex) ? hex.slice(1) : '191919';
+  const [r, g, b] = [0, 2, 4].map(offset => parseInt(value.slice(offset, offset + 2), 16));
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#191919' : '#ffffff';
+}
+
+/**
+ * Wrap template markup in a complete, mobile-first HTML document
+ */
+export function renderPage({ options, styles = '', body, script }) {
+  const text = getContrastText(options.backgroundColor);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(options.title)}</title>
+    <style>
+        :root { --bg: ${options.backgroundColor}; --accent: ${options.accentColor}; --text: ${text}; --card: color-mix(in srgb, var(--text) 8%, var(--bg)); --muted: color-mix(in srgb, var(--text) 55%, var(--bg)); }
+        * { box-sizing: border-box; }
+        body { font-family: 'Inter', system-ui, sans-serif; background: var(--bg); color: var(--text); margin: 0; padding: 20px; font-size: 16px; }
+        h1 { margin: 0 0 20px; }
+        .card { background: var(--card); border-radius: 8px; padding: 16px; margin: 8px 0; }
+        .muted { color: var(--muted); font-size: 14px; }
+        .empty { color: var(--muted); text-align: center; padding: 24px 0; }
+        .row { display: flex; gap: 8px; align-items: center; }
+        input, select, textarea { background: var(--card); border: 1px solid var(--muted); color: var(--text); padding: 12px; border-radius: 6px; font-size: 16px; font-family: inherit; min-width: 0; }
+        input:focus, select:focus, textarea:focus { outline: 2px solid var(--accent); border-color: transparent; }
+        button { background: var(--accent); color: #ffffff; border: none; min-height: 44px; padding: 0 16px; border-radius: 6px; cursor: pointer; font-size: 16px; transition: opacity 0.2s; }
+        button:hover { opacity: 0.85; }
+        button.ghost { background: transparent; color: var(--muted); }
+        ${styles}
+    </style>
+</head>
+<body>
+${body}
+    <script>
+        function loadData(key, fallback) {
+            try {
+                const value = JSON.parse(localStorage.getItem(key));
+                return value === null ? fallback : value;
+            } catch (error) {
+                return fallback;
+            }
+        }
+
+        function saveData(key, value) {
+            try {
+                localStorage.setItem(key, JSON.stringify(value));
+            } catch (error) {
+                console.warn('Could not save data', error);
+            }
+        }
+${script}
+    </script>
+</body>
+</html>`;
+}
@@ -0,0 +1,95 @@
+import { escapeHtml, renderPage, toScriptJson } from './shared';
+
+export default {
+  id: 'todo',
+  name: 'Todo List',
+  description: 'Organize tasks and boost productivity',
+  type: 'productivity',
+  icon: '✅',
+  keywords: ['todo', 'to-do', 'task', 'tasks', 'checklist', 'list', 'chores', 'shopping'],
+  fields: [
+    { key: 'todos', label: 'Starter tasks', type: 'list' }
+  ],
+  defaults: {
+    title: 'Todo List',
+    accentColor: '#f97316',
+    backgroundColor: '#191919',
+    todos: []
+  },
+
+  render(options) {
+    return renderPage({
+      options,
+      styles: `
+        form { margin-bottom: 20px; }
+        form input { flex: 1; }
+        .todo { display: flex; align-items: center; gap: 12px; }
+        .todo label { flex: 1; display: flex; align-items: center; gap: 12px; cursor: pointer; min-height: 44px; }
+        .todo input[type="checkbox"] { width: 20px; height: 20px; accent-color: var(--accent); }
+        .todo.completed span { text-decoration: line-through; color: var(--muted); }`,
+      body: `    <h1>${escapeHtml(options.title)}</h1>
+    <form id="todoForm" class="row">
+        <input type="text" id="todoInput" placeholder="Add a new todo..." required>
+        <button type="submit">Add</button>
+    </form>
+    <p class="muted" id="summary"></p>
+    <div id="todos"></div>`,
+      script: `
+        let todos = loadData('todos', ${toScriptJson(options.todos)}.map(function (text, index) {
+            return { id: index + 1, text: text, completed: false };
+        }));
+
+        function renderTodos() {
+            const container = document.getElementById('todos');
+            container.innerHTML = '';
+            if (todos.length === 0) {
+                container.innerHTML = '<p class="empty">Nothing to do. Enjoy your day!</p>';
+            }
+            todos.forEach(function (todo) {
+                const card = document.createElement('div');
+                card.className = 'card todo' + (todo.completed ? ' completed' : '');
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = todo.completed;
+                checkbox.addEventListener('change', function () {
+                    todo.completed = checkbox.checked;
+                    saveData('todos', todos);
+                    renderTodos();
+                });
+                const text = document.createElement('span');
+                text.textContent = todo.text;
+                label.appendChild(checkbox);
+                label.appendChild(text);
+                const remove = document.createElement('button');
+                remove.className = 'ghost';
+                remove.textContent = '✕';
+                remove.setAttribute('aria-label', 'Delete todo');
+                remove.addEventListener('click', function () {
+                    todos = todos.filter(function (item) { return item.id !== todo.id; });
+                    saveData('todos', todos);
+                    renderTodos();
+                });
+                card.appendChild(label);
+                card.appendChild(remove);
+                container.appendChild(card);
+            });
+            const remaining = todos.filter(function (todo) { return !todo.completed; }).length;
+            document.getElementById('summary').textContent = todos.length ? remaining + ' remaining' : '';
+        }
+
+        document.getElementById('todoForm').addEventListener('submit', function (event) {
+            event.preventDefault();
+            const input = document.getElementById('todoInput');
+            const text = input.value.trim();
+            if (!text) return;
+            todos.push({ id: Date.now(), text: text, completed: false });
+            input.value = '';
+            saveData('todos', todos);
+            renderTodos();
+        });
+
+        renderTodos();`
+    });
+  }
+};
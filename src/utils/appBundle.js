@@ -0,0 +1,185 @@
+import { getVersions, getCurrentVersionId } from './versions';
+import { getThread, createTurn } from './thread';
+import { validateHtml } from './htmlValidator';
+import { ImportError } from './errors';
+import { normalizeTags, CATEGORY_COLORS } from './categories';
+import { toFileBaseName } from './download';
+
+/**
+ * Import and export of apps outside the browser.
+ * A BYA bundle is a JSON file holding one or more apps with their metadata
+ * (name, description, category and tags), version history and follow-up thread:
+ *
+ *   { "format": "bya-bundle", "version": 1, "exportedAt": "...", "apps": [...] }
+ *
+ * Plain .html files can be imported too; they become single-version apps.
+ */
+
+export const BUNDLE_FORMAT = 'bya-bundle';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_EXTENSION = '.bya.json';
+
+// File types offered by the import picker
+export const IMPORT_ACCEPT = '.html,.htm,.json,text/html,application/json';
+
+const VERSION_SOURCES = ['generate', 'template', 'follow-up', 'restore', 'manual', 'import'];
+
+/**
+ * Strip an app down to the fields carried by a bundle
+ */
+function toBundleApp(app) {
+  return {
+    name: app.name,
+    description: app.description,
+    type: app.type,
+    tags: app.tags || [],
+    icon: app.icon || null,
+    color: app.color || null,
+    prompt: app.prompt,
+    createdAt: app.createdAt,
+    currentVersionId: getCurrentVersionId(app),
+    versions: getVersions(app).map(({ id, prompt, code, source, restoredFrom, createdAt }) => ({
+      id, prompt, code, source, restoredFrom, createdAt
+    })),
+    thread: getThread(app)
+  };
+}
+
+/**
+ * Build a bundle from saved apps
+ */
+export function createBundle(apps) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    apps: apps.map(toBundleApp)
+  };
+}
+
+/**
+ * Suggested file name for a bundle of the given apps
+ */
+export function getBundleFileName(apps) {
+  const baseName = apps.length === 1
+    ? toFileBaseName(apps[0].name)
+    : `bya-apps-${new Date().toISOString().slice(0, 10)}`;
+  return `${baseName}${BUNDLE_EXTENSION}`;
+}
+
+/**
+ * Whether a file should be read as a bundle rather than HTML
+ */
+export function isBundleFile(fileName, text) {
+  return /\.json$/i.test(fileName) || text.trimStart().startsWith('{');
+}
+
+const isString = (value) => typeof value === 'string';
+
+/**
+ * Check one bundled app, returning it with unknown fields dropped
+ */
+function readBundleApp(app, index, fileName) {
+  const label = isString(app?.name) && app.name.trim() ? `"${app.name}"` : `App ${index + 1}`;
+  if (!app || typeof app !== 'object' || !isString(app.name) || !app.name.trim()) {
+    throw new ImportError(`${label} has no name.`, fileName);
+  }
+
+  const versions = Array.isArray(app.versions) ? app.versions : [];
+  if (versions.length === 0 || versions.some(version => !isString(version?.code) || !version.code.trim())) {
+    throw new ImportError(`${label} has no code in its version history.`, fileName);
+  }
+
+  const createdAt = isString(app.createdAt) ? app.createdAt : new Date().toISOString();
+  const readVersions = versions.map((version, versionIndex) => ({
+    id: isString(version.id) && version.id ? version.id : `imported-${versionIndex + 1}`,
+    prompt: isString(version.prompt) ? version.prompt : '',
+    code: version.code,
+    source: VERSION_SOURCES.includes(version.source) ? version.source : 'import',
+    restoredFrom: isString(version.restoredFrom) ? version.restoredFrom : null,
+    createdAt: isString(version.createdAt) ? version.createdAt : createdAt
+  }));
+  if (new Set(readVersions.map(version => version.id)).size !== readVersions.length) {
+    throw new ImportError(`${label} has duplicate version ids.`, fileName);
+  }
+
+  const current = readVersions.find(version => version.id === app.currentVersionId)
+    || readVersions[readVersions.length - 1];
+  const versionIds = new Set(readVersions.map(version => version.id));
+  const thread = (Array.isArray(app.thread) ? app.thread : [])
+    .filter(turn => (turn?.role === 'user' || turn?.role === 'assistant') && isString(turn.content))
+    .map(turn => {
+      const entry = createTurn({
+        role: turn.role,
+        content: turn.content,
+        versionId: versionIds.has(turn.versionId) ? turn.versionId : null
+      });
+      return {
+        ...entry,
+        id: isString(turn.id) && turn.id ? turn.id : entry.id,
+        createdAt: isString(turn.createdAt) ? turn.createdAt : createdAt
+      };
+    });
+
+  return {
+    name: app.name.trim(),
+    description: isString(app.description) ? app.description : '',
+    type: isString(app.type) && app.type ? app.type : 'other',
+    tags: normalizeTags(app.tags),
+    icon: isString(app.icon) && app.icon.trim() ? app.icon.trim() : null,
+    color: CATEGORY_COLORS.includes(app.color) ? app.color : null,
+    prompt: isString(app.prompt) ? app.prompt : readVersions[0].prompt,
+    createdAt,
+    code: current.code,
+    versions: readVersions,
+    currentVersionId: current.id,
+    thread
+  };
+}
+
+/**
+ * Parse the contents of a bundle file into app data without ids
+ * Throws ImportError when the file is not a bundle this version understands
+ */
+export function parseBundle(text, fileName = null) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new ImportError('Not valid JSON.', fileName);
+  }
+
+  if (bundle?.format !== BUNDLE_FORMAT || !Array.isArray(bundle.apps)) {
+    throw new ImportError('Not a BYA bundle.', fileName);
+  }
+  if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+    throw new ImportError('Exported by a newer version of BYA.', fileName);
+  }
+  if (bundle.apps.length === 0) {
+    throw new ImportError('The bundle contains no apps.', fileName);
+  }
+
+  return bundle.apps.map((app, index) => readBundleApp(app, index, fileName));
+}
+
+/**
+ * Read an HTML file, returning the cleaned code and its <title>
+ * Throws ImportError when the file does not contain an HTML document
+ */
+export function parseHtmlFile(text, fileName = null) {
+  const { code, issues } = validateHtml(text);
+  if (issues.some(issue => issue.rule === 'not-html')) {
+    throw new ImportError('Not an HTML app.', fileName);
+  }
+
+  const doc = new DOMParser().parseFromString(code, 'text/html');
+  return { code, title: doc.title.trim() };
+}
+
+/**
+ * App name to use when an imported file has no title
+ */
+export function getNameFromFileName(fileName) {
+  const baseName = fileName.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+  return baseName ? baseName.charAt(0).toUpperCase() + baseName.slice(1) : 'Imported App';
+}
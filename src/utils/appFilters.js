@@ -0,0 +1,151 @@
+import { isInFolder } from './folders';
+
+/**
+ * Search, filter and sort options for the saved app list.
+ * Filters are kept in the URL query (?folder=&q=&type=&date=&sort=) so
+ * filtered views can be bookmarked and shared. Pinned apps always come first.
+ */
+
+export const SORT_OPTIONS = [
+  { id: 'newest', label: 'Newest' },
+  { id: 'oldest', label: 'Oldest' },
+  { id: 'name', label: 'Name' },
+  { id: 'opened', label: 'Last opened' },
+  { id: 'manual', label: 'Manual' }
+];
+
+export const DATE_FILTERS = [
+  { id: 'any', label: 'Any time', days: null },
+  { id: '7d', label: 'Last 7 days', days: 7 },
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: '365d', label: 'Last year', days: 365 }
+];
+
+export const DEFAULT_FILTERS = { folder: 'all', query: '', type: 'all', date: 'any', sort: 'newest' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowercased search text per app object, rebuilt only when an app changes
+const searchTextCache = new WeakMap();
+
+/**
+ * Text searched for an app: name, description, tags, prompt and code
+ */
+function getSearchText(app) {
+  let text = searchTextCache.get(app);
+  if (text === undefined) {
+    text = [app.name, app.description, ...(app.tags || []), app.prompt, app.code].filter(Boolean).join('\n').toLowerCase();
+    searchTextCache.set(app, text);
+  }
+  return text;
+}
+
+/**
+ * Read filters from URL search params, ignoring unknown values
+ * A folder that is not in `folders` (e.g. since deleted) shows every app
+ */
+export function readFilters(searchParams, folders = []) {
+  const folder = searchParams.get('folder');
+  const date = searchParams.get('date');
+  const sort = searchParams.get('sort');
+  return {
+    folder: folder === 'unfiled' || folders.some(item => item.id === folder) ? folder : DEFAULT_FILTERS.folder,
+    query: searchParams.get('q') || DEFAULT_FILTERS.query,
+    type: searchParams.get('type') || DEFAULT_FILTERS.type,
+    date: DATE_FILTERS.some(option => option.id === date) ? date : DEFAULT_FILTERS.date,
+    sort: SORT_OPTIONS.some(option => option.id === sort) ? sort : DEFAULT_FILTERS.sort
+  };
+}
+
+/**
+ * Build URL search params for filters, leaving out defaults
+ */
+export function writeFilters(filters) {
+  const params = new URLSearchParams();
+  if (filters.folder !== DEFAULT_FILTERS.folder) params.set('folder', filters.folder);
+  if (filters.query) params.set('q', filters.query);
+  if (filters.type !== DEFAULT_FILTERS.type) params.set('type', filters.type);
+  if (filters.date !== DEFAULT_FILTERS.date) params.set('date', filters.date);
+  if (filters.sort !== DEFAULT_FILTERS.sort) params.set('sort', filters.sort);
+  return params;
+}
+
+/**
+ * Whether any filter narrows the list within the current folder
+ */
+export function hasActiveFilters(filters) {
+  return Boolean(filters.query.trim()) ||
+    filters.type !== DEFAULT_FILTERS.type ||
+    filters.date !== DEFAULT_FILTERS.date;
+}
+
+const getTime = (dateString) => (dateString ? new Date(dateString).getTime() || 0 : 0);
+
+const COMPARATORS = {
+  newest: (a, b) => getTime(b.createdAt) - getTime(a.createdAt),
+  oldest: (a, b) => getTime(a.createdAt) - getTime(b.createdAt),
+  name: (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base' }),
+  // Never opened apps go last, newest first among themselves
+  opened: (a, b) => getTime(b.lastOpenedAt) - getTime(a.lastOpenedAt) || COMPARATORS.newest(a, b),
+  // Apps never placed by hand (e.g. new ones) go first, newest first among themselves
+  manual: (a, b) => (a.position ?? -Infinity) - (b.position ?? -Infinity) || COMPARATORS.newest(a, b)
+};
+
+/**
+ * Sort apps, keeping pinned apps ahead of the rest
+ */
+export function sortApps(apps, sort) {
+  const compare = COMPARATORS[sort] || COMPARATORS.newest;
+  return [...apps].sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || compare(a, b));
+}
+
+/**
+ * Positions after dragging an app onto another in the manual order
+ * The dragged app takes the target's place and its pinned state, so a drop
+ * across the pinned boundary pins or unpins it; returns a Map of app id to
+ * `{ position }` (plus `pinned` for the dragged app when it changes) holding
+ * only the apps that changed
+ */
+export function getReorderUpdates(apps, appId, targetId) {
+  const ordered = sortApps(apps, 'manual');
+  const from = ordered.findIndex(app => app.id === appId);
+  const to = ordered.findIndex(app => app.id === targetId);
+  const updates = new Map();
+  if (from === -1 || to === -1 || from === to) return updates;
+
+  const pinned = Boolean(ordered[to].pinned);
+  const [moved] = ordered.splice(from, 1);
+  ordered.splice(to, 0, moved);
+  ordered.forEach((app, position) => {
+    if (app.position !== position) updates.set(app.id, { position });
+  });
+  if (Boolean(moved.pinned) !== pinned) {
+    updates.set(moved.id, { ...updates.get(moved.id), pinned });
+  }
+  return updates;
+}
+
+/**
+ * Apply search, filters and sort to a list of apps
+ * Every word of the query must appear somewhere in the app's text
+ */
+export function filterApps(apps, filters, now = Date.now()) {
+  const words = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+  const days = DATE_FILTERS.find(option => option.id === filters.date)?.days;
+  const since = days ? now - days * DAY_MS : null;
+
+  const matches = apps
+    .filter(app => isInFolder(app, filters.folder))
+    .filter(app => filters.type === 'all' || (app.type || 'other') === filters.type)
+    .filter(app => since === null || getTime(app.createdAt) >= since)
+    .filter(app => words.length === 0 || words.every(word => getSearchText(app).includes(word)));
+  return sortApps(matches, filters.sort);
+}
+
+/**
+ * Categories used by at least one app, in registry order, for the type filter
+ */
+export function getUsedCategories(apps, categories) {
+  const used = new Set(apps.map(app => app.type || 'other'));
+  return categories.filter(category => used.has(category.id));
+}
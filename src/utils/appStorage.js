@@ -0,0 +1,63 @@
+/**
+ * Per-app key-value storage for generated apps.
+ * Generated apps run in an opaque-origin sandbox without access to the real
+ * localStorage, so their data is kept here under a namespaced key instead.
+ */
+
+const STORAGE_PREFIX = 'bya-app-storage:';
+
+/**
+ * Load all stored entries of an app
+ */
+export function loadAppStorage(appId) {
+  try {
+    return JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${appId}`)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Persist all entries of an app
+ */
+export function saveAppStorage(appId, entries) {
+  try {
+    if (Object.keys(entries).length === 0) {
+      localStorage.removeItem(`${STORAGE_PREFIX}${appId}`);
+    } else {
+      localStorage.setItem(`${STORAGE_PREFIX}${appId}`, JSON.stringify(entries));
+    }
+  } catch (error) {
+    console.error(`Failed to save storage for app ${appId}:`, error);
+  }
+}
+
+/**
+ * Apply a storage operation reported by a sandboxed app
+ */
+export function applyStorageOperation(appId, { op, key, value }) {
+  const entries = loadAppStorage(appId);
+
+  switch (op) {
+    case 'set':
+      entries[String(key)] = String(value);
+      break;
+    case 'remove':
+      delete entries[String(key)];
+      break;
+    case 'clear':
+      Object.keys(entries).forEach(entryKey => delete entries[entryKey]);
+      break;
+    default:
+      return;
+  }
+
+  saveAppStorage(appId, entries);
+}
+
+/**
+ * Remove all stored data of an app
+ */
+export function clearAppStorage(appId) {
+  localStorage.removeItem(`${STORAGE_PREFIX}${appId}`);
+}
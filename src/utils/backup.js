@@ -0,0 +1,190 @@
+import { getVersions, getCurrentVersionId } from './versions';
+import { loadAppStorage } from './appStorage';
+import { BUNDLE_FORMAT } from './appBundle';
+import { ImportError } from './errors';
+import { normalizeFolders } from './folders';
+
+/**
+ * Full backups of the app library.
+ * A backup is a JSON archive holding every saved app exactly as stored,
+ * plus the data each app saved through its sandbox storage and the folders
+ * the apps are filed in:
+ *
+ *   { "format": "bya-backup", "version": 1, "createdAt": "...", "apps": [...], "storage": { "<appId>": {...} }, "folders": [...] }
+ *
+ * Older archives are upgraded step by step through MIGRATIONS before they
+ * are validated, so a restore always works on the current shape.
+ */
+
+export const BACKUP_FORMAT = 'bya-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Upgrades an archive from the version it is keyed by to the next one
+ */
+const MIGRATIONS = {
+  // Version 0 is a raw copy of the `bya-saved-apps` value, saved before
+  // backups existed; apps from that time may also lack a version history
+  0: (apps) => ({
+    format: BACKUP_FORMAT,
+    version: 1,
+    createdAt: null,
+    apps: apps.map(app => (app && typeof app === 'object' && !Array.isArray(app.versions) && typeof app.code === 'string'
+      ? { ...app, versions: getVersions(app), currentVersionId: getCurrentVersionId(app) }
+      : app)),
+    storage: {}
+  })
+};
+
+/**
+ * Build a backup of the given apps, their sandbox storage and the folders
+ */
+export function createBackup(apps, { folders = [] } = {}) {
+  const storage = {};
+  apps.forEach(app => {
+    const entries = loadAppStorage(app.id);
+    if (Object.keys(entries).length > 0) {
+      storage[app.id] = entries;
+    }
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    apps,
+    storage,
+    folders
+  };
+}
+
+/**
+ * Suggested file name for a backup made now
+ */
+export function getBackupFileName() {
+  return `bya-backup-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+const isString = (value) => typeof value === 'string';
+
+/**
+ * List schema problems of one archived app
+ */
+function getAppProblems(app, index) {
+  if (!app || typeof app !== 'object' || Array.isArray(app)) {
+    return [`App ${index + 1} is not an object.`];
+  }
+
+  const label = isString(app.name) && app.name ? `"${app.name}"` : `App ${index + 1}`;
+  const problems = [];
+  if (!isString(app.id) || !app.id) problems.push(`${label} has no id.`);
+  if (!isString(app.name) || !app.name.trim()) problems.push(`${label} has no name.`);
+  if (!isString(app.code)) problems.push(`${label} has no code.`);
+  if (!Array.isArray(app.versions) || app.versions.length === 0) {
+    problems.push(`${label} has no version history.`);
+  } else {
+    const invalid = app.versions.filter(version => !isString(version?.id) || !isString(version?.code));
+    if (invalid.length > 0) {
+      problems.push(`${label} has ${invalid.length} invalid version${invalid.length === 1 ? '' : 's'}.`);
+    }
+  }
+  if (app.thread !== undefined && !Array.isArray(app.thread)) {
+    problems.push(`${label} has an invalid follow-up thread.`);
+  }
+  return problems;
+}
+
+/**
+ * Parse and validate a backup file, upgrading older archive versions
+ * Returns { createdAt, apps, storage, folders }; throws ImportError listing the problems found
+ */
+export function parseBackup(text, fileName = null) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new ImportError('Not valid JSON.', fileName);
+  }
+
+  if (archive?.format === BUNDLE_FORMAT) {
+    throw new ImportError('This is an app bundle, not a backup. Import it from My Apps instead.', fileName);
+  }
+
+  let version = Array.isArray(archive) ? 0 : archive?.version;
+  if (!Array.isArray(archive) && archive?.format !== BACKUP_FORMAT) {
+    throw new ImportError('Not a BYA backup.', fileName);
+  }
+  if (typeof version !== 'number' || version > BACKUP_VERSION) {
+    throw new ImportError('Created by a newer version of BYA.', fileName);
+  }
+  while (version < BACKUP_VERSION) {
+    archive = MIGRATIONS[version](archive);
+    version = archive.version;
+  }
+
+  if (!Array.isArray(archive.apps)) {
+    throw new ImportError('The backup has no app list.', fileName);
+  }
+
+  const problems = archive.apps.flatMap(getAppProblems);
+  const seenIds = new Set();
+  archive.apps.forEach(app => {
+    if (!isString(app?.id)) return;
+    if (seenIds.has(app.id)) problems.push(`App id ${app.id} appears more than once.`);
+    seenIds.add(app.id);
+  });
+  if (problems.length > 0) {
+    throw new ImportError(problems.join(' '), fileName);
+  }
+
+  const storage = archive.storage && typeof archive.storage === 'object' ? archive.storage : {};
+  return {
+    createdAt: isString(archive.createdAt) ? archive.createdAt : null,
+    apps: archive.apps,
+    storage: Object.fromEntries(Object.entries(storage).filter(([appId, entries]) => (
+      seenIds.has(appId) && entries && typeof entries === 'object'
+    ))),
+    // Backups made before folders existed have none
+    folders: normalizeFolders(archive.folders)
+  };
+}
+
+/**
+ * Apps in the backup whose ids already exist in the library
+ */
+export function findDuplicateApps(currentApps, backupApps) {
+  const currentIds = new Set(currentApps.map(app => app.id));
+  return backupApps.filter(app => currentIds.has(app.id));
+}
+
+/**
+ * Combine the library with restored apps
+ * `replace` swaps the whole library for the backup; `merge` adds the backup's
+ * apps and either keeps or overwrites apps whose ids already exist
+ * Returns the new app list and the ids taken from the backup
+ */
+export function combineLibraries(currentApps, backupApps, { mode, overwriteDuplicates = false }) {
+  if (mode === 'replace') {
+    return { apps: backupApps, restoredIds: backupApps.map(app => app.id) };
+  }
+
+  const backupById = new Map(backupApps.map(app => [app.id, app]));
+  const restoredIds = [];
+  const apps = currentApps.map(app => {
+    if (overwriteDuplicates && backupById.has(app.id)) {
+      restoredIds.push(app.id);
+      return backupById.get(app.id);
+    }
+    return app;
+  });
+
+  const currentIds = new Set(currentApps.map(app => app.id));
+  backupApps.forEach(app => {
+    if (!currentIds.has(app.id)) {
+      restoredIds.push(app.id);
+      apps.push(app);
+    }
+  });
+
+  return { apps, restoredIds };
+}
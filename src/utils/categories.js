@@ -0,0 +1,199 @@
+/**
+ * Shared registry of app categories.
+ * An app's `type` holds the id of its category. The built-in categories are
+ * always available; users can add their own, which are stored separately and
+ * merged in by getCategories. Metadata extraction, My Apps and the app
+ * details all read categories from here.
+ */
+
+export const DEFAULT_CATEGORY_ID = 'other';
+
+// Gradient used for a category's badge and card accent
+export const CATEGORY_COLORS = [
+  'from-blue-500 to-purple-600',
+  'from-green-500 to-emerald-600',
+  'from-red-500 to-pink-600',
+  'from-yellow-500 to-orange-600',
+  'from-purple-500 to-indigo-600',
+  'from-pink-500 to-rose-600',
+  'from-gray-500 to-slate-600',
+  'from-blue-500 to-cyan-600',
+  'from-teal-500 to-green-600',
+  'from-orange-500 to-red-600'
+];
+
+export const BUILT_IN_CATEGORIES = [
+  { id: 'productivity', label: 'Productivity', icon: '⚡', color: 'from-blue-500 to-purple-600', builtIn: true },
+  { id: 'finance', label: 'Finance', icon: '💰', color: 'from-green-500 to-emerald-600', builtIn: true },
+  { id: 'health', label: 'Health', icon: '🏥', color: 'from-red-500 to-pink-600', builtIn: true },
+  { id: 'education', label: 'Education', icon: '📚', color: 'from-yellow-500 to-orange-600', builtIn: true },
+  { id: 'entertainment', label: 'Entertainment', icon: '🎮', color: 'from-purple-500 to-indigo-600', builtIn: true },
+  { id: 'social', label: 'Social', icon: '👥', color: 'from-pink-500 to-rose-600', builtIn: true },
+  { id: 'utility', label: 'Utility', icon: '🔧', color: 'from-gray-500 to-slate-600', builtIn: true },
+  { id: 'other', label: 'Other', icon: '📱', color: 'from-blue-500 to-cyan-600', builtIn: true }
+];
+
+// Types returned by the metadata prompt before the registry existed
+const LEGACY_TYPES = {
+  todo: 'productivity',
+  timer: 'productivity',
+  notes: 'productivity',
+  tracker: 'productivity',
+  calculator: 'utility',
+  converter: 'utility'
+};
+
+// Words in an app's name, description or prompt that suggest a built-in category
+const CATEGORY_KEYWORDS = {
+  finance: ['budget', 'expense', 'money', 'finance', 'invoice', 'salary', 'loan', 'tip', 'currency', 'savings'],
+  health: ['habit', 'workout', 'fitness', 'water', 'sleep', 'calorie', 'meditation', 'health', 'weight', 'mood'],
+  education: ['quiz', 'flashcard', 'learn', 'study', 'vocabulary', 'math', 'lesson', 'language'],
+  entertainment: ['game', 'puzzle', 'trivia', 'music', 'movie', 'dice', 'snake', 'tetris', 'memory'],
+  social: ['chat', 'party', 'friends', 'poll', 'invite', 'guest', 'team'],
+  utility: ['calculator', 'converter', 'generator', 'password', 'color', 'qr', 'unit', 'random', 'weather'],
+  productivity: ['todo', 'task', 'timer', 'pomodoro', 'focus', 'notes', 'planner', 'kanban', 'schedule', 'reminder', 'checklist']
+};
+
+const MAX_TAGS = 6;
+const MAX_TAG_LENGTH = 24;
+
+/**
+ * All categories: built-ins first, then the user's own, with "Other" last
+ */
+export function getCategories(customCategories = []) {
+  const builtIns = BUILT_IN_CATEGORIES.filter(category => category.id !== DEFAULT_CATEGORY_ID);
+  const fallback = BUILT_IN_CATEGORIES.find(category => category.id === DEFAULT_CATEGORY_ID);
+  return [...builtIns, ...customCategories, fallback];
+}
+
+/**
+ * Look up a category, falling back to "Other" for unknown ids
+ */
+export function getCategory(id, categories) {
+  return categories.find(category => category.id === id) ||
+    categories.find(category => category.id === DEFAULT_CATEGORY_ID);
+}
+
+/**
+ * Icon, accent color and category shown for an app
+ * An app's own icon and color, when set, override its category's
+ */
+export function getAppAppearance(app, categories) {
+  const category = getCategory(app.type, categories);
+  return {
+    category,
+    icon: app.icon || category.icon,
+    color: CATEGORY_COLORS.includes(app.color) ? app.color : category.color
+  };
+}
+
+/**
+ * Create a user category with an id derived from its label
+ */
+export function createCategory({ label, icon, color }, categories) {
+  const base = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+  let id = `custom-${base}`;
+  for (let suffix = 2; categories.some(category => category.id === id); suffix++) {
+    id = `custom-${base}-${suffix}`;
+  }
+  return {
+    id,
+    label: label.trim(),
+    icon: icon || '📁',
+    color: CATEGORY_COLORS.includes(color) ? color : CATEGORY_COLORS[0]
+  };
+}
+
+/**
+ * Pick the best category for an app from its current type and text
+ * Used for apps saved with legacy types and for metadata without a valid category
+ */
+export function inferCategory({ type, name, description, prompt }, categories) {
+  if (categories.some(category => category.id === type)) return type;
+
+  const text = [name, description, prompt].filter(Boolean).join(' ').toLowerCase();
+  const custom = categories.find(category => !category.builtIn && text.includes(category.label.toLowerCase()));
+  if (custom) return custom.id;
+
+  const words = new Set(text.split(/[^a-z0-9]+/));
+  const match = Object.entries(CATEGORY_KEYWORDS).find(([, keywords]) => keywords.some(keyword => words.has(keyword)));
+  if (match) return match[0];
+
+  return LEGACY_TYPES[type] || DEFAULT_CATEGORY_ID;
+}
+
+/**
+ * Clean up a tag list: lowercase, trimmed, unique and bounded
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const seen = new Set();
+  tags.forEach(tag => {
+    if (typeof tag !== 'string') return;
+    const clean = tag.trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH);
+    if (clean) seen.add(clean);
+  });
+  return [...seen].slice(0, MAX_TAGS);
+}
+
+/**
+ * Parse tags typed as a comma separated list
+ */
+export function parseTagInput(text) {
+  return normalizeTags(text.split(','));
+}
+
+/**
+ * Bring an app's category and tags in line with the registry
+ * Returns the same object when nothing changes, so unchanged apps are not rewritten
+ */
+export function normalizeAppCategory(app, categories) {
+  const type = inferCategory(app, categories);
+  const tags = normalizeTags(app.tags);
+  const tagsChanged = !Array.isArray(app.tags) || tags.length !== app.tags.length || tags.some((tag, index) => tag !== app.tags[index]);
+  return type === app.type && !tagsChanged ? app : { ...app, type, tags };
+}
+
+/**
+ * Build the structured output schema for metadata extraction
+ */
+export function buildMetadataSchema(categories) {
+  return {
+    name: 'app_metadata',
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Short app name, at most four words' },
+        description: { type: 'string', description: 'One sentence describing what the app does' },
+        category: { type: 'string', enum: categories.map(category => category.id) },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: `Up to ${MAX_TAGS} short lowercase keywords`
+        }
+      },
+      required: ['name', 'description', 'category', 'tags'],
+      additionalProperties: false
+    }
+  };
+}
+
+/**
+ * Turn a metadata response into app fields, repairing anything missing
+ * `context` supplies the request text used to infer a category when needed
+ */
+export function normalizeMetadata(metadata, categories, context = {}) {
+  const name = typeof metadata?.name === 'string' && metadata.name.trim() ? metadata.name.trim() : null;
+  const description = typeof metadata?.description === 'string' ? metadata.description.trim() : '';
+  return {
+    name,
+    description,
+    type: inferCategory({
+      type: metadata?.category || metadata?.type,
+      name: name || '',
+      description,
+      prompt: context.prompt
+    }, categories),
+    tags: normalizeTags(metadata?.tags)
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Line based diff between two versions of an app's code.
+ * Common prefix/suffix are trimmed first, the remaining middle section is
+ * compared with Myers' linear-space algorithm, so large rewrites still get
+ * a minimal diff without a quadratic table.
+ */
+
+/**
+ * Diff two strings line by line
+ * Returns entries of { type: 'equal' | 'add' | 'remove', text, oldNumber, newNumber }
+ */
+export function diffLines(oldText = '', newText = '') {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+  }
+  ops.push(...diffMiddle(oldLines, newLines, start, oldEnd, start, newEnd));
+  for (let i = 0; i < oldLines.length - oldEnd; i++) {
+    ops.push({ type: 'equal', oldIndex: oldEnd + i, newIndex: newEnd + i });
+  }
+
+  return ops.map(op => ({
+    type: op.type,
+    text: op.type === 'add' ? newLines[op.newIndex] : oldLines[op.oldIndex],
+    oldNumber: op.type === 'add' ? null : op.oldIndex + 1,
+    newNumber: op.type === 'remove' ? null : op.newIndex + 1,
+  }));
+}
+
+/**
+ * Myers diff of the changed middle section
+ * Lines are mapped to integer ids so comparisons stay cheap, and the
+ * linear-space variant keeps memory proportional to the number of lines
+ */
+function diffMiddle(oldLines, newLines, oldStart, oldEnd, newStart, newEnd) {
+  const ids = new Map();
+  const toId = (line) => {
+    let id = ids.get(line);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(line, id);
+    }
+    return id;
+  };
+  const a = Int32Array.from(oldLines.slice(oldStart, oldEnd), toId);
+  const b = Int32Array.from(newLines.slice(newStart, newEnd), toId);
+
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, (type, aIndex, bIndex) => {
+    ops.push({ type, oldIndex: oldStart + aIndex, newIndex: newStart + bIndex });
+  });
+  return ops;
+}
+
+/**
+ * Diff a[aLo..aHi] against b[bLo..bHi], reporting ops in order
+ * Splits at the middle snake and recurses on both halves
+ */
+function diffRange(a, aLo, aHi, b, bLo, bHi, emit) {
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    emit('equal', aLo++, bLo++);
+  }
+  let suffix = 0;
+  while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) {
+    aHi--;
+    bHi--;
+    suffix++;
+  }
+
+  if (aLo === aHi) {
+    for (let j = bLo; j < bHi; j++) emit('add', aLo, j);
+  } else if (bLo === bHi) {
+    for (let i = aLo; i < aHi; i++) emit('remove', i, bLo);
+  } else {
+    const [x, y, u, v] = findMiddleSnake(a, aLo, aHi, b, bLo, bHi);
+    diffRange(a, aLo, x, b, bLo, y, emit);
+    for (let i = 0; i < u - x; i++) emit('equal', x + i, y + i);
+    diffRange(a, u, aHi, b, v, bHi, emit);
+  }
+
+  for (let i = 0; i < suffix; i++) emit('equal', aHi + i, bHi + i);
+}
+
+/**
+ * Find the middle snake of the shortest edit script between two ranges
+ * Returns its start and end as [oldStart, newStart, oldEnd, newEnd]
+ */
+function findMiddleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const isOdd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  // Furthest x reached on each diagonal k, forwards from the start and backwards from the end
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      const backwardK = delta - k;
+      if (isOdd && backwardK >= -(d - 1) && backwardK <= d - 1 && x + backward[offset + backwardK] >= n) {
+        return [aLo + startX, bLo + startY, aLo + x, bLo + y];
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      const forwardK = delta - k;
+      if (!isOdd && forwardK >= -d && forwardK <= d && x + forward[offset + forwardK] >= n) {
+        return [aHi - x, bHi - y, aHi - startX, bHi - startY];
+      }
+    }
+  }
+
+  // Unreachable: the two searches always meet by the time d reaches max
+  return [aLo, bLo, aLo, bLo];
+}
+
+/**
+ * Count added and removed lines in a diff
+ */
+export function countChanges(diff) {
+  return diff.reduce(
+    (counts, line) => {
+      if (line.type === 'add') counts.added++;
+      if (line.type === 'remove') counts.removed++;
+      return counts;
+    },
+    { added: 0, removed: 0 }
+  );
+}
+
+/**
+ * Arrange a diff as side-by-side rows
+ * Runs of removed lines are paired with the added lines that follow them;
+ * each row has a `left` (old) and `right` (new) cell, either of which may be null
+ */
+export function toSplitRows(diff) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of diff) {
+    if (line.type === 'equal') {
+      flush();
+      rows.push({ left: line, right: line });
+    } else if (line.type === 'remove') {
+      if (added.length > 0) flush();
+      removed.push(line);
+    } else {
+      added.push(line);
+    }
+  }
+  flush();
+
+  return rows;
+}
@@ -0,0 +1,33 @@
+/**
+ * Save text as a file through a temporary download link
+ */
+export function downloadFile(text, fileName, type = 'text/plain') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Characters not allowed in file names on common systems
+const RESERVED_FILE_NAME_CHARS = '/\\:*?"<>|';
+
+/**
+ * Turn an app name into a safe file name base
+ * Path separators, control and reserved characters are dropped; whitespace becomes dashes
+ */
+export function toFileBaseName(name, fallback = 'app') {
+  const base = [...String(name || '')]
+    .filter(char => char.charCodeAt(0) > 31 && char.charCodeAt(0) !== 127 && !RESERVED_FILE_NAME_CHARS.includes(char))
+    .join('')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/^[.-]+|[.-]+$/g, '')
+    .slice(0, 80);
+  return base || fallback;
+}
@@ -0,0 +1,77 @@
+/**
+ * Error types shared by the generation flows.
+ */
+
+import { APIConnectionError } from 'openai';
+
+// Statuses a gateway returns while the upstream is briefly unavailable
+const GATEWAY_STATUSES = [502, 503, 504];
+
+// Messages browsers give fetch's TypeError when the network request itself failed
+const NETWORK_FAILURE_PATTERN = /failed to fetch|network ?error|load failed/i;
+
+/**
+ * Thrown when the user cancels an in-flight generation
+ */
+export class GenerationCancelledError extends Error {
+  constructor(message = 'Generation cancelled.') {
+    super(message);
+    this.name = 'GenerationCancelledError';
+  }
+}
+
+/**
+ * Thrown when search/replace edits cannot be applied to the stored code
+ * `conflicts` lists the edits that failed and why
+ */
+export class PatchConflictError extends Error {
+  constructor(conflicts) {
+    super(conflicts.length > 0
+      ? `${conflicts.length} edit${conflicts.length === 1 ? '' : 's'} could not be applied: ${conflicts.map(conflict => conflict.reason).join('; ')}`
+      : 'The response did not contain any edits.');
+    this.name = 'PatchConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Thrown when an imported file is not a usable app or bundle
+ * `fileName` names the file that was rejected
+ */
+export class ImportError extends Error {
+  constructor(message, fileName = null) {
+    super(fileName ? `${fileName}: ${message}` : message);
+    this.name = 'ImportError';
+    this.fileName = fileName;
+  }
+}
+
+/**
+ * Thrown when the browser refuses to store more data
+ */
+export class StorageQuotaError extends Error {
+  constructor(options) {
+    super('Browser storage is full. Delete apps you no longer need or download a backup from Settings.', options);
+    this.name = 'StorageQuotaError';
+  }
+}
+
+/**
+ * Whether an error was caused by cancelling a request
+ */
+export function isCancelledError(error) {
+  return error instanceof GenerationCancelledError || error?.name === 'AbortError';
+}
+
+/**
+ * Whether an API error is worth retrying (rate limits, gateway errors, dropped connections)
+ */
+export function isTransientError(error) {
+  if (!error || isCancelledError(error)) return false;
+  // Covers APIConnectionTimeoutError, which extends it
+  if (error instanceof APIConnectionError) return true;
+  const status = error.status;
+  if (status === 429 || status === 408 || status === 409) return true;
+  if (typeof status === 'number') return GATEWAY_STATUSES.includes(status);
+  return error.name === 'TypeError' && NETWORK_FAILURE_PATTERN.test(error.message || '');
+}
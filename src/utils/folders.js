@@ -0,0 +1,84 @@
+/**
+ * Folders for organising the saved app library.
+ * The folder list ({ id, name }) is stored with the user's settings; an app
+ * belongs to at most one folder through its `folderId`. Apps can also be
+ * pinned (`pinned`) and placed by hand (`position`), see appFilters.
+ */
+
+export const MAX_FOLDER_NAME_LENGTH = 40;
+
+// dataTransfer type used when an app card is dragged, so drops can tell cards from files
+export const APP_DRAG_TYPE = 'application/x-bya-app';
+
+/**
+ * Trim a folder name to its allowed length
+ */
+export function cleanFolderName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_FOLDER_NAME_LENGTH);
+}
+
+/**
+ * Whether another folder already uses a name, ignoring case
+ */
+export function isFolderNameTaken(name, folders, exceptId = null) {
+  const clean = cleanFolderName(name).toLowerCase();
+  return folders.some(folder => folder.id !== exceptId && folder.name.toLowerCase() === clean);
+}
+
+/**
+ * Create a folder with an id that is unique among `folders`
+ */
+export function createFolder(name, folders) {
+  const base = `folder-${Date.now().toString(36)}`;
+  let id = base;
+  for (let suffix = 2; folders.some(folder => folder.id === id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return { id, name: cleanFolderName(name) };
+}
+
+/**
+ * Keep only well-formed folders with unique ids, e.g. from storage or a backup
+ */
+export function normalizeFolders(folders) {
+  if (!Array.isArray(folders)) return [];
+  const seen = new Set();
+  return folders.filter(folder => {
+    if (typeof folder?.id !== 'string' || !folder.id || seen.has(folder.id)) return false;
+    if (typeof folder.name !== 'string' || !cleanFolderName(folder.name)) return false;
+    seen.add(folder.id);
+    return true;
+  }).map(folder => ({ id: folder.id, name: cleanFolderName(folder.name) }));
+}
+
+/**
+ * Add folders that are not in the list yet, matched by id
+ */
+export function mergeFolders(folders, otherFolders) {
+  const ids = new Set(folders.map(folder => folder.id));
+  const added = otherFolders.filter(folder => !ids.has(folder.id));
+  return added.length > 0 ? [...folders, ...added] : folders;
+}
+
+/**
+ * Whether an app is shown in a folder view
+ * `folderId` is a folder id, 'all' for every app or 'unfiled' for apps in no folder
+ */
+export function isInFolder(app, folderId) {
+  if (folderId === 'all') return true;
+  if (folderId === 'unfiled') return !app.folderId;
+  return app.folderId === folderId;
+}
+
+/**
+ * Number of apps in each folder, keyed by folder id, plus 'all' and 'unfiled'
+ */
+export function countFolderApps(apps, folders) {
+  const counts = new Map([['all', apps.length], ['unfiled', 0]]);
+  folders.forEach(folder => counts.set(folder.id, 0));
+  apps.forEach(app => {
+    const key = app.folderId || 'unfiled';
+    if (counts.has(key) && key !== 'all') counts.set(key, counts.get(key) + 1);
+  });
+  return counts;
+}
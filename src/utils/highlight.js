@@ -0,0 +1,341 @@
+/**
+ * Syntax highlighting for app source code shown in the code viewer and editor.
+ * A single-pass tokenizer walks the HTML and hands the contents of <style>
+ * and <script> blocks to dedicated CSS and JavaScript tokenizers, so every
+ * character is classified once and nothing is matched inside generated markup.
+ */
+
+// Tailwind classes per token type; untyped text is left unstyled
+const TOKEN_CLASSES = {
+  punctuation: 'text-gray-400',
+  tag: 'text-blue-400',
+  attribute: 'text-sky-300',
+  value: 'text-yellow-400',
+  entity: 'text-orange-300',
+  comment: 'text-gray-500',
+  doctype: 'text-gray-500',
+  selector: 'text-emerald-300',
+  property: 'text-sky-300',
+  keyword: 'text-purple-400',
+  string: 'text-yellow-400',
+  number: 'text-green-400',
+  literal: 'text-orange-400',
+  function: 'text-blue-300',
+  regex: 'text-red-300',
+};
+
+const JS_KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from',
+  'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'of', 'return',
+  'static', 'super', 'switch', 'throw', 'try', 'typeof', 'var', 'void', 'while',
+  'with', 'yield',
+]);
+
+const JS_LITERALS = new Set(['true', 'false', 'null', 'undefined', 'this', 'NaN', 'Infinity']);
+
+// Keywords after which a slash starts a regular expression rather than a division
+const JS_REGEX_PREFIX_KEYWORDS = new Set([
+  'return', 'typeof', 'case', 'do', 'else', 'in', 'instanceof', 'new', 'of', 'throw',
+  'void', 'delete', 'yield', 'await',
+]);
+
+const JS_PATTERNS = {
+  whitespace: /\s+/y,
+  lineComment: /\/\/[^\n]*/y,
+  blockComment: /\/\*[\s\S]*?(?:\*\/|$)/y,
+  template: /`(?:\\[\s\S]|[^\\`])*`?/y,
+  string: /"(?:\\[\s\S]|[^\\"\n])*"?|'(?:\\[\s\S]|[^\\'\n])*'?/y,
+  number: /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y,
+  identifier: /[A-Za-z_$][\w$]*/y,
+  regex: /\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[a-z]*/y,
+  callParen: /\s*\(/y,
+};
+
+const CSS_PATTERNS = {
+  whitespace: /\s+/y,
+  comment: /\/\*[\s\S]*?(?:\*\/|$)/y,
+  string: /"(?:\\[\s\S]|[^\\"\n])*"?|'(?:\\[\s\S]|[^\\'\n])*'?/y,
+  atRule: /@[\w-]+/y,
+  property: /--[\w-]+|-?[A-Za-z_][\w-]*/y,
+  hexColor: /#[\da-fA-F]{3,8}\b/y,
+  number: /[+-]?(?:\d*\.)?\d+(?:%|[A-Za-z]+)?/y,
+  function: /[\w-]+(?=\()/y,
+  important: /!\s*important\b/iy,
+  word: /[\w-]+/y,
+};
+
+const HTML_PATTERNS = {
+  comment: /<!--[\s\S]*?(?:-->|$)/y,
+  doctype: /<![^>]*>?/y,
+  tagOpen: /<\/?(?=[A-Za-z])/y,
+  tagName: /[A-Za-z][\w:-]*/y,
+  whitespace: /\s+/y,
+  attribute: /[^\s"'>/=]+/y,
+  quotedValue: /"[^"]*"?|'[^']*'?/y,
+  unquotedValue: /[^\s>]+/y,
+  tagClose: /\/?>/y,
+  entity: /&(?:#\d+|#x[\da-fA-F]+|[A-Za-z][\w]*);/y,
+  text: /[^<&]+/y,
+};
+
+/**
+ * Try a sticky pattern at a position, returning the matched text or null
+ */
+function matchAt(pattern, text, index) {
+  pattern.lastIndex = index;
+  const match = pattern.exec(text);
+  return match && match[0].length > 0 ? match[0] : null;
+}
+
+/**
+ * Collects tokens, merging neighbours of the same type
+ */
+function createTokenList() {
+  const tokens = [];
+  return {
+    tokens,
+    push(type, text) {
+      if (!text) return;
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === type) {
+        last.text += text;
+      } else {
+        tokens.push({ type, text });
+      }
+    },
+  };
+}
+
+/**
+ * Tokenize JavaScript source
+ */
+function tokenizeJs(code, list) {
+  let index = 0;
+  // Whether a slash at this point would start a regular expression
+  let expectExpression = true;
+
+  while (index < code.length) {
+    let text;
+    const char = code[index];
+
+    if ((text = matchAt(JS_PATTERNS.whitespace, code, index))) {
+      list.push(null, text);
+    } else if (char === '/' && (text = matchAt(JS_PATTERNS.lineComment, code, index) || matchAt(JS_PATTERNS.blockComment, code, index))) {
+      list.push('comment', text);
+    } else if (char === '/' && expectExpression && (text = matchAt(JS_PATTERNS.regex, code, index))) {
+      list.push('regex', text);
+      expectExpression = false;
+    } else if (char === '`' && (text = matchAt(JS_PATTERNS.template, code, index))) {
+      list.push('string', text);
+      expectExpression = false;
+    } else if ((char === '"' || char === '\'') && (text = matchAt(JS_PATTERNS.string, code, index))) {
+      list.push('string', text);
+      expectExpression = false;
+    } else if ((text = matchAt(JS_PATTERNS.identifier, code, index))) {
+      if (JS_KEYWORDS.has(text)) {
+        list.push('keyword', text);
+        expectExpression = JS_REGEX_PREFIX_KEYWORDS.has(text);
+      } else if (JS_LITERALS.has(text)) {
+        list.push('literal', text);
+        expectExpression = false;
+      } else {
+        list.push(matchAt(JS_PATTERNS.callParen, code, index + text.length) ? 'function' : null, text);
+        expectExpression = false;
+      }
+    } else if (/[\d.]/.test(char) && (text = matchAt(JS_PATTERNS.number, code, index))) {
+      list.push('number', text);
+      expectExpression = false;
+    } else {
+      text = char;
+      list.push(null, text);
+      expectExpression = !/[)\]}]/.test(char);
+    }
+
+    index += text.length;
+  }
+}
+
+/**
+ * Tokenize a CSS declaration value or at-rule prelude, up to one of the stop characters
+ */
+function tokenizeCssValue(code, index, list, stops = ';}') {
+  while (index < code.length && !stops.includes(code[index])) {
+    let text;
+    const char = code[index];
+
+    if ((text = matchAt(CSS_PATTERNS.whitespace, code, index))) {
+      list.push(null, text);
+    } else if (char === '/' && (text = matchAt(CSS_PATTERNS.comment, code, index))) {
+      list.push('comment', text);
+    } else if ((char === '"' || char === '\'') && (text = matchAt(CSS_PATTERNS.string, code, index))) {
+      list.push('string', text);
+    } else if (char === '#' && (text = matchAt(CSS_PATTERNS.hexColor, code, index))) {
+      list.push('number', text);
+    } else if (char === '!' && (text = matchAt(CSS_PATTERNS.important, code, index))) {
+      list.push('keyword', text);
+    } else if ((text = matchAt(CSS_PATTERNS.number, code, index))) {
+      list.push('number', text);
+    } else if ((text = matchAt(CSS_PATTERNS.function, code, index))) {
+      list.push('function', text);
+    } else if ((text = matchAt(CSS_PATTERNS.word, code, index))) {
+      list.push('value', text);
+    } else {
+      text = char;
+      list.push('punctuation', text);
+    }
+
+    index += text.length;
+  }
+  return index;
+}
+
+/**
+ * Tokenize CSS source
+ * Each statement is a selector when a { comes before the next ; or },
+ * otherwise a property declaration
+ */
+function tokenizeCss(code, list) {
+  let index = 0;
+
+  while (index < code.length) {
+    let text;
+    const char = code[index];
+
+    if ((text = matchAt(CSS_PATTERNS.whitespace, code, index))) {
+      list.push(null, text);
+    } else if (char === '/' && (text = matchAt(CSS_PATTERNS.comment, code, index))) {
+      list.push('comment', text);
+    } else if ('{};'.includes(char)) {
+      text = char;
+      list.push('punctuation', text);
+    } else if (char === '@' && (text = matchAt(CSS_PATTERNS.atRule, code, index))) {
+      list.push('keyword', text);
+      index = tokenizeCssValue(code, index + text.length, list, ';{}');
+      continue;
+    } else {
+      const statementEnd = code.slice(index).search(/[{};]/);
+      const end = statementEnd === -1 ? code.length : index + statementEnd;
+
+      if (code[end] === '{') {
+        text = code.slice(index, end);
+        list.push('selector', text);
+      } else {
+        const property = matchAt(CSS_PATTERNS.property, code, index);
+        const colon = property ? code.indexOf(':', index + property.length) : -1;
+        if (property && colon !== -1 && colon < end && !code.slice(index + property.length, colon).trim()) {
+          list.push('property', property);
+          list.push(null, code.slice(index + property.length, colon));
+          list.push('punctuation', ':');
+          index = tokenizeCssValue(code, colon + 1, list);
+          continue;
+        }
+        text = code.slice(index, end);
+        list.push(null, text);
+      }
+    }
+
+    index += text.length;
+  }
+}
+
+/**
+ * Tokenize an HTML document with embedded CSS and JavaScript
+ * Returns a list of { type, text } tokens covering the whole input
+ */
+export function tokenizeHtml(code) {
+  const list = createTokenList();
+  let index = 0;
+
+  while (index < code.length) {
+    let text;
+
+    if ((text = matchAt(HTML_PATTERNS.comment, code, index))) {
+      list.push('comment', text);
+      index += text.length;
+    } else if ((text = matchAt(HTML_PATTERNS.doctype, code, index))) {
+      list.push('doctype', text);
+      index += text.length;
+    } else if ((text = matchAt(HTML_PATTERNS.tagOpen, code, index))) {
+      const isClosing = text === '</';
+      list.push('punctuation', text);
+      index += text.length;
+
+      const tagName = matchAt(HTML_PATTERNS.tagName, code, index);
+      list.push('tag', tagName);
+      index += tagName.length;
+
+      // Attributes up to the end of the tag
+      let closed = false;
+      while (index < code.length && !closed) {
+        if ((text = matchAt(HTML_PATTERNS.whitespace, code, index))) {
+          list.push(null, text);
+        } else if ((text = matchAt(HTML_PATTERNS.tagClose, code, index))) {
+          list.push('punctuation', text);
+          closed = true;
+        } else if (code[index] === '=') {
+          text = '=';
+          list.push('punctuation', text);
+          text += matchAt(HTML_PATTERNS.whitespace, code, index + 1) || '';
+          list.push(null, text.slice(1));
+          const value = matchAt(HTML_PATTERNS.quotedValue, code, index + text.length)
+            || matchAt(HTML_PATTERNS.unquotedValue, code, index + text.length)
+            || '';
+          list.push('value', value);
+          text += value;
+        } else if ((text = matchAt(HTML_PATTERNS.attribute, code, index))) {
+          list.push('attribute', text);
+        } else {
+          text = code[index];
+          list.push(null, text);
+        }
+        index += text.length;
+      }
+
+      // Raw text elements hand their contents to the embedded tokenizers
+      const rawTag = tagName.toLowerCase();
+      if (closed && !isClosing && (rawTag === 'script' || rawTag === 'style')) {
+        const closeIndex = code.slice(index).search(new RegExp(`</${rawTag}[\\s>]`, 'i'));
+        const end = closeIndex === -1 ? code.length : index + closeIndex;
+        const content = code.slice(index, end);
+        if (rawTag === 'script') {
+          tokenizeJs(content, list);
+        } else {
+          tokenizeCss(content, list);
+        }
+        index = end;
+      }
+    } else if ((text = matchAt(HTML_PATTERNS.entity, code, index))) {
+      list.push('entity', text);
+      index += text.length;
+    } else {
+      text = matchAt(HTML_PATTERNS.text, code, index) || code[index];
+      list.push(null, text);
+      index += text.length;
+    }
+  }
+
+  return list.tokens;
+}
+
+/**
+ * Escape code for display inside HTML
+ */
+function escapeCode(code) {
+  return code
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Highlight HTML source, returning markup with Tailwind color classes
+ */
+export function highlightCode(code) {
+  return tokenizeHtml(code)
+    .map(({ type, text }) => {
+      const className = TOKEN_CLASSES[type];
+      return className ? `<span class="${className}">${escapeCode(text)}</span>` : escapeCode(text);
+    })
+    .join('');
+}
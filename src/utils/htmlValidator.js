@@ -0,0 +1,181 @@
+/**
+ * Static checks for generated app HTML.
+ * Recoverable problems (markdown fences, stray prose, missing doctype) are
+ * fixed in place; everything else is reported so it can be repaired.
+ */
+
+// Script types that are parsed as classic scripts
+const CLASSIC_SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript'];
+
+/**
+ * Create an issue entry
+ */
+function createIssue(rule, severity, message, fixed = false) {
+  return { rule, severity, message, fixed };
+}
+
+/**
+ * Take the contents of the first markdown code fence, if any
+ */
+function stripMarkdownFences(code) {
+  if (code.startsWith('<')) return code;
+  const match = code.match(/```[\w-]*[ \t]*\r?\n([\s\S]*?)(?:```|$)/);
+  return match ? match[1] : code;
+}
+
+/**
+ * Drop any prose before the document starts or after it ends
+ */
+function stripSurroundingText(code) {
+  const start = code.search(/<!doctype\s+html|<html[\s>]/i);
+  const end = code.toLowerCase().lastIndexOf('</html>');
+  return code.slice(Math.max(start, 0), end === -1 ? code.length : end + '</html>'.length);
+}
+
+/**
+ * Check whether a script src points outside the document
+ */
+function isExternalSource(src) {
+  return /^(?:[a-z][a-z\d+.-]*:)?\/\//i.test(src.trim());
+}
+
+// Script text that suggests some form submission is intercepted
+const SUBMIT_HANDLING_PATTERN = /['"`]submit['"`]|\.onsubmit\b|\.preventDefault\s*\(/;
+
+/**
+ * String literals in script text, e.g. ids and selectors passed to DOM lookups
+ */
+function getStringLiterals(text) {
+  return [...text.matchAll(/(['"`])((?:\\.|(?!\1)[^\\\n])*)\1/g)]
+    .map(match => match[2].trim())
+    .filter(literal => literal && literal.length <= 200);
+}
+
+/**
+ * Whether a literal is a selector the element matches
+ */
+function matchesSelector(element, literal) {
+  try {
+    return element.matches(literal);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether the scripts look up a form: by id, by name, with a selector it
+ * matches, or by its index in document.forms
+ */
+function isFormReferenced(form, index, literals, scriptText) {
+  const id = form.getAttribute('id');
+  const name = form.getAttribute('name');
+  if (literals.some(literal => literal === id || literal === name || matchesSelector(form, literal))) return true;
+  if (name && /^[A-Za-z_$][\w$]*$/.test(name) && new RegExp(`\\.forms\\.${name.replace(/\$/g, '\\$')}\\b`).test(scriptText)) return true;
+  return new RegExp(`\\.forms\\s*\\[\\s*${index}\\s*\\]`).test(scriptText);
+}
+
+/**
+ * Validate generated HTML, fixing recoverable problems
+ * Returns the cleaned code and the list of issues found
+ */
+export function validateHtml(rawCode) {
+  const issues = [];
+  let code = (rawCode || '').trim();
+
+  const unfenced = stripMarkdownFences(code).trim();
+  if (unfenced !== code) {
+    issues.push(createIssue('markdown-fence', 'error', 'Response was wrapped in a markdown code block.', true));
+    code = unfenced;
+  }
+
+  const unwrapped = stripSurroundingText(code).trim();
+  if (unwrapped !== code) {
+    issues.push(createIssue('surrounding-text', 'error', 'Response contained text outside the HTML document.', true));
+    code = unwrapped;
+  }
+
+  if (!/<[a-z!]/i.test(code)) {
+    issues.push(createIssue('not-html', 'error', 'Response does not contain any HTML.'));
+    return { code, issues };
+  }
+
+  if (!/^<!doctype\s+html/i.test(code)) {
+    issues.push(createIssue('missing-doctype', 'error', 'Missing <!DOCTYPE html> declaration.', true));
+    code = `<!DOCTYPE html>\n${code}`;
+  }
+
+  const doc = new DOMParser().parseFromString(code, 'text/html');
+
+  const inlineHandlers = new Set();
+  let inlineHandlerCount = 0;
+  doc.querySelectorAll('*').forEach(element => {
+    for (const { name } of element.attributes) {
+      if (name.startsWith('on')) {
+        inlineHandlers.add(name);
+        inlineHandlerCount += 1;
+      }
+    }
+  });
+  if (inlineHandlerCount > 0) {
+    issues.push(createIssue(
+      'inline-handler',
+      'warning',
+      `${inlineHandlerCount} inline event handler attribute${inlineHandlerCount === 1 ? '' : 's'} (${[...inlineHandlers].join(', ')}). Use addEventListener instead.`
+    ));
+  }
+
+  const scripts = [...doc.querySelectorAll('script')];
+  scripts
+    .filter(script => script.hasAttribute('src') && isExternalSource(script.getAttribute('src')))
+    .forEach(script => {
+      issues.push(createIssue('external-script', 'error', `Loads an external script: ${script.getAttribute('src')}`));
+    });
+
+  const inlineScripts = scripts.filter(script => !script.hasAttribute('src'));
+  const scriptText = inlineScripts.map(script => script.textContent).join('\n');
+
+  // A heuristic: a form counts as handled when the scripts intercept submits
+  // somewhere and refer to that particular form
+  const forms = [...doc.querySelectorAll('form')];
+  const handlesSubmit = SUBMIT_HANDLING_PATTERN.test(scriptText);
+  const literals = handlesSubmit ? getStringLiterals(scriptText) : [];
+  const unhandledForms = forms.filter((form, index) => (
+    !form.hasAttribute('onsubmit') && !(handlesSubmit && isFormReferenced(form, index, literals, scriptText))
+  ));
+  if (unhandledForms.length > 0) {
+    issues.push(createIssue(
+      'form-without-submit-handler',
+      'warning',
+      `${unhandledForms.length} form${unhandledForms.length === 1 ? ' does' : 's do'} not appear to have a submit handler; if none is attached, submitting reloads the app.`
+    ));
+  }
+
+  inlineScripts.forEach((script, index) => {
+    const type = (script.getAttribute('type') || '').trim().toLowerCase();
+    if (!CLASSIC_SCRIPT_TYPES.includes(type)) return;
+    try {
+      // Compiles without running the script
+      new Function(script.textContent);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        issues.push(createIssue('script-syntax', 'error', `Script ${index + 1} has a syntax error: ${error.message}`));
+      }
+    }
+  });
+
+  return { code, issues };
+}
+
+/**
+ * Issues that still need attention after automatic fixes
+ */
+export function getUnresolvedIssues(issues) {
+  return issues.filter(issue => !issue.fixed);
+}
+
+/**
+ * Count unresolved errors, the issues that break the app
+ */
+export function countBlockingIssues(issues) {
+  return issues.filter(issue => !issue.fixed && issue.severity === 'error').length;
+}
@@ -0,0 +1,187 @@
+import { StorageQuotaError } from './errors';
+
+/**
+ * Persistent storage for the saved app library.
+ * Apps are kept in IndexedDB, one record per app, with the display order in
+ * a separate meta record. Writes are diffed against the previously persisted
+ * list and queued so they are applied in order outside the reducer.
+ * Libraries saved by older versions in the `bya-saved-apps` localStorage key
+ * are moved over once on first load.
+ */
+
+const DB_NAME = 'bya';
+const DB_VERSION = 1;
+const APPS_STORE = 'apps';
+const META_STORE = 'meta';
+const ORDER_KEY = 'appOrder';
+const LEGACY_STORAGE_KEY = 'bya-saved-apps';
+
+let databasePromise = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Whether an error means the browser refused to store more data
+ */
+export function isQuotaError(error) {
+  return error instanceof StorageQuotaError ||
+    error?.name === 'QuotaExceededError' ||
+    error?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+}
+
+/**
+ * Wrap quota failures so callers can tell them apart from other errors
+ */
+function toStorageError(error) {
+  return isQuotaError(error) && !(error instanceof StorageQuotaError)
+    ? new StorageQuotaError({ cause: error })
+    : error;
+}
+
+/**
+ * Resolve with the result of an IndexedDB request
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the database once, creating the stores on first use
+ * Resolves with null when IndexedDB is unavailable (e.g. some private modes)
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(APPS_STORE)) {
+          db.createObjectStore(APPS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB is unavailable, falling back to localStorage:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run a read-write transaction over the app and meta stores
+ * Resolves once the transaction commits
+ */
+function runTransaction(db, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([APPS_STORE, META_STORE], 'readwrite');
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(toStorageError(transaction.error));
+    transaction.onerror = () => reject(toStorageError(transaction.error));
+    work(transaction.objectStore(APPS_STORE), transaction.objectStore(META_STORE));
+  });
+}
+
+/**
+ * Read the library saved by older versions from localStorage
+ */
+function readLegacyApps() {
+  try {
+    const apps = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY));
+    return Array.isArray(apps) ? apps : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sort stored app records by the saved display order
+ * Apps missing from the order (e.g. written by another tab) go last
+ */
+function sortByOrder(apps, order) {
+  const positions = new Map((order || []).map((id, index) => [id, index]));
+  return [...apps].sort((a, b) => (positions.get(a.id) ?? Infinity) - (positions.get(b.id) ?? Infinity));
+}
+
+/**
+ * Load every saved app, moving a legacy localStorage library into IndexedDB first
+ */
+export async function loadApps() {
+  const db = await openDatabase();
+  if (!db) {
+    return readLegacyApps() || [];
+  }
+
+  const legacyApps = readLegacyApps();
+  if (legacyApps) {
+    await runTransaction(db, (apps, meta) => {
+      legacyApps.forEach(app => apps.put(app));
+      meta.put(legacyApps.map(app => app.id), ORDER_KEY);
+    });
+    // Only drop the old copy once the migration has committed
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  }
+
+  const transaction = db.transaction([APPS_STORE, META_STORE], 'readonly');
+  const [apps, order] = await Promise.all([
+    promisifyRequest(transaction.objectStore(APPS_STORE).getAll()),
+    promisifyRequest(transaction.objectStore(META_STORE).get(ORDER_KEY))
+  ]);
+  return sortByOrder(apps, order);
+}
+
+/**
+ * Write the changes between two versions of the library
+ * Only apps whose objects changed are rewritten; pass `previousApps` as null
+ * to rewrite everything, e.g. after a failed write
+ */
+async function writeApps(apps, previousApps) {
+  const db = await openDatabase();
+  if (!db) {
+    try {
+      localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(apps));
+    } catch (error) {
+      throw toStorageError(error);
+    }
+    return;
+  }
+
+  const previousById = new Map((previousApps || []).map(app => [app.id, app]));
+  const currentIds = new Set(apps.map(app => app.id));
+  const storedIds = previousApps
+    ? [...previousById.keys()]
+    : await promisifyRequest(db.transaction(APPS_STORE, 'readonly').objectStore(APPS_STORE).getAllKeys());
+
+  await runTransaction(db, (store, meta) => {
+    apps.forEach(app => {
+      if (previousById.get(app.id) !== app) {
+        store.put(app);
+      }
+    });
+    storedIds.forEach(id => {
+      if (!currentIds.has(id)) {
+        store.delete(id);
+      }
+    });
+    meta.put(apps.map(app => app.id), ORDER_KEY);
+  });
+}
+
+/**
+ * Queue a write of the library; writes are applied in the order they were queued
+ */
+export function saveApps(apps, previousApps) {
+  const write = writeQueue.then(() => writeApps(apps, previousApps));
+  writeQueue = write.catch(() => {});
+  return write;
+}
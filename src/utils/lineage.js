@@ -0,0 +1,46 @@
+import { getCurrentVersionId } from './versions';
+
+/**
+ * Lineage between apps and the copies made from them.
+ * A duplicated or remixed app records where it came from in
+ * `remixedFrom: { appId, versionId, name }`. The name is kept so the link
+ * still reads well after the original is deleted.
+ */
+
+/**
+ * Build the lineage record for a copy of an app
+ */
+export function createRemixedFrom(app) {
+  return {
+    appId: app.id,
+    versionId: getCurrentVersionId(app),
+    name: app.name
+  };
+}
+
+/**
+ * The app a copy was made from, if it is still in the library
+ */
+export function getParentApp(app, apps) {
+  const parentId = app?.remixedFrom?.appId;
+  return parentId ? apps.find(item => item.id === parentId) || null : null;
+}
+
+/**
+ * Copies made directly from an app
+ */
+export function getRemixes(app, apps) {
+  return app ? apps.filter(item => item.remixedFrom?.appId === app.id) : [];
+}
+
+/**
+ * Number of direct copies of each app, by app id
+ */
+export function countRemixes(apps) {
+  const counts = new Map();
+  apps.forEach(app => {
+    const parentId = app.remixedFrom?.appId;
+    if (parentId) counts.set(parentId, (counts.get(parentId) || 0) + 1);
+  });
+  return counts;
+}
@@ -0,0 +1,102 @@
+import { PatchConflictError } from './errors';
+
+/**
+ * Search/replace edits returned by the model in patch mode.
+ * Each edit has the form
+ *
+ *   <<<<<<< SEARCH
+ *   exact lines from the current code
+ *   =======
+ *   replacement lines
+ *   >>>>>>> REPLACE
+ *
+ * Edits are applied in order and every search block must match exactly one
+ * place in the code, otherwise nothing is applied.
+ */
+
+const EDIT_PATTERN = /<<<<<<< SEARCH\r?\n([\s\S]*?)\r?\n?=======\r?\n([\s\S]*?)\r?\n?>>>>>>> REPLACE/g;
+
+/**
+ * Extract the edits from a patch response
+ */
+export function parsePatch(text) {
+  return [...text.matchAll(EDIT_PATTERN)].map(([, search, replace]) => ({ search, replace }));
+}
+
+/**
+ * Locate a search block by comparing lines with surrounding whitespace ignored
+ * Used when the model changed indentation or trailing spaces
+ */
+function findLooseMatches(code, search) {
+  const searchLines = search.split('\n').map(line => line.trim());
+  while (searchLines.length > 0 && searchLines[0] === '') searchLines.shift();
+  while (searchLines.length > 0 && searchLines[searchLines.length - 1] === '') searchLines.pop();
+  if (searchLines.length === 0) return [];
+
+  const codeLines = code.split('\n');
+  const lineStarts = [];
+  let offset = 0;
+  for (const line of codeLines) {
+    lineStarts.push(offset);
+    offset += line.length + 1;
+  }
+
+  const matches = [];
+  for (let i = 0; i + searchLines.length <= codeLines.length; i++) {
+    if (searchLines.every((line, j) => codeLines[i + j].trim() === line)) {
+      const last = i + searchLines.length - 1;
+      matches.push({ start: lineStarts[i], end: lineStarts[last] + codeLines[last].length });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Find where a search block applies, preferring an exact match
+ */
+function findMatches(code, search) {
+  const matches = [];
+  let index = code.indexOf(search);
+  while (index !== -1 && matches.length < 2) {
+    matches.push({ start: index, end: index + search.length });
+    index = code.indexOf(search, index + 1);
+  }
+  return matches.length > 0 ? matches : findLooseMatches(code, search);
+}
+
+/**
+ * Apply edits to the code, throwing PatchConflictError if any edit does not
+ * match exactly one location
+ */
+export function applyPatch(code, edits) {
+  if (edits.length === 0) {
+    throw new PatchConflictError([]);
+  }
+
+  const conflicts = [];
+  const patched = edits.reduce((current, edit, index) => {
+    if (!edit.search.trim()) {
+      conflicts.push({ edit, reason: `edit ${index + 1} has an empty search block` });
+      return current;
+    }
+
+    const matches = findMatches(current, edit.search);
+    if (matches.length !== 1) {
+      conflicts.push({
+        edit,
+        reason: matches.length === 0
+          ? `edit ${index + 1} does not match the current code`
+          : `edit ${index + 1} matches more than one place`
+      });
+      return current;
+    }
+
+    const [{ start, end }] = matches;
+    return `${current.slice(0, start)}${edit.replace}${current.slice(end)}`;
+  }, code);
+
+  if (conflicts.length > 0) {
+    throw new PatchConflictError(conflicts);
+  }
+  return patched;
+}
@@ -0,0 +1,200 @@
+/**
+ * System prompts sent to the AI provider.
+ * Shared by the app and the BYA server: requests carry only the user's data
+ * (prompt, code, conversation) and buildPrompt turns them into instructions
+ * and messages, so server clients can never supply instructions of their own.
+ */
+
+// Instructions for generating a new app from a prompt
+const GENERATION_INSTRUCTIONS = `You are a web developer who creates BULLETPROOF mini-apps that work perfectly on first try.
+
+RESPONSE FORMAT: Return only HTML code starting with <!DOCTYPE html> and ending with </html>. No explanations, comments, or markdown blocks.
+
+MANDATORY TESTING CHECKLIST - Before responding, mentally verify:
+✅ Every button click works and does something visible
+✅ Form submission prevents default and handles data correctly  
+✅ File input properly converts to base64 and displays preview
+✅ LocalStorage saves and loads data without errors
+✅ All user interactions have immediate visual feedback
+✅ No console errors occur during normal usage
+✅ Empty states are handled gracefully
+✅ Input validation works and shows helpful messages
+
+CODE REQUIREMENTS:
+- Single HTML file, vanilla JavaScript only
+- Mobile-first responsive (min 320px width)
+- Use addEventListener for ALL events (never onclick attributes)
+- Always preventDefault() on form submissions
+- Convert images to base64 for localStorage
+- Use simple JSON for data storage
+- Include try-catch for localStorage operations
+- Test all code paths mentally before responding
+
+DESIGN REQUIREMENTS:
+- Clean, minimal interface with good contrast
+- Touch-friendly buttons (min 44px height)
+- Smooth transitions (max 0.2s duration)
+- Use modern CSS (flexbox/grid, CSS variables)
+- Maximum 4 colors total
+- 16px+ font size for readability
+
+FORBIDDEN (causes bugs):
+- External dependencies except Google Fonts
+- Complex drag-and-drop implementations
+- Async operations without proper error handling
+- onclick/onchange attributes in HTML
+- Forms without preventDefault()
+- Missing input validation
+- Features that don't work reliably on mobile
+
+GOLDEN RULE: If you can't mentally trace through every user interaction and confirm it works, simplify until you can.
+
+Build something that works perfectly rather than something complex that breaks.`;
+
+/**
+ * Instructions for extracting app metadata from a prompt
+ */
+function buildMetadataInstructions(categories) {
+  const categoryList = categories.map(category => `- ${category.id}: ${category.label}`).join('\n');
+  return `Return ONLY valid JSON. No explanations.
+
+Based on the user's request, provide this exact format:
+{
+  "name": "Short App Name",
+  "description": "Brief description",
+  "category": "one category id from the list below",
+  "tags": ["keyword", "keyword"]
+}
+
+Categories:
+${categoryList}
+
+Response must start with { and end with }.`;
+}
+
+// Instructions for modifying an existing app
+const FOLLOW_UP_INSTRUCTIONS = `You are an expert web developer. Modify the existing HTML app based on the user's latest request, keeping the original intent and earlier changes from the conversation.
+
+Return ONLY the complete, updated HTML code, then one final line after </html> starting with "SUMMARY:" that describes the changes in one short sentence.`;
+
+// Instructions for modifying an existing app with targeted edits
+const PATCH_INSTRUCTIONS = `You are an expert web developer. Modify the existing HTML app based on the user's latest request, keeping the original intent and earlier changes from the conversation.
+
+Do NOT return the whole file. Return only search/replace edits in this exact format:
+
+<<<<<<< SEARCH
+exact lines copied from the current code
+=======
+replacement lines
+>>>>>>> REPLACE
+
+RULES:
+- Each SEARCH block must match the current code exactly, including whitespace, and appear only once in it
+- Include just enough lines to make each SEARCH block unique
+- Use several small edits rather than one large one; edits are applied in order
+- To add new code, search for a nearby line and repeat it in the replacement together with the addition
+
+After the last edit, add one final line starting with "SUMMARY:" that describes the changes in one short sentence.`;
+
+// Most characters of an app's code sent when deriving its metadata
+const METADATA_CODE_LIMIT = 6000;
+
+// Instructions for repairing an app that failed validation
+const REPAIR_INSTRUCTIONS = 'You are an expert web developer. Fix every listed problem in the HTML app without changing its features or design. Return ONLY the complete, corrected HTML code starting with <!DOCTYPE html>.';
+
+/**
+ * Build the user message for a follow-up request
+ */
+function buildFollowUpMessage(currentCode, followUpPrompt, originalPrompt) {
+  const intent = originalPrompt ? `The app was originally built for this request: ${originalPrompt}\n\n` : '';
+  return `${intent}Here's the current app code:\n\n${currentCode}\n\nPlease modify it to: ${followUpPrompt}`;
+}
+
+/**
+ * Build the user message asking the model to repair validation failures
+ */
+function buildRepairMessage(code, issues) {
+  const problems = issues.map(issue => `- ${issue}`).join('\n');
+  return `This app failed validation:\n${problems}\n\nHere's the code:\n\n${code}`;
+}
+
+/**
+ * Build the follow-up request asking the model to fix a runtime error
+ */
+export function buildErrorFixPrompt(entry) {
+  const location = entry.line ? ` (line ${entry.line})` : '';
+  const stack = entry.stack ? `\n\nStack trace:\n${entry.stack}` : '';
+  return `Fix this error${location}: ${entry.message}${stack}`;
+}
+
+/**
+ * Build the metadata request for an imported HTML file
+ * The app's code stands in for the original request
+ */
+function buildImportMetadataMessage(title, code) {
+  const heading = title ? `Page title: ${title}\n\n` : '';
+  return `${heading}Describe the existing app built by this HTML:\n\n${getCodeExcerpt(code)}`;
+}
+
+/**
+ * Build the metadata request for new name and description suggestions
+ * The current details are included so the model offers alternatives
+ */
+function buildDetailsSuggestionMessage(app) {
+  const current = [
+    `Current name: ${app.name}`,
+    app.description && `Current description: ${app.description}`
+  ].filter(Boolean).join('\n');
+  return `${app.prompt}\n\n${current}\n\nSuggest a different, clearer name and description for this app. Here's its code:\n\n${getCodeExcerpt(app.code)}`;
+}
+
+/**
+ * Trim long code to the start of the document
+ */
+function getCodeExcerpt(code) {
+  return code.length > METADATA_CODE_LIMIT ? `${code.slice(0, METADATA_CODE_LIMIT)}\n...` : code;
+}
+
+/**
+ * Build the user message for a metadata request
+ * With `name` it asks for alternatives to the current details, with only
+ * `code` it describes an imported file, otherwise it reads the prompt
+ */
+function buildMetadataMessage({ prompt = '', title = '', code = '', name = '', description = '' }) {
+  if (name) return buildDetailsSuggestionMessage({ prompt, name, description, code });
+  if (code) return buildImportMetadataMessage(title, code);
+  return prompt;
+}
+
+/**
+ * Instructions and messages for a generation request
+ * `input` depends on the purpose:
+ * - code: `{ prompt }`
+ * - metadata: `{ categories, prompt, title, code, name, description }`
+ * - follow-up, patch: `{ prompt, code, originalPrompt, thread }`
+ * - repair: `{ code, issues }` with the issue messages
+ */
+export function buildPrompt(purpose, input) {
+  switch (purpose) {
+    case 'code':
+      return { instructions: GENERATION_INSTRUCTIONS, messages: [{ role: 'user', content: input.prompt }] };
+    case 'metadata':
+      return {
+        instructions: buildMetadataInstructions(input.categories),
+        messages: [{ role: 'user', content: buildMetadataMessage(input) }]
+      };
+    case 'follow-up':
+    case 'patch':
+      return {
+        instructions: purpose === 'patch' ? PATCH_INSTRUCTIONS : FOLLOW_UP_INSTRUCTIONS,
+        messages: [
+          ...(input.thread || []),
+          { role: 'user', content: buildFollowUpMessage(input.code, input.prompt, input.originalPrompt) }
+        ]
+      };
+    case 'repair':
+      return { instructions: REPAIR_INSTRUCTIONS, messages: [{ role: 'user', content: buildRepairMessage(input.code, input.issues) }] };
+    default:
+      throw new Error(`Unknown prompt purpose "${purpose}".`);
+  }
+}
@@ -0,0 +1,50 @@
+import { GenerationCancelledError, isTransientError } from './errors';
+
+/**
+ * Wait for a delay, rejecting early if the signal is aborted
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new GenerationCancelledError());
+      return;
+    }
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve();
+    }, ms);
+    function handleAbort() {
+      clearTimeout(timeoutId);
+      reject(new GenerationCancelledError());
+    }
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+}
+
+/**
+ * Run an async task, retrying transient API errors with exponential backoff
+ * Honors the `retry-after` header when the API sends one
+ */
+export async function withRetry(task, { retries = 3, baseDelayMs = 1000, maxDelayMs = 20000, signal, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new GenerationCancelledError();
+      }
+      if (attempt > retries || !isTransientError(error)) {
+        throw error;
+      }
+
+      const retryAfter = Number(error.headers?.get?.('retry-after') ?? error.headers?.['retry-after']);
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const delayMs = retryAfter > 0
+        ? Math.min(maxDelayMs, retryAfter * 1000)
+        : backoff + Math.round(Math.random() * backoff * 0.25);
+
+      onRetry?.({ attempt: attempt + 1, maxAttempts: retries + 1, delayMs, error });
+      await sleep(delayMs, signal);
+    }
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Helpers for running generated apps in an isolated iframe.
+ * The iframe has no same-origin access, so generated code cannot read or
+ * modify BYA's own storage. Small scripts are injected at the top of the
+ * document to give the app a namespaced localStorage replacement, to
+ * report runtime errors back to the host and, for thumbnails, to post back
+ * a snapshot of the rendered page.
+ */
+
+import { countNewlines } from './streaming';
+
+// Sandbox flags for generated apps - deliberately without allow-same-origin
+export const SANDBOX_PERMISSIONS = 'allow-scripts allow-forms allow-modals allow-popups allow-downloads';
+
+// Sandbox flags for thumbnail captures - scripts only, so dialogs and popups are suppressed
+export const CAPTURE_SANDBOX_PERMISSIONS = 'allow-scripts';
+
+// Marks messages posted by the injected scripts
+export const SANDBOX_MESSAGE_SOURCE = 'bya-sandbox';
+
+// Longest message and stack text forwarded from the console hook
+const MAX_CONSOLE_TEXT = 4000;
+
+/**
+ * Serialize a value for embedding inside an inline <script>
+ */
+export function toScriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Bridge script providing localStorage and sessionStorage inside the sandbox
+ * localStorage starts from the persisted entries and reports every write to the host
+ */
+function buildStorageBridge(entries) {
+  return `(function () {
+  var persisted = ${toScriptJson(entries)};
+  function post(op, key, value) {
+    parent.postMessage({ source: '${SANDBOX_MESSAGE_SOURCE}', type: 'storage', op: op, key: key, value: value }, '*');
+  }
+  function createStorage(items, persist) {
+    var has = function (key) { return Object.prototype.hasOwnProperty.call(items, key); };
+    var api = {
+      getItem: function (key) { key = String(key); return has(key) ? items[key] : null; },
+      setItem: function (key, value) {
+        key = String(key); value = String(value);
+        items[key] = value;
+        if (persist) post('set', key, value);
+      },
+      removeItem: function (key) {
+        key = String(key);
+        delete items[key];
+        if (persist) post('remove', key);
+      },
+      clear: function () {
+        Object.keys(items).forEach(function (key) { delete items[key]; });
+        if (persist) post('clear');
+      },
+      key: function (index) { var keys = Object.keys(items); return index < keys.length ? keys[index] : null; }
+    };
+    // Support property access such as localStorage.todos as well as the Storage API
+    return new Proxy(api, {
+      get: function (target, prop) {
+        if (prop === 'length') return Object.keys(items).length;
+        if (prop in target || typeof prop !== 'string') return target[prop];
+        return has(prop) ? items[prop] : undefined;
+      },
+      set: function (target, prop, value) { api.setItem(prop, value); return true; },
+      deleteProperty: function (target, prop) { api.removeItem(prop); return true; },
+      has: function (target, prop) { return prop in target || has(prop); },
+      ownKeys: function () { return Object.keys(items); },
+      getOwnPropertyDescriptor: function (target, prop) {
+        return has(prop) ? { value: items[prop], enumerable: true, configurable: true, writable: true } : undefined;
+      }
+    });
+  }
+  try { Object.defineProperty(window, 'localStorage', { value: createStorage(persisted, true), configurable: true }); } catch (e) {}
+  try { Object.defineProperty(window, 'sessionStorage', { value: createStorage({}, false), configurable: true }); } catch (e) {}
+})();`;
+}
+
+/**
+ * Console hook reporting uncaught exceptions, unhandled rejections and
+ * console errors and warnings to the host
+ * Line numbers are shifted back by the lines the injected scripts add
+ */
+function buildConsoleHook(lineOffset) {
+  return `(function () {
+  var lineOffset = ${lineOffset};
+  function clip(text) { text = String(text); return text.length > ${MAX_CONSOLE_TEXT} ? text.slice(0, ${MAX_CONSOLE_TEXT}) + '...' : text; }
+  function describe(value) {
+    if (value instanceof Error) return value.name + ': ' + value.message;
+    if (typeof value === 'string') return value;
+    try { return JSON.stringify(value); } catch (e) { return String(value); }
+  }
+  function stackOf(values) {
+    for (var i = 0; i < values.length; i++) {
+      if (values[i] && values[i].stack) return clip(values[i].stack);
+    }
+    return '';
+  }
+  function post(level, kind, message, stack, line) {
+    try {
+      parent.postMessage({
+        source: '${SANDBOX_MESSAGE_SOURCE}',
+        type: 'console',
+        level: level,
+        kind: kind,
+        message: clip(message),
+        stack: stack,
+        line: line > lineOffset ? line - lineOffset : null
+      }, '*');
+    } catch (e) {}
+  }
+  window.addEventListener('error', function (event) {
+    post('error', 'exception', event.message || describe(event.error), stackOf([event.error]), event.lineno);
+  });
+  window.addEventListener('unhandledrejection', function (event) {
+    post('error', 'rejection', 'Unhandled promise rejection: ' + describe(event.reason), stackOf([event.reason]), null);
+  });
+  ['error', 'warn'].forEach(function (level) {
+    var original = console[level];
+    console[level] = function () {
+      var args = Array.prototype.slice.call(arguments);
+      post(level, 'console', args.map(describe).join(' '), stackOf(args), null);
+      return original.apply(console, arguments);
+    };
+  });
+})();`;
+}
+
+/**
+ * Capture hook drawing the rendered page onto a canvas once it has settled
+ * The live DOM is serialized into an SVG foreignObject, with current form
+ * values and canvas contents carried over, and posted back as a JPEG data URL
+ */
+function buildCaptureHook({ width, height, thumbnailWidth, thumbnailHeight, delay }) {
+  return `(function () {
+  function post(dataUrl, error) {
+    parent.postMessage({ source: '${SANDBOX_MESSAGE_SOURCE}', type: 'thumbnail', dataUrl: dataUrl, error: error }, '*');
+  }
+  function copyLiveState(clone) {
+    var fields = document.querySelectorAll('input, textarea, select');
+    var copies = clone.querySelectorAll('input, textarea, select');
+    for (var i = 0; i < fields.length && i < copies.length; i++) {
+      var field = fields[i], copy = copies[i];
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        if (field.checked) copy.setAttribute('checked', ''); else copy.removeAttribute('checked');
+      } else if (field.tagName === 'TEXTAREA') {
+        copy.textContent = field.value;
+      } else if (field.tagName === 'SELECT') {
+        for (var j = 0; j < field.options.length; j++) {
+          if (field.options[j].selected) copy.options[j].setAttribute('selected', ''); else copy.options[j].removeAttribute('selected');
+        }
+      } else if (field.type !== 'file') {
+        copy.setAttribute('value', field.value);
+      }
+    }
+    var canvases = document.querySelectorAll('canvas');
+    var canvasCopies = clone.querySelectorAll('canvas');
+    for (var k = 0; k < canvases.length && k < canvasCopies.length; k++) {
+      try {
+        var image = document.createElement('img');
+        image.src = canvases[k].toDataURL();
+        image.setAttribute('style', canvasCopies[k].getAttribute('style') || '');
+        image.className = canvasCopies[k].className;
+        image.width = canvases[k].clientWidth || canvases[k].width;
+        image.height = canvases[k].clientHeight || canvases[k].height;
+        canvasCopies[k].parentNode.replaceChild(image, canvasCopies[k]);
+      } catch (e) {}
+    }
+    var scripts = clone.querySelectorAll('script');
+    for (var m = 0; m < scripts.length; m++) scripts[m].parentNode.removeChild(scripts[m]);
+  }
+  function getBackground() {
+    var colors = [getComputedStyle(document.body).backgroundColor, getComputedStyle(document.documentElement).backgroundColor];
+    for (var i = 0; i < colors.length; i++) {
+      if (colors[i] && colors[i] !== 'transparent' && colors[i] !== 'rgba(0, 0, 0, 0)') return colors[i];
+    }
+    return '#ffffff';
+  }
+  function capture() {
+    var clone = document.documentElement.cloneNode(true);
+    copyLiveState(clone);
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">' +
+      '<foreignObject width="100%" height="100%">' + new XMLSerializer().serializeToString(clone) + '</foreignObject></svg>';
+    var image = new Image();
+    image.onload = function () {
+      try {
+        var canvas = document.createElement('canvas');
+        canvas.width = ${thumbnailWidth};
+        canvas.height = ${thumbnailHeight};
+        var context = canvas.getContext('2d');
+        context.fillStyle = getBackground();
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        post(canvas.toDataURL('image/jpeg', 0.75), null);
+      } catch (e) {
+        post(null, String(e && e.message || e));
+      }
+    };
+    image.onerror = function () { post(null, 'The page could not be drawn'); };
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+  }
+  window.addEventListener('load', function () {
+    setTimeout(function () {
+      try { capture(); } catch (e) { post(null, String(e && e.message || e)); }
+    }, ${delay});
+  });
+})();`;
+}
+
+/**
+ * Insert markup as early as possible in a document without breaking the doctype
+ */
+export function injectIntoHead(html, markup) {
+  const headMatch = html.match(/<head(\s[^>]*)?>/i);
+  if (headMatch) {
+    const index = headMatch.index + headMatch[0].length;
+    return `${html.slice(0, index)}${markup}${html.slice(index)}`;
+  }
+
+  const htmlMatch = html.match(/<html(\s[^>]*)?>/i);
+  if (htmlMatch) {
+    const index = htmlMatch.index + htmlMatch[0].length;
+    return `${html.slice(0, index)}<head>${markup}</head>${html.slice(index)}`;
+  }
+
+  const doctypeMatch = html.match(/<!doctype[^>]*>/i);
+  if (doctypeMatch) {
+    const index = doctypeMatch.index + doctypeMatch[0].length;
+    return `${html.slice(0, index)}${markup}${html.slice(index)}`;
+  }
+
+  return `${markup}${html}`;
+}
+
+/**
+ * Build the srcdoc for a sandboxed app with its console hook and storage bridge
+ * Pass `capture` options to also post back a thumbnail of the rendered page
+ */
+export function buildSandboxedDocument(html, { storage = {}, capture = null } = {}) {
+  const bridge = `<script>${buildStorageBridge(storage)}</script>`;
+  const captureHook = capture ? `<script>${buildCaptureHook(capture)}</script>` : '';
+  const lineOffset = countNewlines(buildConsoleHook(0)) + countNewlines(bridge) + countNewlines(captureHook);
+  return injectIntoHead(html, `<script>${buildConsoleHook(lineOffset)}</script>${bridge}${captureHook}`);
+}
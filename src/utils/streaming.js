@@ -0,0 +1,35 @@
+/**
+ * Helpers for measuring and previewing streamed generation output.
+ */
+
+// Closing tags after which a partial document is worth showing
+const SECTION_END_PATTERN = /<\/(?:html|head|body|style|script|main|header|footer|section|nav|form|table|ul|ol|div)\s*>/gi;
+
+/**
+ * Byte length of a string once encoded as UTF-8
+ */
+export function getByteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Count newline characters in a chunk of text
+ */
+export function countNewlines(text) {
+  let count = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) count++;
+  }
+  return count;
+}
+
+/**
+ * Cut partial HTML after its last complete section, or '' when none is closed yet
+ */
+export function getCompleteSections(html) {
+  let end = 0;
+  for (const match of html.matchAll(SECTION_END_PATTERN)) {
+    end = match.index + match[0].length;
+  }
+  return html.slice(0, end);
+}
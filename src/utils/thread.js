@@ -0,0 +1,54 @@
+/**
+ * Helpers for the follow-up conversation stored on each app.
+ * `app.thread` holds the user requests and assistant summaries in order
+ * (oldest first); the original prompt stays in `app.prompt`.
+ */
+
+// Prior messages sent with a follow-up, to keep requests bounded
+export const MAX_CONTEXT_MESSAGES = 20;
+
+// Marks the change summary the model appends after the code
+const SUMMARY_PREFIX = 'SUMMARY:';
+
+/**
+ * Create a thread entry
+ */
+export function createTurn({ role, content, versionId = null }) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    role,
+    content,
+    versionId,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Get the conversation for an app, empty for apps saved before threads existed
+ */
+export function getThread(app) {
+  return Array.isArray(app?.thread) ? app.thread : [];
+}
+
+/**
+ * Prior turns as provider messages, most recent last
+ */
+export function getThreadMessages(thread) {
+  return thread
+    .slice(-MAX_CONTEXT_MESSAGES)
+    .map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Split the trailing summary line off a follow-up response
+ */
+export function splitSummary(text) {
+  const index = text.lastIndexOf(SUMMARY_PREFIX);
+  if (index === -1 || index < text.toLowerCase().lastIndexOf('</html>')) {
+    return { code: text, summary: null };
+  }
+  return {
+    code: text.slice(0, index),
+    summary: text.slice(index + SUMMARY_PREFIX.length).trim() || null,
+  };
+}
@@ -0,0 +1,49 @@
+import { getCurrentVersionId } from './versions';
+
+/**
+ * Thumbnails for saved apps.
+ * Each app stores a small JPEG of its rendered page as
+ * `thumbnail: { versionId, dataUrl, capturedAt }`. A thumbnail belongs to the
+ * version it was captured from, so any version change (follow-up, restore,
+ * manual edit) makes it stale and it is captured again in the background.
+ * Failed captures are stored with a null dataUrl so they are not retried
+ * until the next version.
+ */
+
+// Viewport the app is rendered at, and the size of the stored image
+export const CAPTURE_OPTIONS = {
+  width: 800,
+  height: 600,
+  thumbnailWidth: 320,
+  thumbnailHeight: 240,
+  delay: 1000
+};
+
+// Longest wait for a capture before giving up on it
+export const CAPTURE_TIMEOUT_MS = 10000;
+
+/**
+ * Whether an app has no thumbnail for its current version
+ */
+export function needsThumbnail(app) {
+  return Boolean(app.code) && app.thumbnail?.versionId !== getCurrentVersionId(app);
+}
+
+/**
+ * Image to show for an app, possibly from an earlier version while a new one is captured
+ */
+export function getThumbnailUrl(app) {
+  return app.thumbnail?.dataUrl || null;
+}
+
+/**
+ * Build the thumbnail record for a finished capture
+ * Anything other than an image data URL is stored as a failed capture
+ */
+export function createThumbnail(versionId, dataUrl) {
+  return {
+    versionId,
+    dataUrl: typeof dataUrl === 'string' && dataUrl.startsWith('data:image/') ? dataUrl : null,
+    capturedAt: new Date().toISOString()
+  };
+}
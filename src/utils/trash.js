@@ -0,0 +1,59 @@
+/**
+ * Trash for deleted apps.
+ * Deleting an app only sets its `deletedAt` timestamp, so it can be restored
+ * from the Trash. Apps stay there for the retention period chosen by the
+ * user and are then removed for good, together with the data they saved.
+ */
+
+export const TRASH_RETENTION_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: null, label: 'Never' }
+];
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether an app is in the Trash
+ */
+export function isTrashed(app) {
+  return Boolean(app.deletedAt);
+}
+
+/**
+ * Apps not in the Trash
+ */
+export function getActiveApps(apps) {
+  return apps.filter(app => !isTrashed(app));
+}
+
+/**
+ * Apps in the Trash, most recently deleted first
+ */
+export function getTrashedApps(apps) {
+  return apps
+    .filter(isTrashed)
+    .sort((a, b) => new Date(b.deletedAt).getTime() - new Date(a.deletedAt).getTime());
+}
+
+/**
+ * Trashed apps kept longer than the retention period
+ * A null retention keeps apps until they are deleted by hand
+ */
+export function getExpiredApps(apps, retentionDays, now = Date.now()) {
+  if (!retentionDays) return [];
+  const cutoff = now - retentionDays * DAY_MS;
+  return apps.filter(app => isTrashed(app) && new Date(app.deletedAt).getTime() <= cutoff);
+}
+
+/**
+ * Whole days until a trashed app is removed, or null when it is kept
+ */
+export function getDaysUntilPurge(app, retentionDays, now = Date.now()) {
+  if (!retentionDays) return null;
+  const purgeAt = new Date(app.deletedAt).getTime() + retentionDays * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - now) / DAY_MS));
+}
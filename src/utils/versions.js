@@ -0,0 +1,84 @@
+/**
+ * Helpers for the persisted revision history of saved apps.
+ * Every app keeps an ordered `versions` array (oldest first) and a
+ * `currentVersionId` pointing at the revision whose code is in `app.code`.
+ */
+
+/**
+ * Create a new revision entry
+ */
+export function createVersion({ prompt, code, source = 'follow-up', restoredFrom = null }) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    prompt,
+    code,
+    source,
+    restoredFrom,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Get the revision list for an app, seeding one from the stored code
+ * for apps saved before version history existed
+ */
+export function getVersions(app) {
+  if (!app) return [];
+  if (Array.isArray(app.versions) && app.versions.length > 0) {
+    return app.versions;
+  }
+  if (!app.code) return [];
+  return [{
+    id: `${app.id}-initial`,
+    prompt: app.prompt,
+    code: app.code,
+    source: 'generate',
+    restoredFrom: null,
+    createdAt: app.createdAt,
+  }];
+}
+
+/**
+ * Get the id of the revision currently shown for an app
+ */
+export function getCurrentVersionId(app) {
+  const versions = getVersions(app);
+  if (versions.length === 0) return null;
+  const current = versions.find(version => version.id === app.currentVersionId);
+  return (current || versions[versions.length - 1]).id;
+}
+
+/**
+ * Build the app updates that append a revision and make it current
+ */
+export function appendVersion(app, version) {
+  return {
+    code: version.code,
+    versions: [...getVersions(app), version],
+    currentVersionId: version.id,
+    updatedAt: version.createdAt,
+  };
+}
+
+/**
+ * Human readable label for a revision ("v1", "v2", ...)
+ */
+export function getVersionLabel(versions, versionId) {
+  const index = versions.findIndex(version => version.id === versionId);
+  return index === -1 ? '' : `v${index + 1}`;
+}
+
+/**
+ * Short description of how a revision was produced
+ */
+export function getVersionSourceLabel(source) {
+  const labels = {
+    generate: 'Initial generation',
+    template: 'Built from template',
+    'follow-up': 'Follow-up',
+    restore: 'Restored',
+    manual: 'Manual edit',
+    import: 'Imported',
+  };
+  return labels[source] || 'Revision';
+}
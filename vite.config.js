@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Forward API calls to the BYA server (`npm run server`) during development
+    proxy: {
+      '/api': `http://localhost:${process.env.PORT || 8787}`,
+    },
+  },
 })